@@ -0,0 +1,143 @@
+const path = require('path');
+
+const port = process.env.PORT || 3100;
+
+/**
+ * Central application configuration, read from environment variables
+ */
+const config = {
+  port,
+
+  domains: {
+    // Public base URL of the default domain, used in returned short links
+    publicBaseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${port}`,
+
+    // Additional branded domains as comma-separated base URLs (e.g. https://go.example.com)
+    custom: (process.env.CUSTOM_DOMAINS || '')
+      .split(',')
+      .map(domain => domain.trim())
+      .filter(Boolean)
+  },
+
+  storage: {
+    // Which storage adapter to use: 'memory', 'json' or 'sqlite'
+    adapter: (process.env.STORAGE_ADAPTER || 'memory').toLowerCase(),
+
+    // File locations for the persistent adapters
+    jsonFilePath: process.env.STORAGE_JSON_PATH || path.join(__dirname, '..', 'data', 'urls.json'),
+    sqliteFilePath: process.env.STORAGE_SQLITE_PATH || path.join(__dirname, '..', 'data', 'urls.db')
+  },
+
+  auth: {
+    // Secret required to issue new API keys via POST /apikeys (issuance is disabled when unset)
+    adminToken: process.env.ADMIN_TOKEN || null
+  },
+
+  linkPasswords: {
+    // Failed password attempts allowed per short link within the lockout window
+    maxFailedAttempts: parseInt(process.env.LINK_PASSWORD_MAX_ATTEMPTS || '5', 10),
+
+    // How long a short link stays locked after too many failed attempts
+    lockoutMinutes: parseFloat(process.env.LINK_PASSWORD_LOCKOUT_MINUTES || '15'),
+
+    // Lifetime of the access token issued after a correct password
+    tokenTtlSeconds: parseInt(process.env.LINK_ACCESS_TOKEN_TTL_SECONDS || '300', 10),
+
+    // Secret used to sign access tokens (a random one is generated at startup when unset)
+    tokenSecret: process.env.LINK_ACCESS_TOKEN_SECRET || null
+  },
+
+  urlPolicy: {
+    // Whether destinations on private or loopback hosts (localhost, 10.0.0.0/8, ::1...) are 'block'ed or 'allow'ed
+    privateHosts: (process.env.URL_PRIVATE_HOSTS || 'block').toLowerCase(),
+
+    // Strip tracking parameters from destinations unless a request says otherwise
+    stripTrackingParams: process.env.URL_STRIP_TRACKING_PARAMS === 'true',
+
+    // Query parameters treated as tracking parameters; a trailing * matches a prefix
+    trackingParams: (process.env.URL_TRACKING_PARAMS ||
+      'utm_*,fbclid,gclid,dclid,gbraid,wbraid,msclkid,mc_cid,mc_eid,igshid,yclid,_ga,_gl')
+      .split(',')
+      .map(param => param.trim().toLowerCase())
+      .filter(Boolean)
+  },
+
+  screening: {
+    // JSON file with { "deny": [...], "allow": [...] } domains and /regex/ patterns (optional)
+    listFile: process.env.URL_SCREENING_LIST_PATH || null,
+
+    // Reject destinations whose host is an IP address instead of a domain name
+    blockIpHosts: process.env.URL_SCREENING_BLOCK_IP_HOSTS !== 'false',
+
+    // Module exporting an async (url) => ({ safe, reason }) reputation checker (optional)
+    reputationCheckerModule: process.env.URL_REPUTATION_CHECKER_MODULE || null,
+
+    // Give up on a reputation check that takes longer than this (treated like a failed check)
+    reputationTimeoutMs: parseInt(process.env.URL_REPUTATION_TIMEOUT_MS || '3000', 10),
+
+    // Reject destinations when the reputation checker fails instead of letting them through
+    failClosed: process.env.URL_REPUTATION_FAIL_CLOSED === 'true'
+  },
+
+  shortcodes: {
+    // How generated shortcodes are built: 'alphanumeric', 'unambiguous' (no 0/O/1/l/I), 'pronounceable' or 'sequential'
+    strategy: (process.env.SHORTCODE_STRATEGY || 'alphanumeric').toLowerCase(),
+
+    // Length of generated shortcodes (4-10)
+    length: parseInt(process.env.SHORTCODE_LENGTH || '6', 10),
+
+    // Taken codes tolerated at one length before generated shortcodes get one character longer
+    maxCollisionRetries: parseInt(process.env.SHORTCODE_COLLISION_RETRIES || '5', 10),
+
+    // 'sensitive' keeps Promo and promo apart; 'insensitive' makes them the same shortcode
+    caseFolding: (process.env.SHORTCODE_CASE || 'sensitive').toLowerCase(),
+
+    // Words that can never be shortcodes; the paths registered by the routers are added automatically
+    reservedWords: (process.env.RESERVED_SHORTCODES || 'api,admin,www,health,stats')
+      .split(',')
+      .map(word => word.trim())
+      .filter(Boolean)
+  },
+
+  deduplication: {
+    // Return the owner's existing active link for the same destination instead of creating a new one
+    // (a request's "dedupe" flag overrides this default)
+    enabled: process.env.DEDUPE_DESTINATIONS === 'true'
+  },
+
+  aliases: {
+    // Maximum number of extra shortcodes (aliases) one link can have
+    maxPerLink: parseInt(process.env.ALIAS_MAX_PER_LINK || '20', 10)
+  },
+
+  notYetActive: {
+    // Status answered for scheduled links before their activation time
+    status: parseInt(process.env.NOT_YET_ACTIVE_STATUS || '404', 10),
+
+    // Message sent with that status
+    message: process.env.NOT_YET_ACTIVE_MESSAGE || 'Short URL is not active yet',
+
+    // Optional teaser page visitors are redirected to (302) instead of the status above
+    redirectUrl: process.env.NOT_YET_ACTIVE_REDIRECT_URL || null
+  },
+
+  splitTests: {
+    // How long the cookie keeping a visitor on the same variant of a sticky split test lasts
+    stickyCookieDays: parseFloat(process.env.SPLIT_TEST_COOKIE_DAYS || '30')
+  },
+
+  batch: {
+    // Maximum number of items accepted by POST /shorturls/batch
+    maxItems: parseInt(process.env.BATCH_MAX_ITEMS || '500', 10)
+  },
+
+  expirySweeper: {
+    // How often the background sweeper runs (0 disables it)
+    intervalMinutes: parseFloat(process.env.EXPIRY_SWEEP_INTERVAL_MINUTES || '5'),
+
+    // How long expired links are kept (answering 410 with stats intact) before hard deletion
+    retentionMinutes: parseFloat(process.env.EXPIRED_RETENTION_MINUTES || '1440')
+  }
+};
+
+module.exports = config;
@@ -0,0 +1,137 @@
+// Import custom logging middleware
+const {
+  logAliasAdded,
+  logAliasRemoved,
+  logUrlNotFound,
+  logShortCodeCollision,
+  logValidationError,
+  logError,
+  logInfo
+} = require('../../LoggingMiddleware');
+
+const config = require('../config');
+
+// Import services
+const urlService = require('../services/urlService');
+const domainService = require('../services/domainService');
+const validationService = require('../services/validationService');
+const { ensureOwner } = require('../middleware/auth');
+
+/**
+ * Add an alias to a link: an extra shortcode leading to the same destination, sharing its stats.
+ * Aliases follow the shortcode rules and must not be taken by any shortcode or alias on the domain.
+ */
+const addAlias = async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+    const domain = req.linkDomain;
+    const { alias } = req.body;
+
+    logInfo('Alias request received', { shortcode, domain, alias });
+
+    const urlEntry = urlService.getUrl(domain, shortcode);
+
+    if (!urlEntry) {
+      logUrlNotFound(shortcode);
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Short URL not found'
+      });
+    }
+
+    if (!ensureOwner(req, res, urlEntry)) {
+      return;
+    }
+
+    const aliasValidation = validationService.validateShortcode(typeof alias === 'string' ? alias : '');
+    if (!aliasValidation.isValid) {
+      logValidationError('alias', alias, aliasValidation.error);
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: aliasValidation.error
+      });
+    }
+
+    if ((urlEntry.aliases || []).length >= config.aliases.maxPerLink) {
+      logValidationError('alias', alias, 'Alias limit reached');
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `A link can have at most ${config.aliases.maxPerLink} aliases`
+      });
+    }
+
+    if (urlService.shortcodeExists(domain, alias)) {
+      logShortCodeCollision(alias, { domain, alias: true });
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Shortcode already exists. Please choose a different one.'
+      });
+    }
+
+    urlService.addAlias(domain, urlEntry.shortcode, alias);
+
+    logAliasAdded(urlEntry.shortcode, alias, { owner: req.apiKey.id, domain });
+
+    res.status(201).json({
+      alias,
+      shortLink: domainService.buildShortLink(domain, alias)
+    });
+
+  } catch (error) {
+    logError('Error adding alias', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to add alias'
+    });
+  }
+};
+
+/**
+ * Remove an alias from a link. Clicks made through it stay in the link's stats.
+ */
+const removeAlias = async (req, res) => {
+  try {
+    const { shortcode, alias } = req.params;
+    const domain = req.linkDomain;
+
+    logInfo('Alias removal request received', { shortcode, domain, alias });
+
+    const urlEntry = urlService.getUrl(domain, shortcode);
+
+    if (!urlEntry) {
+      logUrlNotFound(shortcode);
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Short URL not found'
+      });
+    }
+
+    if (!ensureOwner(req, res, urlEntry)) {
+      return;
+    }
+
+    const removedAlias = urlService.removeAlias(domain, urlEntry.shortcode, alias);
+    if (!removedAlias) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Alias not found on this short URL'
+      });
+    }
+
+    logAliasRemoved(urlEntry.shortcode, removedAlias, { owner: req.apiKey.id, domain });
+
+    res.status(204).send();
+
+  } catch (error) {
+    logError('Error removing alias', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to remove alias'
+    });
+  }
+};
+
+module.exports = {
+  addAlias,
+  removeAlias
+};
@@ -0,0 +1,168 @@
+// Import custom logging middleware
+const {
+  logUrlNotFound,
+  logValidationError,
+  logError,
+  logInfo
+} = require('../../LoggingMiddleware');
+
+// Import services
+const urlService = require('../services/urlService');
+const validationService = require('../services/validationService');
+const analyticsService = require('../services/analyticsService');
+const { ensureOwner } = require('../middleware/auth');
+
+/**
+ * Get aggregated click analytics: a time series plus breakdowns by country, city,
+ * browser, OS, device type and referrer domain
+ */
+const getUrlAnalytics = async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+
+    const queryValidation = validationService.validateAnalyticsQuery(req.query);
+    if (!queryValidation.isValid) {
+      logValidationError('query', req.query, queryValidation.error);
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: queryValidation.error
+      });
+    }
+
+    logInfo('Analytics request received', { shortcode, query: req.query });
+
+    const urlEntry = urlService.getUrl(req.linkDomain, shortcode);
+
+    if (!urlEntry) {
+      logUrlNotFound(shortcode);
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Short URL not found'
+      });
+    }
+
+    if (!ensureOwner(req, res, urlEntry)) {
+      return;
+    }
+
+    const { interval, from, to } = queryValidation.value;
+    const analytics = analyticsService.aggregateClicks(urlEntry.clicks, { interval, from, to });
+
+    res.status(200).json({
+      shortcode,
+      domain: req.linkDomain,
+      interval,
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+      ...analytics
+    });
+
+  } catch (error) {
+    logError('Error retrieving URL analytics', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve analytics'
+    });
+  }
+};
+
+/**
+ * Get the raw click list, paginated and optionally limited to a time range
+ */
+const getUrlClicks = async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+
+    const queryValidation = validationService.validateClickListQuery(req.query);
+    if (!queryValidation.isValid) {
+      logValidationError('query', req.query, queryValidation.error);
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: queryValidation.error
+      });
+    }
+
+    logInfo('Click list request received', { shortcode, query: req.query });
+
+    const urlEntry = urlService.getUrl(req.linkDomain, shortcode);
+
+    if (!urlEntry) {
+      logUrlNotFound(shortcode);
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Short URL not found'
+      });
+    }
+
+    if (!ensureOwner(req, res, urlEntry)) {
+      return;
+    }
+
+    const { order, from, to, limit, offset } = queryValidation.value;
+
+    // Clicks are stored oldest first
+    const clicks = analyticsService.filterClicksByRange(urlEntry.clicks, { from, to });
+    if (order === 'desc') {
+      clicks.reverse();
+    }
+
+    res.status(200).json({
+      total: clicks.length,
+      limit,
+      offset,
+      items: clicks.slice(offset, offset + limit).map(click => ({
+        timestamp: click.timestamp,
+        referrer: click.referrer,
+        location: click.location,
+        userAgent: click.userAgent,
+        ...analyticsService.describeClick(click)
+      }))
+    });
+
+  } catch (error) {
+    logError('Error retrieving URL clicks', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve clicks'
+    });
+  }
+};
+
+/**
+ * Summarize the caller's links per tag or per folder (campaign): links, active links and clicks of each group
+ */
+const getGroupAnalytics = async (req, res) => {
+  try {
+    const queryValidation = validationService.validateGroupQuery(req.query);
+    if (!queryValidation.isValid) {
+      logValidationError('query', req.query, queryValidation.error);
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: queryValidation.error
+      });
+    }
+
+    logInfo('Group analytics request received', { query: req.query });
+
+    const { by } = queryValidation.value;
+    const groups = urlService.summarizeGroups({ ...queryValidation.value, owner: req.apiKey.id });
+
+    res.status(200).json({
+      by,
+      groups
+    });
+
+  } catch (error) {
+    logError('Error retrieving group analytics', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve group analytics'
+    });
+  }
+};
+
+module.exports = {
+  getUrlAnalytics,
+  getUrlClicks,
+  getGroupAnalytics
+};
@@ -0,0 +1,58 @@
+// Import custom logging middleware
+const {
+  logApiKeyIssued,
+  logAuthFailure,
+  logValidationError,
+  logError
+} = require('../../LoggingMiddleware');
+
+const config = require('../config');
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * Issue a new API key (requires the admin token)
+ */
+const createApiKey = async (req, res) => {
+  try {
+    if (!config.auth.adminToken) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'API key issuance is disabled. Set ADMIN_TOKEN to enable it.'
+      });
+    }
+
+    if (!apiKeyService.verifyAdminToken(req.get('X-Admin-Token'), config.auth.adminToken)) {
+      logAuthFailure('Invalid admin token', { url: req.originalUrl, ip: req.ip });
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'A valid X-Admin-Token header is required'
+      });
+    }
+
+    const { name } = req.body;
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      logValidationError('name', name, 'Name is required (max 100 characters)');
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Name is required and must be at most 100 characters'
+      });
+    }
+
+    const apiKey = apiKeyService.issueApiKey(name.trim());
+
+    logApiKeyIssued(apiKey.id, apiKey.name);
+
+    res.status(201).json(apiKey);
+
+  } catch (error) {
+    logError('Error issuing API key', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to issue API key'
+    });
+  }
+};
+
+module.exports = {
+  createApiKey
+};
@@ -0,0 +1,33 @@
+// Import custom logging middleware
+const {
+  logError,
+  logInfo
+} = require('../../LoggingMiddleware');
+
+// Import services
+const domainService = require('../services/domainService');
+
+/**
+ * List the configured short link domains, default first
+ */
+const listDomains = async (req, res) => {
+  try {
+    logInfo('Domain list request received');
+
+    res.status(200).json({
+      defaultDomain: domainService.getDefaultDomain(),
+      domains: domainService.listDomains()
+    });
+
+  } catch (error) {
+    logError('Error listing domains', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list domains'
+    });
+  }
+};
+
+module.exports = {
+  listDomains
+};
@@ -0,0 +1,71 @@
+// Import custom logging middleware
+const {
+  logQrCodeGenerated,
+  logUrlNotFound,
+  logValidationError,
+  logError,
+  logInfo
+} = require('../../LoggingMiddleware');
+
+// Import services
+const urlService = require('../services/urlService');
+const domainService = require('../services/domainService');
+const validationService = require('../services/validationService');
+const qrService = require('../services/qrService');
+const { ensureOwner } = require('../middleware/auth');
+
+/**
+ * Render the short link of a URL as a PNG or SVG QR code
+ */
+const getQrCode = async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+
+    const queryValidation = validationService.validateQrQuery(req.query);
+    if (!queryValidation.isValid) {
+      logValidationError('query', req.query, queryValidation.error);
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: queryValidation.error
+      });
+    }
+
+    logInfo('QR code request received', { shortcode, query: req.query });
+
+    const urlEntry = urlService.getUrl(req.linkDomain, shortcode);
+
+    if (!urlEntry) {
+      logUrlNotFound(shortcode);
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Short URL not found'
+      });
+    }
+
+    if (!ensureOwner(req, res, urlEntry)) {
+      return;
+    }
+
+    const options = queryValidation.value;
+    const qrCode = await qrService.generateQrCode(domainService.buildShortLink(req.linkDomain, urlEntry.shortcode), options);
+
+    logQrCodeGenerated(shortcode, options.format, options.size, { domain: req.linkDomain });
+
+    res.set('Content-Type', qrService.QR_CONTENT_TYPES[options.format]);
+    if (req.query.download === 'true') {
+      res.set('Content-Disposition', `attachment; filename="${shortcode}-qr.${options.format}"`);
+    }
+    res.status(200).send(qrCode);
+
+  } catch (error) {
+    logError('Error generating QR code', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to generate QR code'
+    });
+  }
+};
+
+module.exports = {
+  getQrCode
+};
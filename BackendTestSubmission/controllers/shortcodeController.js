@@ -0,0 +1,82 @@
+// Import custom logging middleware
+const {
+  logError,
+  logInfo
+} = require('../../LoggingMiddleware');
+
+// Import services
+const urlService = require('../services/urlService');
+const validationService = require('../services/validationService');
+const shortcodePolicyService = require('../services/shortcodePolicyService');
+const { MIN_SHORTCODE_LENGTH, MAX_SHORTCODE_LENGTH } = require('../services/shortcodeGenerator');
+
+/**
+ * Describe the rules custom shortcodes must follow, so clients can validate them before submitting
+ */
+const getShortcodePolicy = async (req, res) => {
+  try {
+    logInfo('Shortcode policy request received');
+
+    res.status(200).json({
+      minLength: MIN_SHORTCODE_LENGTH,
+      maxLength: MAX_SHORTCODE_LENGTH,
+      caseSensitive: shortcodePolicyService.isCaseSensitive(),
+      reservedWords: shortcodePolicyService.getReservedWords()
+    });
+
+  } catch (error) {
+    logError('Error getting shortcode policy', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to get shortcode policy'
+    });
+  }
+};
+
+/**
+ * Check whether a custom shortcode can be used on a domain.
+ * Invalid and taken shortcodes come with a few free, similar alternatives.
+ */
+const checkShortcodeAvailability = async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+    const domain = req.linkDomain;
+
+    const shortcodeValidation = validationService.validateShortcode(shortcode);
+    const taken = shortcodeValidation.isValid && urlService.shortcodeExists(domain, shortcode);
+    const available = shortcodeValidation.isValid && !taken;
+
+    let reason = null;
+    let message = null;
+    if (!shortcodeValidation.isValid) {
+      reason = 'invalid';
+      message = shortcodeValidation.error;
+    } else if (taken) {
+      reason = 'taken';
+      message = 'Shortcode already exists. Please choose a different one.';
+    }
+
+    logInfo('Shortcode availability checked', { shortcode, domain, available, reason });
+
+    res.status(200).json({
+      shortcode,
+      domain,
+      available,
+      reason,
+      message,
+      suggestions: available ? [] : urlService.suggestShortcodes(domain, shortcode)
+    });
+
+  } catch (error) {
+    logError('Error checking shortcode availability', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to check shortcode availability'
+    });
+  }
+};
+
+module.exports = {
+  getShortcodePolicy,
+  checkShortcodeAvailability
+};
@@ -0,0 +1,237 @@
+// Import custom logging middleware
+const {
+  logDataExported,
+  logDataImported,
+  logUrlNotFound,
+  logValidationError,
+  logError,
+  logInfo
+} = require('../../LoggingMiddleware');
+
+// Import services
+const urlService = require('../services/urlService');
+const transferService = require('../services/transferService');
+const validationService = require('../services/validationService');
+const analyticsService = require('../services/analyticsService');
+const { ensureOwner } = require('../middleware/auth');
+
+/**
+ * Resolve the requested export format, defaulting to CSV
+ */
+const resolveFormat = (format = 'csv') => {
+  return typeof format === 'string' && Object.prototype.hasOwnProperty.call(transferService.FORMATS, format) ? format : null;
+};
+
+/**
+ * Set the headers for a downloadable export
+ */
+const startDownload = (res, format, filename) => {
+  res.status(200);
+  res.set('Content-Type', transferService.FORMATS[format]);
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+};
+
+/**
+ * Build the exported form of a click (the raw IP address is never exported)
+ */
+const toExportedClick = (click) => ({
+  timestamp: click.timestamp,
+  referrer: click.referrer,
+  location: click.location,
+  userAgent: click.userAgent,
+  ...analyticsService.describeClick(click)
+});
+
+/**
+ * Stream all links owned by the caller as CSV or NDJSON, optionally only those with the given tags or folder
+ */
+const exportLinks = async (req, res) => {
+  try {
+    const format = resolveFormat(req.query.format);
+    if (!format) {
+      logValidationError('format', req.query.format, 'Unsupported export format');
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Format must be either csv or ndjson'
+      });
+    }
+
+    // Click arrays can only be embedded in NDJSON
+    const includeClicks = format === 'ndjson' && req.query.includeClicks === 'true';
+
+    logInfo('Link export request received', { format, includeClicks });
+
+    const filters = validationService.parseMetadataFilters(req.query);
+    const entries = urlService.getAllUrls({ includeClicks })
+      .filter(urlEntry => urlEntry.owner === req.apiKey.id && urlService.matchesMetadataFilters(urlEntry, filters));
+
+    startDownload(res, format, 'links');
+    res.write(transferService.formatHeader(format, transferService.LINK_FIELDS));
+
+    entries.forEach(urlEntry => {
+      const record = {
+        shortcode: urlEntry.shortcode,
+        domain: urlEntry.domain,
+        originalUrl: urlEntry.originalUrl,
+        title: urlEntry.title,
+        description: urlEntry.description,
+        tags: urlEntry.tags,
+        folder: urlEntry.folder,
+        createdAt: urlEntry.createdAt,
+        activatesAt: urlEntry.activatesAt,
+        expiresAt: urlEntry.expiresAt,
+        maxClicks: urlEntry.maxClicks,
+        passwordHash: urlEntry.passwordHash,
+        rules: urlEntry.rules,
+        variants: urlEntry.variants,
+        stickyVariants: urlEntry.stickyVariants,
+        aliases: urlEntry.aliases,
+        totalClicks: includeClicks ? urlEntry.clicks.length : urlEntry.totalClicks
+      };
+      if (includeClicks) {
+        record.clicks = urlEntry.clicks.map(toExportedClick);
+      }
+      res.write(transferService.formatRecord(format, transferService.LINK_FIELDS, record));
+    });
+
+    res.end();
+
+    logDataExported('links', format, entries.length, { owner: req.apiKey.id });
+
+  } catch (error) {
+    logError('Error exporting links', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to export links'
+    });
+  }
+};
+
+/**
+ * Stream the click history of one link as CSV or NDJSON
+ */
+const exportClicks = async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+
+    const format = resolveFormat(req.query.format);
+    if (!format) {
+      logValidationError('format', req.query.format, 'Unsupported export format');
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Format must be either csv or ndjson'
+      });
+    }
+
+    logInfo('Click export request received', { shortcode, domain: req.linkDomain, format });
+
+    const urlEntry = urlService.getUrl(req.linkDomain, shortcode);
+
+    if (!urlEntry) {
+      logUrlNotFound(shortcode);
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Short URL not found'
+      });
+    }
+
+    if (!ensureOwner(req, res, urlEntry)) {
+      return;
+    }
+
+    startDownload(res, format, `${shortcode}-clicks`);
+    res.write(transferService.formatHeader(format, transferService.CLICK_FIELDS));
+
+    urlEntry.clicks.forEach(click => {
+      res.write(transferService.formatRecord(format, transferService.CLICK_FIELDS, toExportedClick(click)));
+    });
+
+    res.end();
+
+    logDataExported('clicks', format, urlEntry.clicks.length, { shortcode, domain: req.linkDomain, owner: req.apiKey.id });
+
+  } catch (error) {
+    logError('Error exporting clicks', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to export clicks'
+    });
+  }
+};
+
+/**
+ * Import links from a CSV or NDJSON body.
+ * Rows are re-validated and existing shortcodes are reported as collisions, never overwritten.
+ */
+const importLinks = async (req, res) => {
+  try {
+    let format = req.query.format;
+    if (!format) {
+      format = req.is('text/csv') ? 'csv' : req.is('application/x-ndjson') ? 'ndjson' : undefined;
+    }
+
+    if (!resolveFormat(format)) {
+      logValidationError('format', format, 'Unsupported import format');
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Send text/csv or application/x-ndjson content, or pass ?format=csv|ndjson'
+      });
+    }
+
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      logValidationError('body', undefined, 'Import body is empty');
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Import body must not be empty'
+      });
+    }
+
+    let records;
+    try {
+      records = transferService.parseRecords(format, req.body);
+    } catch (parseError) {
+      logValidationError('body', undefined, parseError.message);
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: parseError.message
+      });
+    }
+
+    logInfo('Link import request received', { format, rows: records.length });
+
+    const result = await transferService.importRecords(records, req.apiKey.id, { format });
+
+    logDataImported(format, result.total, result.imported.length, result.collisions.length, result.errors.length, {
+      owner: req.apiKey.id
+    });
+
+    res.status(200).json({
+      total: result.total,
+      importedCount: result.imported.length,
+      collisionCount: result.collisions.length,
+      errorCount: result.errors.length,
+      imported: result.imported,
+      collisions: result.collisions,
+      errors: result.errors
+    });
+
+  } catch (error) {
+    logError('Error importing links', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to import links'
+    });
+  }
+};
+
+module.exports = {
+  exportLinks,
+  exportClicks,
+  importLinks
+};
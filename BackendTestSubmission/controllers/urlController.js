@@ -6,131 +6,507 @@ const UAParser = require('ua-parser-js');
 // Import custom logging middleware
 const {
   logUrlCreated,
+  logUrlUpdated,
+  logUrlDeleted,
   logUrlAccessed,
   logUrlNotFound,
   logUrlExpired,
+  logUrlNotYetActive,
+  logUrlClickLimitReached,
   logShortCodeCollision,
   logValidationError,
+  logBatchProcessed,
+  logLinkPasswordFailed,
+  logLinkPasswordLocked,
+  logDestinationBlocked,
+  logUrlDeduplicated,
   logError,
   logInfo
 } = require('../../LoggingMiddleware');
 
+const config = require('../config');
+
 // Import services
 const urlService = require('../services/urlService');
+const domainService = require('../services/domainService');
 const validationService = require('../services/validationService');
+const analyticsService = require('../services/analyticsService');
+const linkPasswordService = require('../services/linkPasswordService');
+const redirectRuleService = require('../services/redirectRuleService');
+const splitTestService = require('../services/splitTestService');
+const urlScreeningService = require('../services/urlScreeningService');
+const shortcodePolicyService = require('../services/shortcodePolicyService');
+const { ensureOwner } = require('../middleware/auth');
+const { renderPasswordPrompt } = require('../views/passwordPrompt');
+
+/**
+ * Log a destination blocked by the screening stage and describe the failure
+ */
+const blockedDestinationFailure = (screening, meta) => {
+  logDestinationBlocked(screening.url, screening.check, screening.reason, meta);
+  return {
+    failure: { status: 422, error: 'Unsafe Destination', message: screening.reason }
+  };
+};
+
+/**
+ * Describe a created (or deduplicated) link in create and batch responses
+ */
+const describeCreatedLink = (urlEntry, deduplicated) => ({
+  shortLink: domainService.buildShortLink(urlEntry.domain, urlEntry.shortcode),
+  activatesAt: urlEntry.activatesAt || null,
+  expiry: urlEntry.expiresAt,
+  maxClicks: urlEntry.maxClicks || null,
+  title: urlEntry.title || null,
+  description: urlEntry.description || null,
+  tags: urlEntry.tags || [],
+  folder: urlEntry.folder || null,
+  deduplicated
+});
+
+/**
+ * Check whether a create request sets any option that an existing link could not honour
+ * (schedule, click limit, rules, variants or metadata). Empty values count as not set.
+ */
+const hasLinkOptions = (options) => {
+  return Object.values(options).some(value =>
+    value !== undefined && value !== null && value !== false && value !== '' &&
+    !(Array.isArray(value) && value.length === 0)
+  );
+};
+
+/**
+ * Validate a create request and build the URL entry for it.
+ * Resolves to { urlEntry } on success, { existingEntry } when deduplication found the owner's active
+ * link for the same destination, or { failure: { status, error, message } } otherwise.
+ */
+const prepareUrlEntry = async ({
+  url, validity, activatesAt, expiresAt, shortcode, domain, password, maxClicks, singleUse, rules, variants, stickyVariants,
+  stripTrackingParams, dedupe, title, description, tags, folder
+}, owner) => {
+  const validationFailure = (message) => ({
+    failure: { status: 400, error: 'Validation Error', message }
+  });
+
+  // Validate required fields
+  if (!url) {
+    logValidationError('url', url, 'URL is required');
+    return validationFailure('URL is required');
+  }
+
+  if (stripTrackingParams !== undefined && typeof stripTrackingParams !== 'boolean') {
+    logValidationError('stripTrackingParams', stripTrackingParams, 'stripTrackingParams must be a boolean');
+    return validationFailure('stripTrackingParams must be a boolean');
+  }
+  const urlOptions = { stripTrackingParams };
+
+  // Validate URL format and get its canonical form using our custom validation service
+  const urlValidation = validationService.validateUrl(url, urlOptions);
+  if (!urlValidation.isValid) {
+    logValidationError('url', url, urlValidation.error);
+    return validationFailure(urlValidation.error);
+  }
+  const originalUrl = urlValidation.normalizedUrl;
+
+  // Validate the activation window (validity counts from activatesAt when it is set)
+  const scheduleValidation = validationService.validateSchedule({ activatesAt, validity, expiresAt });
+  if (!scheduleValidation.isValid) {
+    logValidationError('schedule', { activatesAt, validity, expiresAt }, scheduleValidation.error);
+    return validationFailure(scheduleValidation.error);
+  }
+  const schedule = scheduleValidation.value;
+
+  // Validate the domain the link is created on
+  const domainValidation = validationService.validateDomain(domain);
+  if (!domainValidation.isValid) {
+    logValidationError('domain', domain, domainValidation.error);
+    return validationFailure(domainValidation.error);
+  }
+  const linkDomain = domainValidation.value;
+
+  // Validate the optional click limit
+  const maxClicksValidation = validationService.validateMaxClicks(maxClicks, singleUse);
+  if (!maxClicksValidation.isValid) {
+    logValidationError('maxClicks', maxClicks, maxClicksValidation.error);
+    return validationFailure(maxClicksValidation.error);
+  }
+
+  // Validate the optional password (never logged)
+  const passwordValidation = validationService.validatePassword(password);
+  if (!passwordValidation.isValid) {
+    logValidationError('password', '[redacted]', passwordValidation.error);
+    return validationFailure(passwordValidation.error);
+  }
+
+  // Validate the optional redirect rules (originalUrl stays the fallback)
+  const rulesValidation = validationService.validateRedirectRules(rules, urlOptions);
+  if (!rulesValidation.isValid) {
+    logValidationError('rules', rules, rulesValidation.error);
+    return validationFailure(rulesValidation.error);
+  }
+
+  // Validate the optional A/B split destinations
+  const variantsValidation = validationService.validateVariants(variants, urlOptions);
+  if (!variantsValidation.isValid) {
+    logValidationError('variants', variants, variantsValidation.error);
+    return validationFailure(variantsValidation.error);
+  }
+  if (stickyVariants !== undefined && typeof stickyVariants !== 'boolean') {
+    logValidationError('stickyVariants', stickyVariants, 'stickyVariants must be a boolean');
+    return validationFailure('stickyVariants must be a boolean');
+  }
+
+  // Validate the optional title, description, tags and folder
+  const metadataValidation = validationService.validateMetadata({ title, description, tags, folder });
+  if (!metadataValidation.isValid) {
+    logValidationError('metadata', { title, description, tags, folder }, metadataValidation.error);
+    return validationFailure(metadataValidation.error);
+  }
+
+  if (dedupe !== undefined && typeof dedupe !== 'boolean') {
+    logValidationError('dedupe', dedupe, 'dedupe must be a boolean');
+    return validationFailure('dedupe must be a boolean');
+  }
+
+  // Reuse the owner's active link for the same destination. Custom shortcodes, passwords and any other
+  // link option always get a new link, as the existing one would silently ignore them.
+  const shouldDedupe = dedupe === undefined ? config.deduplication.enabled : dedupe;
+  const linkOptions = {
+    validity, activatesAt, expiresAt, maxClicks, singleUse, rules, variants, stickyVariants,
+    title, description, tags, folder
+  };
+  if (shouldDedupe && !shortcode && !passwordValidation.value && !hasLinkOptions(linkOptions)) {
+    const existingEntry = urlService.findActiveUrlByDestination(owner, linkDomain, originalUrl);
+    if (existingEntry) {
+      return { existingEntry };
+    }
+  }
+
+  // Screen every destination of the link before anything is stored
+  const screening = await urlScreeningService.screenUrls([
+    originalUrl,
+    ...rulesValidation.value.map(rule => rule.url),
+    ...variantsValidation.value.map(variant => variant.url)
+  ]);
+  if (!screening.isAllowed) {
+    return blockedDestinationFailure(screening, { owner, domain: linkDomain });
+  }
+
+  // Validate custom shortcode if provided
+  if (shortcode) {
+    const shortcodeValidation = validationService.validateShortcode(shortcode);
+    if (!shortcodeValidation.isValid) {
+      logValidationError('shortcode', shortcode, shortcodeValidation.error);
+      return validationFailure(shortcodeValidation.error);
+    }
+
+    // Check if shortcode already exists on this domain
+    if (urlService.shortcodeExists(linkDomain, shortcode)) {
+      logShortCodeCollision(shortcode, { domain: linkDomain });
+      return {
+        failure: {
+          status: 409,
+          error: 'Conflict',
+          message: 'Shortcode already exists. Please choose a different one.'
+        }
+      };
+    }
+  }
+
+  // Generate shortcode if not provided
+  const finalShortcode = shortcode || urlService.generateShortcode(linkDomain);
+
+  const urlEntry = {
+    shortcode: finalShortcode,
+    domain: linkDomain,
+    originalUrl,
+    createdAt: new Date().toISOString(),
+    expiresAt: schedule.expiresAt.toISOString(),
+    owner,
+    clicks: []
+  };
+
+  if (schedule.activatesAt) {
+    urlEntry.activatesAt = schedule.activatesAt.toISOString();
+  }
+
+  if (rulesValidation.value.length > 0) {
+    urlEntry.rules = rulesValidation.value;
+  }
+
+  if (variantsValidation.value.length > 0) {
+    urlEntry.variants = variantsValidation.value;
+    urlEntry.stickyVariants = Boolean(stickyVariants);
+  }
+
+  if (maxClicksValidation.value) {
+    urlEntry.maxClicks = maxClicksValidation.value;
+  }
+
+  Object.entries(metadataValidation.value)
+    .filter(([, value]) => value !== null)
+    .forEach(([field, value]) => {
+      urlEntry[field] = value;
+    });
+
+  // Only a salted hash of the password is stored
+  if (passwordValidation.value) {
+    urlEntry.passwordHash = linkPasswordService.hashPassword(passwordValidation.value);
+  }
+
+  return { urlEntry };
+};
 
 /**
  * Create a new shortened URL
  */
 const createShortUrl = async (req, res) => {
   try {
-    const { url, validity, shortcode } = req.body;
+    const {
+      url, validity, activatesAt, expiresAt, shortcode, domain, password, maxClicks, singleUse, rules, variants, stickyVariants,
+      stripTrackingParams, dedupe, title, description, tags, folder
+    } = req.body;
     
     logInfo('URL shortening request received', {
       originalUrl: url,
       customShortcode: shortcode,
-      validity: validity
+      validity: validity,
+      activatesAt,
+      expiresAt,
+      domain,
+      maxClicks,
+      singleUse,
+      ruleCount: Array.isArray(rules) ? rules.length : 0,
+      variantCount: Array.isArray(variants) ? variants.length : 0,
+      passwordProtected: Boolean(password),
+      dedupe,
+      tags,
+      folder
     });
 
-    // Validate required fields
-    if (!url) {
-      logValidationError('url', url, 'URL is required');
-      return res.status(400).json({
-        error: 'Validation Error',
-        message: 'URL is required'
+    const { failure, urlEntry, existingEntry } = await prepareUrlEntry({
+      url, validity, activatesAt, expiresAt, shortcode, domain, password, maxClicks, singleUse, rules, variants, stickyVariants,
+      stripTrackingParams, dedupe, title, description, tags, folder
+    }, req.apiKey.id);
+    if (failure) {
+      return res.status(failure.status).json({
+        error: failure.error,
+        message: failure.message
       });
     }
 
-    // Validate URL format using our custom validation service
-    const urlValidation = validationService.validateUrl(url);
-    if (!urlValidation.isValid) {
-      logValidationError('url', url, urlValidation.error);
+    // The existing link is returned unchanged with 200 instead of 201
+    if (existingEntry) {
+      logUrlDeduplicated(existingEntry.originalUrl, existingEntry.shortcode, { owner: req.apiKey.id, domain: existingEntry.domain });
+      return res.status(200).json(describeCreatedLink(existingEntry, true));
+    }
+
+    // Store the URL
+    urlService.storeUrl(urlEntry);
+
+    logUrlCreated(urlEntry.originalUrl, urlEntry.shortcode, urlEntry.expiresAt, { owner: req.apiKey.id, domain: urlEntry.domain });
+
+    res.status(201).json(describeCreatedLink(urlEntry, false));
+
+  } catch (error) {
+    logError('Error creating short URL', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create short URL'
+    });
+  }
+};
+
+/**
+ * Create many shortened URLs in one request.
+ * Every item is validated independently and gets its own success or error result.
+ */
+const createShortUrlBatch = async (req, res) => {
+  try {
+    const items = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      logValidationError('body', items, 'Batch must be a non-empty array');
       return res.status(400).json({
         error: 'Validation Error',
-        message: urlValidation.error
+        message: 'Request body must be a non-empty array of { url, validity, activatesAt, expiresAt, shortcode, domain, password, maxClicks, singleUse, rules, variants, stickyVariants, stripTrackingParams, dedupe, title, description, tags, folder } items'
       });
     }
 
-    // Validate validity period using our custom validation service
-    const validityValidation = validationService.validateValidity(validity);
-    if (!validityValidation.isValid) {
-      logValidationError('validity', validity, validityValidation.error);
+    if (items.length > config.batch.maxItems) {
+      logValidationError('body', items.length, 'Batch too large');
       return res.status(400).json({
         error: 'Validation Error',
-        message: validityValidation.error
+        message: `A batch can contain at most ${config.batch.maxItems} items`
       });
     }
-    const validityMinutes = validityValidation.value;
 
-    // Validate custom shortcode if provided
-    if (shortcode) {
-      const shortcodeValidation = validationService.validateShortcode(shortcode);
-      if (!shortcodeValidation.isValid) {
-        logValidationError('shortcode', shortcode, shortcodeValidation.error);
-        return res.status(400).json({
+    logInfo('Batch URL shortening request received', { batchSize: items.length });
+
+    // Shortcodes requested so far, keyed by domain
+    const seenShortcodes = new Set();
+
+    // Items are created one at a time so shortcodes requested or generated earlier in the batch are taken
+    const createBatchItem = async (item, index) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        logValidationError('item', item, 'Batch item must be an object', { index });
+        return {
+          index,
+          success: false,
+          status: 400,
           error: 'Validation Error',
-          message: shortcodeValidation.error
-        });
+          message: 'Each batch item must be an object'
+        };
       }
 
-      // Check if shortcode already exists
-      if (urlService.shortcodeExists(shortcode)) {
-        logShortCodeCollision(shortcode);
-        return res.status(409).json({
-          error: 'Conflict',
-          message: 'Shortcode already exists. Please choose a different one.'
-        });
+      const {
+        url, validity, activatesAt, expiresAt, shortcode, domain, password, maxClicks, singleUse, rules, variants, stickyVariants,
+        stripTrackingParams, dedupe, title, description, tags, folder
+      } = item;
+
+      // Detect shortcodes requested more than once on the same domain within this batch
+      if (shortcode) {
+        const domainValidation = validationService.validateDomain(domain);
+        const batchKey = `${domainValidation.isValid ? domainValidation.value : domain}/${shortcodePolicyService.foldShortcode(String(shortcode))}`;
+        if (seenShortcodes.has(batchKey)) {
+          logShortCodeCollision(shortcode, { index, reason: 'duplicate in batch' });
+          return {
+            index,
+            success: false,
+            status: 409,
+            error: 'Conflict',
+            message: 'Duplicate shortcode in this batch'
+          };
+        }
+        seenShortcodes.add(batchKey);
       }
-    }
 
-    // Generate shortcode if not provided
-    const finalShortcode = shortcode || urlService.generateShortcode();
+      const { failure, urlEntry, existingEntry } = await prepareUrlEntry({
+        url, validity, activatesAt, expiresAt, shortcode, domain, password, maxClicks, singleUse, rules, variants, stickyVariants,
+        stripTrackingParams, dedupe, title, description, tags, folder
+      }, req.apiKey.id);
+      if (failure) {
+        return {
+          index,
+          success: false,
+          ...failure
+        };
+      }
 
-    // Calculate expiry time
-    const expiresAt = new Date(Date.now() + (validityMinutes * 60 * 1000));
+      if (existingEntry) {
+        logUrlDeduplicated(existingEntry.originalUrl, existingEntry.shortcode, { owner: req.apiKey.id, domain: existingEntry.domain, batch: true });
+        return {
+          index,
+          success: true,
+          status: 200,
+          ...describeCreatedLink(existingEntry, true)
+        };
+      }
 
-    // Create URL entry
-    const urlEntry = {
-      shortcode: finalShortcode,
-      originalUrl: url,
-      createdAt: new Date().toISOString(),
-      expiresAt: expiresAt.toISOString(),
-      clicks: []
+      urlService.storeUrl(urlEntry);
+      logUrlCreated(urlEntry.originalUrl, urlEntry.shortcode, urlEntry.expiresAt, { owner: req.apiKey.id, domain: urlEntry.domain, batch: true });
+
+      return {
+        index,
+        success: true,
+        status: 201,
+        ...describeCreatedLink(urlEntry, false)
+      };
     };
 
-    // Store the URL
-    urlService.storeUrl(urlEntry);
+    const results = [];
+    for (let index = 0; index < items.length; index++) {
+      results.push(await createBatchItem(items[index], index));
+    }
 
-    // Build short link
-    const shortLink = `http://localhost:${process.env.PORT || 3100}/${finalShortcode}`;
+    const created = results.filter(result => result.success && !result.deduplicated).length;
+    const deduplicated = results.filter(result => result.success && result.deduplicated).length;
+    const failed = items.length - created - deduplicated;
 
-    logUrlCreated(url, finalShortcode, expiresAt.toISOString());
+    logBatchProcessed(items.length, created, failed, { owner: req.apiKey.id, deduplicated });
 
-    res.status(201).json({
-      shortLink,
-      expiry: expiresAt.toISOString()
+    res.status(200).json({
+      total: items.length,
+      created,
+      deduplicated,
+      failed,
+      results
     });
 
   } catch (error) {
-    logError('Error creating short URL', error);
+    logError('Error creating short URL batch', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to create short URL'
+      message: 'Failed to create short URLs'
+    });
+  }
+};
+
+/**
+ * Answer 410 for a link whose click limit is used up
+ */
+const respondClickLimitReached = (res, urlEntry) => {
+  logUrlClickLimitReached(urlEntry.shortcode, urlEntry.maxClicks, { domain: urlEntry.domain });
+  return res.status(410).json({
+    error: 'Gone',
+    message: 'Short URL has reached its click limit'
+  });
+};
+
+/**
+ * Answer for a link that cannot be followed right now: scheduled, expired or out of clicks.
+ * Returns true when a response was sent.
+ */
+const respondIfUnavailable = (res, urlEntry) => {
+  const now = new Date();
+
+  // Scheduled links answer with the configured "not yet active" response
+  if (urlEntry.activatesAt && now < new Date(urlEntry.activatesAt)) {
+    logUrlNotYetActive(urlEntry.shortcode, urlEntry.activatesAt, { domain: urlEntry.domain });
+    res.set('Cache-Control', 'no-store');
+    if (config.notYetActive.redirectUrl) {
+      res.redirect(302, config.notYetActive.redirectUrl);
+    } else {
+      res.status(config.notYetActive.status).json({
+        error: 'Not Yet Active',
+        message: config.notYetActive.message,
+        activatesAt: urlEntry.activatesAt
+      });
+    }
+    return true;
+  }
+
+  if (now > new Date(urlEntry.expiresAt)) {
+    logUrlExpired(urlEntry.shortcode);
+    res.status(410).json({
+      error: 'Gone',
+      message: 'Short URL has expired'
     });
+    return true;
+  }
+
+  if (urlService.getRemainingClicks(urlEntry, urlEntry.clicks.length) === 0) {
+    respondClickLimitReached(res, urlEntry);
+    return true;
   }
+
+  return false;
 };
 
 /**
- * Redirect to original URL
+ * Redirect to original URL.
+ * The link is looked up on the domain the request was made to (Host header), by shortcode or alias.
  */
 const redirectToUrl = async (req, res) => {
   try {
     const { shortcode } = req.params;
+    const domain = domainService.resolveRequestDomain(req.hostname);
     
-    logInfo('Redirect request received', { shortcode });
+    logInfo('Redirect request received', { shortcode, domain });
 
-    // Get URL from storage
-    const urlEntry = urlService.getUrl(shortcode);
+    // Get URL from storage; aliases lead to their link's entry
+    const link = urlService.resolveLink(domain, shortcode);
+    const urlEntry = link && link.urlEntry;
 
     if (!urlEntry) {
       logUrlNotFound(shortcode);
@@ -140,13 +516,15 @@ const redirectToUrl = async (req, res) => {
       });
     }
 
-    // Check if URL has expired
-    if (new Date() > new Date(urlEntry.expiresAt)) {
-      logUrlExpired(shortcode);
-      return res.status(410).json({
-        error: 'Gone',
-        message: 'Short URL has expired'
-      });
+    // Check the activation window and click limit
+    if (respondIfUnavailable(res, urlEntry)) {
+      return;
+    }
+
+    // Password-protected links need an access token from unlockShortUrl; everyone else gets the prompt page
+    if (urlEntry.passwordHash && !linkPasswordService.verifyAccessToken(urlEntry, req.query.token)) {
+      res.set('Cache-Control', 'no-store');
+      return res.status(401).type('html').send(renderPasswordPrompt({ shortcode }));
     }
 
     // Get client information for analytics
@@ -162,22 +540,76 @@ const redirectToUrl = async (req, res) => {
     const parser = new UAParser(userAgent);
     const result = parser.getResult();
     const browser = `${result.browser.name || 'Unknown'} ${result.browser.version || ''}`.trim();
+    // UAParser leaves the device type empty for desktop browsers
+    const deviceType = result.device.type || 'desktop';
 
-    // Record click
+    // The first matching rule picks the destination; originalUrl is the fallback
+    const matchedRule = redirectRuleService.findMatchingRule(urlEntry.rules, {
+      os: result.os.name,
+      deviceType,
+      country: geo && geo.country,
+      language: redirectRuleService.getPreferredLanguage(req.get('Accept-Language')),
+      now: new Date()
+    });
+
+    // Visitors no rule sent elsewhere are split between the link's variants, if it has any
+    const split = matchedRule ? null : splitTestService.chooseVariant(urlEntry, req.get('Cookie'));
+
+    let destination = urlEntry.originalUrl;
+    if (matchedRule) {
+      destination = matchedRule.url;
+    } else if (split) {
+      destination = split.variant.url;
+    }
+
+    // Record click, with the individual dimensions used by the analytics endpoint
     const clickData = {
       timestamp: new Date().toISOString(),
       referrer,
       location,
       userAgent: browser,
-      ip: ip.replace(/^.*:/, '') // Remove IPv6 prefix if present
+      ip: ip.replace(/^.*:/, ''), // Remove IPv6 prefix if present
+      country: (geo && geo.country) || 'Unknown',
+      city: (geo && geo.city) || 'Unknown',
+      browser: result.browser.name || 'Unknown',
+      os: result.os.name || 'Unknown',
+      deviceType,
+      referrerDomain: analyticsService.getReferrerDomain(referrer),
+      matchedRule: matchedRule ? matchedRule.name : redirectRuleService.DEFAULT_RULE_NAME
     };
+    if (split) {
+      clickData.variant = split.variant.name;
+    }
+    if (link.alias) {
+      clickData.alias = link.alias;
+    }
 
-    urlService.recordClick(shortcode, clickData);
+    // Storage checks the click limit and records the click in one step, so concurrent visitors cannot overshoot it
+    if (!urlService.recordClick(domain, urlEntry.shortcode, clickData)) {
+      return respondClickLimitReached(res, urlEntry);
+    }
 
-    logUrlAccessed(shortcode, urlEntry.originalUrl, browser, ip, referrer);
+    logUrlAccessed(shortcode, destination, browser, ip, referrer, {
+      matchedRule: clickData.matchedRule,
+      variant: clickData.variant,
+      alias: clickData.alias
+    });
 
-    // Redirect to original URL
-    res.redirect(302, urlEntry.originalUrl);
+    if (split) {
+      // A cached redirect would send every later visit to the same variant
+      res.set('Cache-Control', 'no-store');
+      if (urlEntry.stickyVariants && !split.remembered) {
+        res.cookie(splitTestService.VARIANT_COOKIE_NAME, split.variant.name, {
+          path: new URL(domainService.buildShortLink(domain, link.alias || urlEntry.shortcode)).pathname,
+          maxAge: config.splitTests.stickyCookieDays * 24 * 60 * 60 * 1000,
+          httpOnly: true,
+          sameSite: 'lax'
+        });
+      }
+    }
+
+    // Redirect to the matched, chosen or original URL
+    res.redirect(302, destination);
 
   } catch (error) {
     logError('Error redirecting URL', error);
@@ -188,17 +620,94 @@ const redirectToUrl = async (req, res) => {
   }
 };
 
+/**
+ * Check the password submitted from the prompt page of a protected link.
+ * On success the visitor is sent back to the short link with a short-lived access token.
+ * Failed attempts are counted per link, which is locked for a while once the limit is reached.
+ */
+const unlockShortUrl = async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+    const domain = domainService.resolveRequestDomain(req.hostname);
+    const ip = req.ip || req.connection.remoteAddress || 'Unknown';
+
+    logInfo('Short URL password submitted', { shortcode, domain });
+
+    const link = urlService.resolveLink(domain, shortcode);
+    const urlEntry = link && link.urlEntry;
+
+    if (!urlEntry) {
+      logUrlNotFound(shortcode);
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Short URL not found'
+      });
+    }
+
+    if (respondIfUnavailable(res, urlEntry)) {
+      return;
+    }
+
+    // Lockouts are kept per link, so switching letter case or alias gains no extra attempts;
+    // the visitor is sent back to the stored spelling of the code they used
+    const shortLink = domainService.buildShortLink(domain, link.alias || urlEntry.shortcode);
+
+    // Nothing to unlock
+    if (!urlEntry.passwordHash) {
+      return res.redirect(303, shortLink);
+    }
+
+    res.set('Cache-Control', 'no-store');
+
+    const lockoutRemaining = linkPasswordService.getLockoutRemaining(domain, urlEntry.shortcode);
+    if (lockoutRemaining > 0) {
+      logLinkPasswordLocked(shortcode, { domain, ip });
+      res.set('Retry-After', String(Math.ceil(lockoutRemaining / 1000)));
+      return res.status(429).type('html').send(renderPasswordPrompt({
+        shortcode,
+        error: 'Too many failed attempts. Please try again later.'
+      }));
+    }
+
+    const password = req.body ? req.body.password : undefined;
+    if (!linkPasswordService.verifyPassword(password, urlEntry.passwordHash)) {
+      const { attempts, locked } = linkPasswordService.recordFailedAttempt(domain, urlEntry.shortcode);
+      logLinkPasswordFailed(shortcode, attempts, { domain, ip });
+      if (locked) {
+        logLinkPasswordLocked(shortcode, { domain, ip, attempts });
+      }
+      return res.status(401).type('html').send(renderPasswordPrompt({
+        shortcode,
+        error: 'Incorrect password'
+      }));
+    }
+
+    linkPasswordService.clearFailedAttempts(domain, urlEntry.shortcode);
+
+    const token = linkPasswordService.issueAccessToken(urlEntry);
+    res.redirect(303, `${shortLink}?token=${encodeURIComponent(token)}`);
+
+  } catch (error) {
+    logError('Error unlocking short URL', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to check password'
+    });
+  }
+};
+
 /**
  * Get URL statistics
  */
 const getUrlStats = async (req, res) => {
   try {
     const { shortcode } = req.params;
+    const domain = req.linkDomain;
     
-    logInfo('Statistics request received', { shortcode });
+    logInfo('Statistics request received', { shortcode, domain });
 
     // Get URL from storage
-    const urlEntry = urlService.getUrl(shortcode);
+    const urlEntry = urlService.getUrl(domain, shortcode);
 
     if (!urlEntry) {
       logUrlNotFound(shortcode);
@@ -208,19 +717,35 @@ const getUrlStats = async (req, res) => {
       });
     }
 
-    // Prepare response
+    if (!ensureOwner(req, res, urlEntry)) {
+      return;
+    }
+
+    // Prepare response (clicks are served by the paginated /clicks endpoint)
     const stats = {
       shortcode: urlEntry.shortcode,
+      domain: urlEntry.domain,
+      shortLink: domainService.buildShortLink(urlEntry.domain, urlEntry.shortcode),
       originalUrl: urlEntry.originalUrl,
+      title: urlEntry.title || null,
+      description: urlEntry.description || null,
+      tags: urlEntry.tags || [],
+      folder: urlEntry.folder || null,
       createdAt: urlEntry.createdAt,
+      activatesAt: urlEntry.activatesAt || null,
       expiresAt: urlEntry.expiresAt,
-      totalClicks: urlEntry.clicks.length,
-      clicks: urlEntry.clicks.map(click => ({
-        timestamp: click.timestamp,
-        referrer: click.referrer,
-        location: click.location,
-        userAgent: click.userAgent
-      }))
+      passwordProtected: Boolean(urlEntry.passwordHash),
+      rules: urlEntry.rules || [],
+      variants: splitTestService.countVariantClicks(urlEntry.variants, urlEntry.clicks),
+      stickyVariants: Boolean(urlEntry.stickyVariants),
+      aliases: (urlEntry.aliases || []).map(alias => ({
+        alias,
+        shortLink: domainService.buildShortLink(urlEntry.domain, alias),
+        clicks: urlEntry.clicks.filter(click => click.alias === alias).length
+      })),
+      maxClicks: urlEntry.maxClicks || null,
+      remainingClicks: urlService.getRemainingClicks(urlEntry, urlEntry.clicks.length),
+      totalClicks: urlEntry.clicks.length
     };
 
     logInfo('Statistics retrieved successfully', { 
@@ -239,8 +764,298 @@ const getUrlStats = async (req, res) => {
   }
 };
 
+/**
+ * List short URLs as summary rows (no click arrays)
+ */
+const listShortUrls = async (req, res) => {
+  try {
+    logInfo('URL listing request received', { query: req.query });
+
+    const queryValidation = validationService.validateListQuery(req.query);
+    if (!queryValidation.isValid) {
+      logValidationError('query', req.query, queryValidation.error);
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: queryValidation.error
+      });
+    }
+
+    const { limit, offset } = queryValidation.value;
+    const { total, items } = urlService.listUrls({ ...queryValidation.value, owner: req.apiKey.id });
+
+    res.status(200).json({
+      total,
+      limit,
+      offset,
+      items: items.map(urlEntry => ({
+        shortcode: urlEntry.shortcode,
+        domain: urlEntry.domain,
+        shortLink: domainService.buildShortLink(urlEntry.domain, urlEntry.shortcode),
+        originalUrl: urlEntry.originalUrl,
+        title: urlEntry.title || null,
+        tags: urlEntry.tags || [],
+        folder: urlEntry.folder || null,
+        createdAt: urlEntry.createdAt,
+        activatesAt: urlEntry.activatesAt || null,
+        expiresAt: urlEntry.expiresAt,
+        status: urlEntry.status,
+        passwordProtected: Boolean(urlEntry.passwordHash),
+        maxClicks: urlEntry.maxClicks || null,
+        remainingClicks: urlService.getRemainingClicks(urlEntry, urlEntry.totalClicks),
+        totalClicks: urlEntry.totalClicks
+      }))
+    });
+
+  } catch (error) {
+    logError('Error listing short URLs', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list short URLs'
+    });
+  }
+};
+
+/**
+ * Update the destination, schedule, redirect rules, split test and/or metadata of an existing short URL
+ */
+const updateShortUrl = async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+    const domain = req.linkDomain;
+    const {
+      url, validity, activatesAt, expiresAt, rules, variants, stickyVariants, stripTrackingParams,
+      title, description, tags, folder
+    } = req.body;
+
+    logInfo('URL update request received', {
+      shortcode,
+      domain,
+      originalUrl: url,
+      validity: validity,
+      activatesAt,
+      expiresAt,
+      ruleCount: Array.isArray(rules) ? rules.length : undefined,
+      variantCount: Array.isArray(variants) ? variants.length : undefined,
+      stickyVariants,
+      tags,
+      folder
+    });
+
+    if ([url, validity, activatesAt, expiresAt, rules, variants, stickyVariants, title, description, tags, folder]
+      .every(field => field === undefined)) {
+      logValidationError('body', req.body, 'Nothing to update');
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Provide at least one of url, validity, activatesAt, expiresAt, rules, variants, stickyVariants, title, description, tags or folder to update'
+      });
+    }
+
+    const urlEntry = urlService.getUrl(domain, shortcode);
+
+    if (!urlEntry) {
+      logUrlNotFound(shortcode);
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Short URL not found'
+      });
+    }
+
+    if (!ensureOwner(req, res, urlEntry)) {
+      return;
+    }
+
+    if (stripTrackingParams !== undefined && typeof stripTrackingParams !== 'boolean') {
+      logValidationError('stripTrackingParams', stripTrackingParams, 'stripTrackingParams must be a boolean');
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'stripTrackingParams must be a boolean'
+      });
+    }
+    const urlOptions = { stripTrackingParams };
+    const changes = {};
+
+    // Validate new destination and store its canonical form
+    if (url !== undefined) {
+      const urlValidation = validationService.validateUrl(url, urlOptions);
+      if (!urlValidation.isValid) {
+        logValidationError('url', url, urlValidation.error);
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: urlValidation.error
+        });
+      }
+      changes.originalUrl = urlValidation.normalizedUrl;
+    }
+
+    // Reschedule with the same rules as at creation. A new validity restarts the expiry countdown from now
+    // (or from activation for scheduled links); a new activatesAt alone keeps the stored expiry, which must
+    // still fit it. null removes the activation time, so the link is live straight away.
+    if ([validity, activatesAt, expiresAt].some(field => field !== undefined)) {
+      const schedule = {
+        activatesAt: activatesAt !== undefined ? activatesAt : urlEntry.activatesAt,
+        validity,
+        expiresAt: validity === undefined && expiresAt === undefined ? urlEntry.expiresAt : expiresAt
+      };
+      const scheduleValidation = validationService.validateSchedule(schedule);
+      if (!scheduleValidation.isValid) {
+        logValidationError('schedule', schedule, scheduleValidation.error);
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: scheduleValidation.error
+        });
+      }
+      changes.expiresAt = scheduleValidation.value.expiresAt.toISOString();
+      if (activatesAt !== undefined) {
+        changes.activatesAt = scheduleValidation.value.activatesAt
+          ? scheduleValidation.value.activatesAt.toISOString()
+          : null;
+      }
+    }
+
+    // The new rule list replaces the old one; null or [] removes all rules
+    if (rules !== undefined) {
+      const rulesValidation = validationService.validateRedirectRules(rules, urlOptions);
+      if (!rulesValidation.isValid) {
+        logValidationError('rules', rules, rulesValidation.error);
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: rulesValidation.error
+        });
+      }
+      changes.rules = rulesValidation.value;
+    }
+
+    // The new variants replace the old ones; null or [] ends the split test
+    if (variants !== undefined) {
+      const variantsValidation = validationService.validateVariants(variants, urlOptions);
+      if (!variantsValidation.isValid) {
+        logValidationError('variants', variants, variantsValidation.error);
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: variantsValidation.error
+        });
+      }
+      changes.variants = variantsValidation.value;
+    }
+
+    if (stickyVariants !== undefined) {
+      if (typeof stickyVariants !== 'boolean') {
+        logValidationError('stickyVariants', stickyVariants, 'stickyVariants must be a boolean');
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'stickyVariants must be a boolean'
+        });
+      }
+      changes.stickyVariants = stickyVariants;
+    }
+
+    // Metadata fields that are given replace the stored ones; null or empty values clear them
+    const metadataValidation = validationService.validateMetadata({ title, description, tags, folder });
+    if (!metadataValidation.isValid) {
+      logValidationError('metadata', { title, description, tags, folder }, metadataValidation.error);
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: metadataValidation.error
+      });
+    }
+    Object.assign(changes, metadataValidation.value);
+
+    // Screen the new destinations before anything is changed
+    const screening = await urlScreeningService.screenUrls([
+      ...(changes.originalUrl ? [changes.originalUrl] : []),
+      ...(changes.rules || []).map(rule => rule.url),
+      ...(changes.variants || []).map(variant => variant.url)
+    ]);
+    if (!screening.isAllowed) {
+      const { failure } = blockedDestinationFailure(screening, { owner: req.apiKey.id, domain, shortcode });
+      return res.status(failure.status).json({
+        error: failure.error,
+        message: failure.message
+      });
+    }
+
+    const updatedEntry = urlService.updateUrl(domain, urlEntry.shortcode, changes);
+
+    // The link may have been deleted while its destinations were being screened
+    if (!updatedEntry) {
+      logUrlNotFound(shortcode);
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Short URL not found'
+      });
+    }
+
+    logUrlUpdated(shortcode, changes, { owner: req.apiKey.id, domain });
+
+    res.status(200).json({
+      shortLink: domainService.buildShortLink(domain, urlEntry.shortcode),
+      originalUrl: updatedEntry.originalUrl,
+      activatesAt: updatedEntry.activatesAt || null,
+      expiry: updatedEntry.expiresAt,
+      rules: updatedEntry.rules || [],
+      variants: updatedEntry.variants || [],
+      stickyVariants: Boolean(updatedEntry.stickyVariants),
+      title: updatedEntry.title || null,
+      description: updatedEntry.description || null,
+      tags: updatedEntry.tags || [],
+      folder: updatedEntry.folder || null
+    });
+
+  } catch (error) {
+    logError('Error updating short URL', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update short URL'
+    });
+  }
+};
+
+/**
+ * Revoke (delete) a short URL and its click history
+ */
+const deleteShortUrl = async (req, res) => {
+  try {
+    const { shortcode } = req.params;
+    const domain = req.linkDomain;
+
+    logInfo('URL delete request received', { shortcode, domain });
+
+    const urlEntry = urlService.getUrl(domain, shortcode);
+
+    if (!urlEntry) {
+      logUrlNotFound(shortcode);
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Short URL not found'
+      });
+    }
+
+    if (!ensureOwner(req, res, urlEntry)) {
+      return;
+    }
+
+    urlService.deleteUrl(domain, urlEntry.shortcode);
+
+    logUrlDeleted(shortcode, { owner: req.apiKey.id, domain });
+
+    res.status(204).send();
+
+  } catch (error) {
+    logError('Error deleting short URL', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete short URL'
+    });
+  }
+};
+
 module.exports = {
   createShortUrl,
+  createShortUrlBatch,
   redirectToUrl,
-  getUrlStats
+  unlockShortUrl,
+  getUrlStats,
+  listShortUrls,
+  updateShortUrl,
+  deleteShortUrl
 };
@@ -0,0 +1,83 @@
+// Import custom logging middleware
+const { logAuthFailure, logAccessDenied, redactUrl } = require('../../LoggingMiddleware');
+
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * Read the API key from the X-API-Key header or an "Authorization: Bearer" header
+ */
+const extractApiKey = (req) => {
+  const headerKey = req.get('X-API-Key');
+  if (headerKey) {
+    return headerKey.trim();
+  }
+
+  const authorization = req.get('Authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  return null;
+};
+
+/**
+ * Resolve the caller's API key, if any, and attach it as req.apiKey.
+ * Requests without a key pass through; requests with an unknown key are rejected.
+ */
+const authenticate = (req, res, next) => {
+  const key = extractApiKey(req);
+  if (!key) {
+    req.apiKey = null;
+    return next();
+  }
+
+  const apiKey = apiKeyService.verifyApiKey(key);
+  if (!apiKey) {
+    logAuthFailure('Invalid API key', { url: redactUrl(req.originalUrl), method: req.method, ip: req.ip });
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid API key'
+    });
+  }
+
+  req.apiKey = {
+    id: apiKey.id,
+    name: apiKey.name
+  };
+  next();
+};
+
+/**
+ * Reject requests that were not authenticated with an API key
+ */
+const requireApiKey = (req, res, next) => {
+  if (!req.apiKey) {
+    logAuthFailure('Missing API key', { url: redactUrl(req.originalUrl), method: req.method, ip: req.ip });
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'An API key is required. Send it in the X-API-Key header.'
+    });
+  }
+  next();
+};
+
+/**
+ * Check that the authenticated API key owns the URL entry, responding with 403 if not
+ */
+const ensureOwner = (req, res, urlEntry) => {
+  if (urlEntry.owner !== req.apiKey.id) {
+    logAccessDenied(urlEntry.shortcode, req.apiKey.id);
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have access to this short URL'
+    });
+    return false;
+  }
+  return true;
+};
+
+module.exports = {
+  authenticate,
+  requireApiKey,
+  ensureOwner
+};
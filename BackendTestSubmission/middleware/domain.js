@@ -0,0 +1,26 @@
+// Import custom logging middleware
+const { logValidationError } = require('../../LoggingMiddleware');
+
+const validationService = require('../services/validationService');
+
+/**
+ * Resolve the short link domain a /shorturls/:shortcode request refers to and attach it as req.linkDomain.
+ * The domain comes from the ?domain= query parameter and defaults to the primary domain.
+ */
+const resolveLinkDomain = (req, res, next) => {
+  const domainValidation = validationService.validateDomain(req.query.domain);
+  if (!domainValidation.isValid) {
+    logValidationError('domain', req.query.domain, domainValidation.error);
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: domainValidation.error
+    });
+  }
+
+  req.linkDomain = domainValidation.value;
+  next();
+};
+
+module.exports = {
+  resolveLinkDomain
+};
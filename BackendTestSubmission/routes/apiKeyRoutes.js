@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const shortcodePolicyService = require('../services/shortcodePolicyService');
+
+// Issue a new API key
+router.post('/apikeys', apiKeyController.createApiKey);
+
+// No shortcode may shadow one of the paths above
+shortcodePolicyService.reserveRoutePaths(router);
+
+module.exports = router;
@@ -1,6 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const urlController = require('../controllers/urlController');
+const transferController = require('../controllers/transferController');
+const analyticsController = require('../controllers/analyticsController');
+const qrController = require('../controllers/qrController');
+const domainController = require('../controllers/domainController');
+const shortcodeController = require('../controllers/shortcodeController');
+const aliasController = require('../controllers/aliasController');
+const shortcodePolicyService = require('../services/shortcodePolicyService');
+const { requireApiKey } = require('../middleware/auth');
+const { resolveLinkDomain } = require('../middleware/domain');
 
 // Welcome route
 router.get('/', (req, res) => {
@@ -9,20 +18,97 @@ router.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       'POST /shorturls': 'Create a short URL',
+      'POST /shorturls/batch': 'Create many short URLs in one request',
+      'GET /shorturls': 'List short URLs (filter, sort, paginate)',
+      'GET /shorturls/groups': 'Links and clicks per tag or folder',
+      'GET /shorturls/export': 'Export your links as CSV or NDJSON',
+      'POST /shorturls/import': 'Import links from CSV or NDJSON',
+      'GET /shorturls/availability/:shortcode': 'Check whether a custom shortcode is free, with alternatives',
       'GET /shorturls/:shortcode': 'Get URL statistics',
+      'GET /shorturls/:shortcode/analytics': 'Aggregated click analytics',
+      'GET /shorturls/:shortcode/clicks': 'Paginated click list',
+      'GET /shorturls/:shortcode/clicks/export': 'Export click data as CSV or NDJSON',
+      'GET /shorturls/:shortcode/qr': 'QR code of the short link as PNG or SVG',
+      'POST /shorturls/:shortcode/aliases': 'Add an alias (extra shortcode) to a short URL',
+      'DELETE /shorturls/:shortcode/aliases/:alias': 'Remove an alias from a short URL',
+      'PATCH /shorturls/:shortcode': 'Update destination and/or validity',
+      'DELETE /shorturls/:shortcode': 'Revoke a short URL',
+      'GET /domains': 'List the domains short links can be created on',
+      'GET /shortcodes/policy': 'Shortcode rules: length, letter case and reserved words',
       'GET /:shortcode': 'Redirect to original URL',
-      'GET /health': 'Health check'
+      'POST /:shortcode': 'Submit the password of a protected short URL',
+      'GET /health': 'Health check',
+      'POST /apikeys': 'Issue an API key (requires X-Admin-Token)'
     }
   });
 });
 
 // Create short URL
-router.post('/shorturls', urlController.createShortUrl);
+router.post('/shorturls', requireApiKey, urlController.createShortUrl);
+
+// Create many short URLs at once
+router.post('/shorturls/batch', requireApiKey, urlController.createShortUrlBatch);
+
+// List short URLs
+router.get('/shorturls', requireApiKey, urlController.listShortUrls);
+
+// Links and clicks per tag or folder (must be registered before /shorturls/:shortcode)
+router.get('/shorturls/groups', requireApiKey, analyticsController.getGroupAnalytics);
+
+// Export links (must be registered before /shorturls/:shortcode)
+router.get('/shorturls/export', requireApiKey, transferController.exportLinks);
+
+// Import links from CSV or NDJSON
+router.post(
+  '/shorturls/import',
+  requireApiKey,
+  express.text({ type: ['text/csv', 'application/x-ndjson', 'text/plain'], limit: '10mb' }),
+  transferController.importLinks
+);
+
+// Check a custom shortcode before creating a link (must be registered before /shorturls/:shortcode routes)
+router.get('/shorturls/availability/:shortcode', requireApiKey, resolveLinkDomain, shortcodeController.checkShortcodeAvailability);
+
+// Aggregated analytics for one link
+router.get('/shorturls/:shortcode/analytics', requireApiKey, resolveLinkDomain, analyticsController.getUrlAnalytics);
+
+// Paginated click list for one link
+router.get('/shorturls/:shortcode/clicks', requireApiKey, resolveLinkDomain, analyticsController.getUrlClicks);
+
+// Export click data for one link
+router.get('/shorturls/:shortcode/clicks/export', requireApiKey, resolveLinkDomain, transferController.exportClicks);
+
+// QR code for one link
+router.get('/shorturls/:shortcode/qr', requireApiKey, resolveLinkDomain, qrController.getQrCode);
+
+// Add an alias to one link
+router.post('/shorturls/:shortcode/aliases', requireApiKey, resolveLinkDomain, aliasController.addAlias);
+
+// Remove an alias from one link
+router.delete('/shorturls/:shortcode/aliases/:alias', requireApiKey, resolveLinkDomain, aliasController.removeAlias);
 
 // Get URL statistics
-router.get('/shorturls/:shortcode', urlController.getUrlStats);
+router.get('/shorturls/:shortcode', requireApiKey, resolveLinkDomain, urlController.getUrlStats);
+
+// Update destination and/or validity
+router.patch('/shorturls/:shortcode', requireApiKey, resolveLinkDomain, urlController.updateShortUrl);
+
+// Revoke short URL
+router.delete('/shorturls/:shortcode', requireApiKey, resolveLinkDomain, urlController.deleteShortUrl);
 
-// Redirect to original URL
+// Domains short links can be created on
+router.get('/domains', requireApiKey, domainController.listDomains);
+
+// Rules custom shortcodes must follow
+router.get('/shortcodes/policy', requireApiKey, shortcodeController.getShortcodePolicy);
+
+// Redirect to original URL (public, no API key required)
 router.get('/:shortcode', urlController.redirectToUrl);
 
+// Password prompt submissions for protected short URLs (public)
+router.post('/:shortcode', urlController.unlockShortUrl);
+
+// No shortcode may shadow one of the paths above
+shortcodePolicyService.reserveRoutePaths(router);
+
 module.exports = router;
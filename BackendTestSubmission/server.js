@@ -7,16 +7,23 @@ const path = require('path');
 // Import custom logging middleware
 const {
   expressMiddleware,
+  redactUrl,
   logInfo,
   logError,
   logWarn
 } = require('../LoggingMiddleware');
 
-// Import routes
+// Import configuration, routes and services
+const config = require('./config');
 const urlRoutes = require('./routes/urlRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const { authenticate } = require('./middleware/auth');
+const urlService = require('./services/urlService');
+const expirySweeper = require('./services/expirySweeper');
+const shortcodePolicyService = require('./services/shortcodePolicyService');
 
 const app = express();
-const PORT = process.env.PORT || 3100;
+const PORT = config.port;
 
 // Trust proxy setting - be more specific for development
 // In production, you would configure this more restrictively
@@ -52,7 +59,7 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Custom logging middleware
 app.use(expressMiddleware);
 
-// Health check endpoint (before other routes)
+// Health check endpoint (before authentication, so a stale API key cannot fail it)
 app.get('/health', (req, res) => {
   logInfo('Health check requested');
   res.status(200).json({
@@ -62,12 +69,19 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Paths served by the app itself (/health) can never be shortcodes either
+shortcodePolicyService.reserveRoutePaths(app._router);
+
+// Resolve the caller's API key (if any) for ownership checks
+app.use(authenticate);
+
 // API routes
+app.use('/', apiKeyRoutes);
 app.use('/', urlRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
-  logWarn('Route not found', { url: req.originalUrl, method: req.method });
+  logWarn('Route not found', { url: redactUrl(req.originalUrl), method: req.method });
   res.status(404).json({
     error: 'Route not found',
     message: `Cannot ${req.method} ${req.originalUrl}`
@@ -77,7 +91,7 @@ app.use('*', (req, res) => {
 // Global error handler
 app.use((err, req, res, next) => {
   logError('Unhandled error', err, {
-    url: req.originalUrl,
+    url: redactUrl(req.originalUrl),
     method: req.method,
     body: req.body
   });
@@ -88,10 +102,26 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  logInfo(`Backend started on port ${PORT}`);
-  console.log(`Server running on http://localhost:${PORT}`);
-});
+// Start the server only when run directly, so tests can load the app without listening
+if (require.main === module) {
+  const server = app.listen(PORT, () => {
+    logInfo(`Backend started on port ${PORT}`, { storageAdapter: urlService.getStorageAdapter().name });
+    console.log(`Server running on http://localhost:${PORT}`);
+    expirySweeper.startExpirySweeper(config.expirySweeper);
+  });
+
+  // Graceful shutdown - flush and close the storage backend
+  const shutdown = (signal) => {
+    logInfo(`Received ${signal}, shutting down`);
+    expirySweeper.stopExpirySweeper();
+    server.close(() => {
+      urlService.getStorageAdapter().close();
+      process.exit(0);
+    });
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
 
 module.exports = app;
@@ -0,0 +1,120 @@
+// Dimensions available in the analytics breakdowns
+const BREAKDOWN_DIMENSIONS = ['country', 'city', 'browser', 'os', 'deviceType', 'referrerDomain', 'matchedRule', 'variant', 'alias'];
+
+// Bucket sizes in milliseconds
+const INTERVALS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Extract the domain from a referrer, keeping 'Direct' for clicks without one
+ */
+const getReferrerDomain = (referrer) => {
+  if (!referrer || referrer === 'Direct') {
+    return 'Direct';
+  }
+  try {
+    return new URL(referrer).hostname || 'Unknown';
+  } catch (error) {
+    return 'Unknown';
+  }
+};
+
+/**
+ * Get the analytics dimensions of a click.
+ * Clicks recorded before these fields existed are described from their location and userAgent strings.
+ */
+const describeClick = (click) => {
+  const [legacyCity, legacyCountry] = (click.location || '').split(', ');
+  const legacyBrowser = (click.userAgent || 'Unknown').split(' ')[0];
+
+  const country = click.country || legacyCountry || 'Unknown';
+  const city = click.city || legacyCity || 'Unknown';
+
+  return {
+    country,
+    city,
+    browser: click.browser || legacyBrowser || 'Unknown',
+    os: click.os || 'Unknown',
+    deviceType: click.deviceType || 'Unknown',
+    referrerDomain: click.referrerDomain || getReferrerDomain(click.referrer),
+    // Clicks recorded before redirect rules existed all went to the original URL
+    matchedRule: click.matchedRule || 'default',
+    // Clicks on links without a split test have no variant
+    variant: click.variant || 'none',
+    // Clicks through the link's own shortcode have no alias
+    alias: click.alias || 'none'
+  };
+};
+
+/**
+ * Keep only clicks within the optional [from, to] time range
+ */
+const filterClicksByRange = (clicks, { from, to }) => {
+  return clicks.filter(click => {
+    const timestamp = new Date(click.timestamp);
+    return (!from || timestamp >= from) && (!to || timestamp <= to);
+  });
+};
+
+/**
+ * Sort a { value: count } map into [{ value, clicks }] rows, most clicks first
+ */
+const toRankedRows = (counts) => {
+  return Object.entries(counts)
+    .sort(([, a], [, b]) => b - a)
+    .map(([value, clicks]) => ({ value, clicks }));
+};
+
+/**
+ * Aggregate clicks into a time series and per-dimension breakdowns.
+ * Buckets are aligned to UTC and buckets without clicks are omitted.
+ */
+const aggregateClicks = (clicks, { interval, from, to }) => {
+  const bucketSize = INTERVALS[interval];
+  const inRange = filterClicksByRange(clicks, { from, to });
+
+  const bucketCounts = new Map();
+  const breakdowns = BREAKDOWN_DIMENSIONS.reduce((result, dimension) => {
+    result[dimension] = {};
+    return result;
+  }, {});
+
+  inRange.forEach(click => {
+    const time = new Date(click.timestamp).getTime();
+    const bucket = Math.floor(time / bucketSize) * bucketSize;
+    bucketCounts.set(bucket, (bucketCounts.get(bucket) || 0) + 1);
+
+    const dimensions = describeClick(click);
+    // City names are not unique across countries
+    if (dimensions.city !== 'Unknown') {
+      dimensions.city = `${dimensions.city}, ${dimensions.country}`;
+    }
+    BREAKDOWN_DIMENSIONS.forEach(dimension => {
+      const value = dimensions[dimension];
+      breakdowns[dimension][value] = (breakdowns[dimension][value] || 0) + 1;
+    });
+  });
+
+  return {
+    totalClicks: inRange.length,
+    timeSeries: Array.from(bucketCounts.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([bucket, count]) => ({ bucket: new Date(bucket).toISOString(), clicks: count })),
+    breakdowns: BREAKDOWN_DIMENSIONS.reduce((result, dimension) => {
+      result[dimension] = toRankedRows(breakdowns[dimension]);
+      return result;
+    }, {})
+  };
+};
+
+module.exports = {
+  BREAKDOWN_DIMENSIONS,
+  INTERVALS,
+  getReferrerDomain,
+  describeClick,
+  filterClicksByRange,
+  aggregateClicks
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+const { getStorage } = require('./storage');
+
+const storage = getStorage();
+
+// Prefix makes leaked keys easy to recognise in logs and secret scanners
+const API_KEY_PREFIX = 'usk_';
+
+/**
+ * Hash a secret so that only digests are ever stored or compared
+ */
+const hashSecret = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Issue a new API key. The plain key is only returned here and never stored.
+ */
+const issueApiKey = (name) => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  const apiKey = {
+    id: nanoid(12),
+    name,
+    keyHash: hashSecret(key),
+    createdAt: new Date().toISOString()
+  };
+
+  storage.saveApiKey(apiKey);
+
+  return {
+    key,
+    id: apiKey.id,
+    name: apiKey.name,
+    createdAt: apiKey.createdAt
+  };
+};
+
+/**
+ * Look up the stored record for a plain API key
+ */
+const verifyApiKey = (key) => {
+  if (!key || !key.startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+  return storage.getApiKey(hashSecret(key)) || null;
+};
+
+/**
+ * Compare a presented admin token with the configured one in constant time
+ */
+const verifyAdminToken = (token, adminToken) => {
+  if (!token || !adminToken) {
+    return false;
+  }
+  return crypto.timingSafeEqual(
+    Buffer.from(hashSecret(token), 'hex'),
+    Buffer.from(hashSecret(adminToken), 'hex')
+  );
+};
+
+module.exports = {
+  issueApiKey,
+  verifyApiKey,
+  verifyAdminToken
+};
@@ -0,0 +1,76 @@
+const config = require('../config');
+
+/**
+ * Parse a configured base URL into its domain (lowercase hostname) and normalised base URL.
+ * Entries without a scheme are assumed to be https.
+ */
+const parseBaseUrl = (value) => {
+  const withScheme = /^https?:\/\//i.test(value) ? value : `https://${value}`;
+  let parsed;
+  try {
+    parsed = new URL(withScheme);
+  } catch (error) {
+    throw new Error(`Invalid domain base URL "${value}"`);
+  }
+  return {
+    domain: parsed.hostname.toLowerCase(),
+    baseUrl: `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`
+  };
+};
+
+// The default domain comes first; a custom domain repeating it is ignored
+const domains = [config.domains.publicBaseUrl, ...config.domains.custom]
+  .map(parseBaseUrl)
+  .reduce((result, entry) => {
+    if (!result.has(entry.domain)) {
+      result.set(entry.domain, entry.baseUrl);
+    }
+    return result;
+  }, new Map());
+
+const defaultDomain = domains.keys().next().value;
+
+/**
+ * Get the domain used when none is specified
+ */
+const getDefaultDomain = () => defaultDomain;
+
+/**
+ * List all configured domains with their public base URLs
+ */
+const listDomains = () => {
+  return Array.from(domains.entries()).map(([domain, baseUrl]) => ({
+    domain,
+    baseUrl,
+    isDefault: domain === defaultDomain
+  }));
+};
+
+/**
+ * Check whether a domain is configured
+ */
+const isConfiguredDomain = (domain) => domains.has(domain);
+
+/**
+ * Resolve the domain a redirect request was made on.
+ * Hosts that are not configured (such as a bare IP address) fall back to the default domain.
+ */
+const resolveRequestDomain = (hostname) => {
+  const domain = (hostname || '').toLowerCase();
+  return domains.has(domain) ? domain : defaultDomain;
+};
+
+/**
+ * Build the public short link for a shortcode on a domain
+ */
+const buildShortLink = (domain, shortcode) => {
+  return `${domains.get(domain) || domains.get(defaultDomain)}/${shortcode}`;
+};
+
+module.exports = {
+  getDefaultDomain,
+  listDomains,
+  isConfiguredDomain,
+  resolveRequestDomain,
+  buildShortLink
+};
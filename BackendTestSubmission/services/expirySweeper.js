@@ -0,0 +1,63 @@
+// Import custom logging middleware
+const {
+  logExpirySweep,
+  logError,
+  logInfo
+} = require('../../LoggingMiddleware');
+
+const urlService = require('./urlService');
+
+let sweepTimer = null;
+
+/**
+ * Run a single expiry sweep and log a summary
+ */
+const runSweep = (retentionMinutes) => {
+  const start = Date.now();
+
+  try {
+    const { deletedCount, retainedCount, deletedClicks } = urlService.cleanupExpiredUrls(retentionMinutes);
+    logExpirySweep(deletedCount, retainedCount, deletedClicks, Date.now() - start, { retentionMinutes });
+    return { deletedCount, retainedCount, deletedClicks };
+  } catch (error) {
+    logError('Expiry sweep failed', error, { retentionMinutes });
+    return null;
+  }
+};
+
+/**
+ * Start the background sweeper that hard-deletes links expired for longer than the retention period
+ */
+const startExpirySweeper = ({ intervalMinutes, retentionMinutes }) => {
+  if (sweepTimer) {
+    return;
+  }
+
+  if (!intervalMinutes || intervalMinutes <= 0) {
+    logInfo('Expiry sweeper disabled');
+    return;
+  }
+
+  sweepTimer = setInterval(() => runSweep(retentionMinutes), intervalMinutes * 60 * 1000);
+
+  // Do not keep the process alive just for the sweeper
+  sweepTimer.unref();
+
+  logInfo('Expiry sweeper started', { intervalMinutes, retentionMinutes });
+};
+
+/**
+ * Stop the background sweeper
+ */
+const stopExpirySweeper = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
+
+module.exports = {
+  runSweep,
+  startExpirySweeper,
+  stopExpirySweeper
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const config = require('../config');
+const getEntryKey = require('./storage/entryKey');
+
+const { maxFailedAttempts, lockoutMinutes, tokenTtlSeconds } = config.linkPasswords;
+const lockoutMs = lockoutMinutes * 60 * 1000;
+
+// Tokens signed with a per-process secret stop working after a restart, which their short lifetime allows
+const tokenSecret = config.linkPasswords.tokenSecret || crypto.randomBytes(32).toString('hex');
+
+// Failed attempts per short link: { count, firstFailureAt, lockedUntil }
+const failedAttempts = new Map();
+
+/**
+ * Hash a link password with scrypt and a random salt, as "scrypt$<salt>$<hash>"
+ */
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+/**
+ * Check that a value has the format hashPassword produces (used when importing exported links)
+ */
+const isPasswordHash = (value) => {
+  return typeof value === 'string' && /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/.test(value);
+};
+
+/**
+ * Check a presented password against a stored hash in constant time
+ */
+const verifyPassword = (password, passwordHash) => {
+  const [scheme, salt, hash] = (passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Sign the access token payload for a link.
+ * The password hash is part of the payload so changing the password revokes outstanding tokens.
+ */
+const signToken = (urlEntry, expiresAtMs) => {
+  return crypto
+    .createHmac('sha256', tokenSecret)
+    .update(`${getEntryKey(urlEntry.domain, urlEntry.shortcode)}:${expiresAtMs}:${urlEntry.passwordHash}`)
+    .digest('base64url');
+};
+
+/**
+ * Issue a short-lived token that lets the holder follow a password-protected link
+ */
+const issueAccessToken = (urlEntry) => {
+  const expiresAtMs = Date.now() + (tokenTtlSeconds * 1000);
+  return `${expiresAtMs}.${signToken(urlEntry, expiresAtMs)}`;
+};
+
+/**
+ * Check an access token previously issued for the link
+ */
+const verifyAccessToken = (urlEntry, token) => {
+  if (typeof token !== 'string') {
+    return false;
+  }
+  const [expiresAt, signature] = token.split('.');
+  const expiresAtMs = Number(expiresAt);
+  if (!signature || !Number.isInteger(expiresAtMs) || expiresAtMs < Date.now()) {
+    return false;
+  }
+  const expected = Buffer.from(signToken(urlEntry, expiresAtMs));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Get the milliseconds left on a link's lockout (0 when it is not locked)
+ */
+const getLockoutRemaining = (domain, shortcode) => {
+  const key = getEntryKey(domain, shortcode);
+  const entry = failedAttempts.get(key);
+  if (!entry) {
+    return 0;
+  }
+
+  const now = Date.now();
+  if (entry.lockedUntil && entry.lockedUntil > now) {
+    return entry.lockedUntil - now;
+  }
+  if (entry.lockedUntil || now - entry.firstFailureAt > lockoutMs) {
+    failedAttempts.delete(key);
+  }
+  return 0;
+};
+
+/**
+ * Count a failed password attempt against a link, locking it once the limit is reached
+ */
+const recordFailedAttempt = (domain, shortcode) => {
+  const key = getEntryKey(domain, shortcode);
+  const now = Date.now();
+  let entry = failedAttempts.get(key);
+  if (!entry || now - entry.firstFailureAt > lockoutMs) {
+    entry = { count: 0, firstFailureAt: now, lockedUntil: null };
+    failedAttempts.set(key, entry);
+  }
+
+  entry.count++;
+  if (entry.count >= maxFailedAttempts) {
+    entry.lockedUntil = now + lockoutMs;
+  }
+
+  return {
+    attempts: entry.count,
+    locked: Boolean(entry.lockedUntil)
+  };
+};
+
+/**
+ * Forget the failed attempts of a link after a correct password
+ */
+const clearFailedAttempts = (domain, shortcode) => {
+  failedAttempts.delete(getEntryKey(domain, shortcode));
+};
+
+module.exports = {
+  hashPassword,
+  isPasswordHash,
+  verifyPassword,
+  issueAccessToken,
+  verifyAccessToken,
+  getLockoutRemaining,
+  recordFailedAttempt,
+  clearFailedAttempts
+};
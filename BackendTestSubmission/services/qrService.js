@@ -0,0 +1,33 @@
+const QRCode = require('qrcode');
+
+// Content types of the supported QR code formats
+const QR_CONTENT_TYPES = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+
+/**
+ * Render text as a QR code.
+ * Resolves to a Buffer for PNG and an SVG string for SVG.
+ */
+const generateQrCode = (text, { format, size, margin, errorCorrectionLevel, foreground, background }) => {
+  const options = {
+    width: size,
+    margin,
+    errorCorrectionLevel,
+    color: {
+      dark: foreground,
+      light: background
+    }
+  };
+
+  if (format === 'svg') {
+    return QRCode.toString(text, { ...options, type: 'svg' });
+  }
+  return QRCode.toBuffer(text, { ...options, type: 'png' });
+};
+
+module.exports = {
+  QR_CONTENT_TYPES,
+  generateQrCode
+};
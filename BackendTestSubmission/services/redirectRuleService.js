@@ -0,0 +1,123 @@
+// Name recorded on clicks that fell through to the link's originalUrl
+const DEFAULT_RULE_NAME = 'default';
+
+// Weekday names as produced by Intl.DateTimeFormat with weekday: 'short'
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get the visitor's preferred language tag from an Accept-Language header (lowercase, null when absent)
+ */
+const getPreferredLanguage = (acceptLanguage) => {
+  if (!acceptLanguage) {
+    return null;
+  }
+
+  const [preferred] = acceptLanguage
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.find(param => param.trim().startsWith('q='));
+      return { tag: tag.trim().toLowerCase(), q: quality ? parseFloat(quality.trim().slice(2)) : 1, index };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => (b.q - a.q) || (a.index - b.index));
+
+  return preferred ? preferred.tag : null;
+};
+
+/**
+ * Get the local time of day (minutes since midnight) and weekday (0 = Sunday) in a time zone
+ */
+const getLocalTime = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date).reduce((result, { type, value }) => {
+    result[type] = value;
+    return result;
+  }, {});
+
+  return {
+    minutes: (Number(parts.hour) * 60) + Number(parts.minute),
+    day: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Convert an "HH:MM" time to minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return (hours * 60) + minutes;
+};
+
+/**
+ * Check whether a time window { from, to, days, timezone } contains the given moment.
+ * Windows whose end is before their start run over midnight.
+ */
+const isWithinTimeWindow = (window, now) => {
+  const { minutes, day } = getLocalTime(now, window.timezone || 'UTC');
+
+  if (window.days && !window.days.includes(day)) {
+    return false;
+  }
+
+  const from = toMinutes(window.from);
+  const to = toMinutes(window.to);
+  return from <= to
+    ? minutes >= from && minutes < to
+    : minutes >= from || minutes < to;
+};
+
+/**
+ * Check a language condition: "de" matches de, de-DE and de-AT, "pt-br" only pt-BR
+ */
+const matchesLanguage = (languages, preferredLanguage) => {
+  if (!preferredLanguage) {
+    return false;
+  }
+  return languages.some(language =>
+    preferredLanguage === language || preferredLanguage.startsWith(`${language}-`)
+  );
+};
+
+/**
+ * Check whether a visitor meets every condition of a rule.
+ * The visitor is { os, deviceType, country, language, now }; list conditions match any of their values.
+ */
+const matchesRule = (rule, visitor) => {
+  if (rule.os && !rule.os.includes((visitor.os || '').toLowerCase())) {
+    return false;
+  }
+  if (rule.deviceType && !rule.deviceType.includes(visitor.deviceType)) {
+    return false;
+  }
+  if (rule.country && !rule.country.includes(visitor.country)) {
+    return false;
+  }
+  if (rule.language && !matchesLanguage(rule.language, visitor.language)) {
+    return false;
+  }
+  if (rule.time && !isWithinTimeWindow(rule.time, visitor.now)) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Find the first rule of a link that matches the visitor (null when none does)
+ */
+const findMatchingRule = (rules, visitor) => {
+  return (rules || []).find(rule => matchesRule(rule, visitor)) || null;
+};
+
+module.exports = {
+  DEFAULT_RULE_NAME,
+  getPreferredLanguage,
+  isWithinTimeWindow,
+  matchesRule,
+  findMatchingRule
+};
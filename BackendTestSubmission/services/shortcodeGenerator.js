@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { customAlphabet } = require('nanoid');
+
+// Shortest and longest shortcodes accepted by validateShortcode
+const MIN_SHORTCODE_LENGTH = 4;
+const MAX_SHORTCODE_LENGTH = 10;
+
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Alphanumeric characters without the easily confused 0/O/o, 1/l and I
+const UNAMBIGUOUS_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz';
+
+const CONSONANTS = 'bcdfghjkmnprstvwz';
+const VOWELS = 'aeiou';
+
+/**
+ * Reduce an alphabet for a case-insensitive namespace: the lowercase characters whose
+ * uppercase form is in the alphabet too, so no two codes differ only in case
+ */
+const foldAlphabet = (alphabet) => {
+  return [...new Set(alphabet.toLowerCase())]
+    .filter(char => alphabet.includes(char) && alphabet.includes(char.toUpperCase()))
+    .join('');
+};
+
+/**
+ * Get random lowercase characters that are easy to tell apart, e.g. to vary a suggested shortcode
+ */
+const randomCharacters = (length) => customAlphabet(foldAlphabet(UNAMBIGUOUS_ALPHABET), length)();
+
+/**
+ * Build a strategy that picks random characters from an alphabet
+ */
+const createRandomStrategy = (alphabet) => {
+  // nanoid fixes the size when the generator is created, so keep one per length
+  const generators = new Map();
+  return (domain, length) => {
+    if (!generators.has(length)) {
+      generators.set(length, customAlphabet(alphabet, length));
+    }
+    return generators.get(length)();
+  };
+};
+
+/**
+ * Build a strategy of alternating consonants and vowels ("bokafe"), which is easy to read out
+ */
+const createPronounceableStrategy = () => (domain, length) => {
+  let shortcode = '';
+  for (let i = 0; i < length; i++) {
+    const letters = i % 2 === 0 ? CONSONANTS : VOWELS;
+    shortcode += letters[crypto.randomInt(letters.length)];
+  }
+  return shortcode;
+};
+
+/**
+ * Encode a counter value (a BigInt, as 10 base62 digits exceed Number precision) in the alphabet's base,
+ * left-padded with its zero digit
+ */
+const encodeCounter = (value, alphabet, length) => {
+  const base = BigInt(alphabet.length);
+  let encoded = '';
+  let remaining = value;
+  do {
+    encoded = alphabet[Number(remaining % base)] + encoded;
+    remaining /= base;
+  } while (remaining > 0n);
+  return encoded.padStart(length, alphabet[0]);
+};
+
+/**
+ * Decode a shortcode written in the alphabet's base to a BigInt (null for codes with other characters)
+ */
+const decodeCounter = (shortcode, alphabet) => {
+  const base = BigInt(alphabet.length);
+  let value = 0n;
+  for (const char of shortcode) {
+    const digit = alphabet.indexOf(char);
+    if (digit === -1) {
+      return null;
+    }
+    value = (value * base) + BigInt(digit);
+  }
+  return value;
+};
+
+/**
+ * Build a strategy that counts up in base62 (base36 for case-insensitive shortcodes) per domain.
+ * Each domain's counter starts after the highest stored shortcode of the configured length,
+ * so codes handed out before a restart are not reissued.
+ */
+const createSequentialStrategy = (alphabet, listShortcodes) => {
+  const counters = new Map();
+  return (domain, length) => {
+    if (!counters.has(domain)) {
+      const highest = listShortcodes(domain)
+        .filter(shortcode => shortcode.length === length)
+        .map(shortcode => decodeCounter(shortcode, alphabet))
+        .filter(value => value !== null)
+        .reduce((max, value) => (value > max ? value : max), -1n);
+      counters.set(domain, highest + 1n);
+    }
+    const value = counters.get(domain);
+    counters.set(domain, value + 1n);
+    return encodeCounter(value, alphabet, length);
+  };
+};
+
+// Strategy factories, given the alphabet transform for the namespace's case policy
+const strategies = {
+  alphanumeric: ({ toAlphabet }) => createRandomStrategy(toAlphabet(BASE62_ALPHABET)),
+  unambiguous: ({ toAlphabet }) => createRandomStrategy(toAlphabet(UNAMBIGUOUS_ALPHABET)),
+  pronounceable: () => createPronounceableStrategy(),
+  sequential: ({ toAlphabet, listShortcodes }) => createSequentialStrategy(toAlphabet(BASE62_ALPHABET), listShortcodes)
+};
+
+/**
+ * Create the shortcode generator for the configured strategy.
+ * With caseSensitive false only lowercase letters are used, as codes differing in case would collide.
+ *
+ * generate(domain, isAvailable) tries up to maxCollisionRetries codes at the current length; when they
+ * are all taken the length grows by one for this and every later code (up to MAX_SHORTCODE_LENGTH),
+ * and onLengthIncreased(previousLength, newLength) is called. Throws once no free code is found at the
+ * maximum length.
+ */
+const createShortcodeGenerator = ({
+  strategy, length, maxCollisionRetries, caseSensitive = true, listShortcodes, onLengthIncreased
+}) => {
+  const factory = strategies[strategy];
+  if (!factory) {
+    throw new Error(
+      `Unknown shortcode strategy "${strategy}". Expected one of: ${Object.keys(strategies).join(', ')}`
+    );
+  }
+  if (!Number.isInteger(length) || length < MIN_SHORTCODE_LENGTH || length > MAX_SHORTCODE_LENGTH) {
+    throw new Error(`Shortcode length must be an integer between ${MIN_SHORTCODE_LENGTH} and ${MAX_SHORTCODE_LENGTH}`);
+  }
+  if (!Number.isInteger(maxCollisionRetries) || maxCollisionRetries < 1) {
+    throw new Error('Shortcode collision retries must be a positive integer');
+  }
+
+  const nextShortcode = factory({
+    toAlphabet: caseSensitive ? (alphabet => alphabet) : foldAlphabet,
+    listShortcodes
+  });
+  let currentLength = length;
+
+  const generate = (domain, isAvailable) => {
+    for (;;) {
+      for (let attempt = 0; attempt < maxCollisionRetries; attempt++) {
+        const shortcode = nextShortcode(domain, currentLength);
+        if (isAvailable(shortcode)) {
+          return shortcode;
+        }
+      }
+
+      if (currentLength >= MAX_SHORTCODE_LENGTH) {
+        throw new Error(`Could not generate a free shortcode after ${maxCollisionRetries} attempts at the maximum length`);
+      }
+      currentLength++;
+      if (onLengthIncreased) {
+        onLengthIncreased(currentLength - 1, currentLength);
+      }
+    }
+  };
+
+  return {
+    strategy,
+    generate,
+    getCurrentLength: () => currentLength
+  };
+};
+
+module.exports = {
+  MIN_SHORTCODE_LENGTH,
+  MAX_SHORTCODE_LENGTH,
+  randomCharacters,
+  createShortcodeGenerator
+};
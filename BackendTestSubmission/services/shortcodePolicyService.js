@@ -0,0 +1,58 @@
+const config = require('../config');
+
+// Case policies for the shortcode namespace
+const CASE_POLICIES = ['insensitive', 'sensitive'];
+
+if (!CASE_POLICIES.includes(config.shortcodes.caseFolding)) {
+  throw new Error(
+    `Unknown shortcode case policy "${config.shortcodes.caseFolding}". Expected one of: ${CASE_POLICIES.join(', ')}`
+  );
+}
+
+// Reserved words, lowercase: the configured list plus the first segment of every registered route path
+const reservedWords = new Set(config.shortcodes.reservedWords.map(word => word.toLowerCase()));
+
+/**
+ * Check whether Promo and promo are different shortcodes
+ */
+const isCaseSensitive = () => config.shortcodes.caseFolding === 'sensitive';
+
+/**
+ * Get the form of a shortcode used to compare it with others under the case policy
+ */
+const foldShortcode = (shortcode) => {
+  return isCaseSensitive() ? shortcode : shortcode.toLowerCase();
+};
+
+/**
+ * Reserve the first path segment of every route registered on an Express router,
+ * so a shortcode can never shadow an endpoint (/shorturls/:shortcode reserves "shorturls").
+ */
+const reserveRoutePaths = (router) => {
+  router.stack
+    .filter(layer => layer.route && typeof layer.route.path === 'string')
+    .forEach(layer => {
+      const [segment] = layer.route.path.split('/').filter(Boolean);
+      if (segment && !segment.startsWith(':')) {
+        reservedWords.add(segment.toLowerCase());
+      }
+    });
+};
+
+/**
+ * Get the reserved words in alphabetical order
+ */
+const getReservedWords = () => [...reservedWords].sort();
+
+/**
+ * Check whether a shortcode is a reserved word (always case-insensitively, as paths are matched that way)
+ */
+const isReservedWord = (shortcode) => reservedWords.has(shortcode.toLowerCase());
+
+module.exports = {
+  isCaseSensitive,
+  foldShortcode,
+  reserveRoutePaths,
+  getReservedWords,
+  isReservedWord
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+// Cookie remembering a visitor's variant; it is scoped to the short link's path,
+// so one name serves every link on a domain
+const VARIANT_COOKIE_NAME = 'sl_variant';
+
+/**
+ * Parse a Cookie header into a { name: value } map
+ */
+const parseCookies = (cookieHeader) => {
+  return (cookieHeader || '').split(';').reduce((cookies, part) => {
+    const separator = part.indexOf('=');
+    if (separator > 0) {
+      const name = part.slice(0, separator).trim();
+      const value = part.slice(separator + 1).trim();
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[name] = value;
+      }
+    }
+    return cookies;
+  }, {});
+};
+
+/**
+ * Pick a variant at random according to the percentage weights (which add up to 100)
+ */
+const pickVariant = (variants) => {
+  let roll = crypto.randomInt(100);
+  for (const variant of variants) {
+    if (roll < variant.weight) {
+      return variant;
+    }
+    roll -= variant.weight;
+  }
+  return variants[variants.length - 1];
+};
+
+/**
+ * Choose the variant for a visit.
+ * With sticky variants the one remembered in the visitor's cookie is reused while it still has weight.
+ * Returns { variant, remembered } or null for links without variants.
+ */
+const chooseVariant = (urlEntry, cookieHeader) => {
+  if (!urlEntry.variants || urlEntry.variants.length === 0) {
+    return null;
+  }
+
+  if (urlEntry.stickyVariants) {
+    const rememberedName = parseCookies(cookieHeader)[VARIANT_COOKIE_NAME];
+    const remembered = urlEntry.variants.find(variant => variant.name === rememberedName && variant.weight > 0);
+    if (remembered) {
+      return { variant: remembered, remembered: true };
+    }
+  }
+
+  return { variant: pickVariant(urlEntry.variants), remembered: false };
+};
+
+/**
+ * Count the clicks each variant received, in the order the variants are defined
+ */
+const countVariantClicks = (variants, clicks) => {
+  return (variants || []).map(variant => ({
+    ...variant,
+    clicks: clicks.filter(click => click.variant === variant.name).length
+  }));
+};
+
+module.exports = {
+  VARIANT_COOKIE_NAME,
+  parseCookies,
+  pickVariant,
+  chooseVariant,
+  countVariantClicks
+};
@@ -0,0 +1,7 @@
+/**
+ * Key identifying a URL entry in the map-based adapters.
+ * Shortcodes are only unique per domain; neither part can contain '/'.
+ */
+const getEntryKey = (domain, shortcode) => `${domain}/${shortcode}`;
+
+module.exports = getEntryKey;
@@ -0,0 +1,64 @@
+/**
+ * Storage adapter factory.
+ *
+ * Every adapter exposes the same synchronous interface:
+ *   has(domain, shortcode), get(domain, shortcode), set(urlEntry), update(domain, shortcode, changes),
+ *   delete(domain, shortcode), values({ includeClicks }), appendClick(domain, shortcode, clickData),
+ *   getApiKey(keyHash), saveApiKey(apiKey), close()
+ *
+ * URL entries are identified by their domain and shortcode; entries stored
+ * before custom domains existed are assigned the default domain on load.
+ *
+ * values({ includeClicks: false }) returns entries without their clicks array
+ * but with a totalClicks count, which is much cheaper for listings.
+ *
+ * appendClick() enforces the entry's optional maxClicks atomically: it returns
+ * false, recording nothing, when the entry is missing or its limit is used up.
+ *
+ * Adapters are required lazily so that optional native dependencies
+ * (such as better-sqlite3) are only loaded when they are selected.
+ */
+const config = require('../../config');
+const { getDefaultDomain } = require('../domainService');
+
+const adapters = {
+  memory: () => require('./memoryAdapter')(),
+  json: (storageConfig) => require('./jsonFileAdapter')({
+    filePath: storageConfig.jsonFilePath,
+    defaultDomain: getDefaultDomain()
+  }),
+  sqlite: (storageConfig) => require('./sqliteAdapter')({
+    filePath: storageConfig.sqliteFilePath,
+    defaultDomain: getDefaultDomain()
+  })
+};
+
+let storageInstance = null;
+
+/**
+ * Create the storage adapter selected in the storage configuration
+ */
+const createStorageAdapter = (storageConfig) => {
+  const factory = adapters[storageConfig.adapter];
+  if (!factory) {
+    throw new Error(
+      `Unknown storage adapter "${storageConfig.adapter}". Expected one of: ${Object.keys(adapters).join(', ')}`
+    );
+  }
+  return factory(storageConfig);
+};
+
+/**
+ * Get the shared storage adapter for the configured backend, creating it on first use
+ */
+const getStorage = () => {
+  if (!storageInstance) {
+    storageInstance = createStorageAdapter(config.storage);
+  }
+  return storageInstance;
+};
+
+module.exports = {
+  createStorageAdapter,
+  getStorage
+};
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const getEntryKey = require('./entryKey');
+
+/**
+ * JSON file storage adapter.
+ * Keeps all entries in memory and rewrites the whole file after every change,
+ * so it is meant for small deployments and local development.
+ */
+const createJsonFileAdapter = ({ filePath, defaultDomain }) => {
+  const urlStorage = new Map();
+  const apiKeyStorage = new Map();
+
+  // Load existing entries from disk (older files contain only the array of URL entries,
+  // and entries written before custom domains existed belong to the default domain)
+  if (fs.existsSync(filePath)) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const data = content.trim() ? JSON.parse(content) : {};
+    const { urls = [], apiKeys = [] } = Array.isArray(data) ? { urls: data } : data;
+    urls.forEach(urlEntry => {
+      const domain = urlEntry.domain || defaultDomain;
+      urlStorage.set(getEntryKey(domain, urlEntry.shortcode), { ...urlEntry, domain });
+    });
+    apiKeys.forEach(apiKey => {
+      apiKeyStorage.set(apiKey.keyHash, apiKey);
+    });
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  // Write to a temporary file first so a crash never leaves a half-written file
+  const persist = () => {
+    const tempPath = `${filePath}.tmp`;
+    const data = {
+      urls: Array.from(urlStorage.values()),
+      apiKeys: Array.from(apiKeyStorage.values())
+    };
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  return {
+    name: 'json',
+
+    has: (domain, shortcode) => urlStorage.has(getEntryKey(domain, shortcode)),
+
+    get: (domain, shortcode) => urlStorage.get(getEntryKey(domain, shortcode)),
+
+    set: (urlEntry) => {
+      urlStorage.set(getEntryKey(urlEntry.domain, urlEntry.shortcode), urlEntry);
+      persist();
+    },
+
+    update: (domain, shortcode, changes) => {
+      const urlEntry = urlStorage.get(getEntryKey(domain, shortcode));
+      if (!urlEntry) {
+        return undefined;
+      }
+      const { clicks, ...fields } = changes;
+      Object.assign(urlEntry, fields);
+      persist();
+      return urlEntry;
+    },
+
+    delete: (domain, shortcode) => {
+      const deleted = urlStorage.delete(getEntryKey(domain, shortcode));
+      if (deleted) {
+        persist();
+      }
+      return deleted;
+    },
+
+    values: ({ includeClicks = true } = {}) => {
+      const entries = Array.from(urlStorage.values());
+      if (includeClicks) {
+        return entries;
+      }
+      return entries.map(({ clicks, ...rest }) => ({ ...rest, totalClicks: clicks.length }));
+    },
+
+    appendClick: (domain, shortcode, clickData) => {
+      const urlEntry = urlStorage.get(getEntryKey(domain, shortcode));
+      if (!urlEntry || (urlEntry.maxClicks && urlEntry.clicks.length >= urlEntry.maxClicks)) {
+        return false;
+      }
+      urlEntry.clicks.push(clickData);
+      persist();
+      return true;
+    },
+
+    getApiKey: (keyHash) => apiKeyStorage.get(keyHash),
+
+    saveApiKey: (apiKey) => {
+      apiKeyStorage.set(apiKey.keyHash, apiKey);
+      persist();
+    },
+
+    close: () => {}
+  };
+};
+
+module.exports = createJsonFileAdapter;
@@ -0,0 +1,61 @@
+const getEntryKey = require('./entryKey');
+
+/**
+ * In-memory storage adapter backed by a Map.
+ * Data is lost when the process restarts.
+ */
+const createMemoryAdapter = () => {
+  const urlStorage = new Map();
+  const apiKeyStorage = new Map();
+
+  return {
+    name: 'memory',
+
+    has: (domain, shortcode) => urlStorage.has(getEntryKey(domain, shortcode)),
+
+    get: (domain, shortcode) => urlStorage.get(getEntryKey(domain, shortcode)),
+
+    set: (urlEntry) => {
+      urlStorage.set(getEntryKey(urlEntry.domain, urlEntry.shortcode), urlEntry);
+    },
+
+    update: (domain, shortcode, changes) => {
+      const urlEntry = urlStorage.get(getEntryKey(domain, shortcode));
+      if (!urlEntry) {
+        return undefined;
+      }
+      const { clicks, ...fields } = changes;
+      Object.assign(urlEntry, fields);
+      return urlEntry;
+    },
+
+    delete: (domain, shortcode) => urlStorage.delete(getEntryKey(domain, shortcode)),
+
+    values: ({ includeClicks = true } = {}) => {
+      const entries = Array.from(urlStorage.values());
+      if (includeClicks) {
+        return entries;
+      }
+      return entries.map(({ clicks, ...rest }) => ({ ...rest, totalClicks: clicks.length }));
+    },
+
+    appendClick: (domain, shortcode, clickData) => {
+      const urlEntry = urlStorage.get(getEntryKey(domain, shortcode));
+      if (!urlEntry || (urlEntry.maxClicks && urlEntry.clicks.length >= urlEntry.maxClicks)) {
+        return false;
+      }
+      urlEntry.clicks.push(clickData);
+      return true;
+    },
+
+    getApiKey: (keyHash) => apiKeyStorage.get(keyHash),
+
+    saveApiKey: (apiKey) => {
+      apiKeyStorage.set(apiKey.keyHash, apiKey);
+    },
+
+    close: () => {}
+  };
+};
+
+module.exports = createMemoryAdapter;
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const getEntryKey = require('./entryKey');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS urls (
+    domain TEXT NOT NULL,
+    shortcode TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (domain, shortcode)
+  );
+  CREATE TABLE IF NOT EXISTS clicks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    domain TEXT NOT NULL,
+    shortcode TEXT NOT NULL,
+    data TEXT NOT NULL,
+    FOREIGN KEY (domain, shortcode) REFERENCES urls(domain, shortcode) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_clicks_link ON clicks(domain, shortcode);
+  CREATE TABLE IF NOT EXISTS api_keys (
+    key_hash TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+`;
+
+/**
+ * Move databases created before custom domains existed (keyed by shortcode alone)
+ * to the (domain, shortcode) schema, assigning every link to the default domain.
+ */
+const migrateToDomainSchema = (db, defaultDomain) => {
+  const urlColumns = db.prepare('PRAGMA table_info(urls)').all();
+  if (urlColumns.length === 0 || urlColumns.some(column => column.name === 'domain')) {
+    return;
+  }
+
+  db.transaction(() => {
+    db.exec(`
+      ALTER TABLE clicks RENAME TO clicks_legacy;
+      ALTER TABLE urls RENAME TO urls_legacy;
+      DROP INDEX IF EXISTS idx_clicks_shortcode;
+    `);
+    db.exec(SCHEMA);
+    db.prepare(`
+      INSERT INTO urls (domain, shortcode, data)
+      SELECT ?, shortcode, json_set(data, '$.domain', ?) FROM urls_legacy
+    `).run(defaultDomain, defaultDomain);
+    db.prepare(`
+      INSERT INTO clicks (id, domain, shortcode, data)
+      SELECT id, ?, shortcode, data FROM clicks_legacy
+    `).run(defaultDomain);
+    db.exec(`
+      DROP TABLE clicks_legacy;
+      DROP TABLE urls_legacy;
+    `);
+  })();
+};
+
+/**
+ * Embedded SQLite storage adapter.
+ * URL entries are stored as JSON documents, clicks live in their own table
+ * so recording a click never rewrites the whole entry.
+ */
+const createSqliteAdapter = ({ filePath, defaultDomain }) => {
+  if (filePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+
+  // Foreign keys stay off while legacy tables are rebuilt
+  migrateToDomainSchema(db, defaultDomain);
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  const statements = {
+    has: db.prepare('SELECT 1 FROM urls WHERE domain = ? AND shortcode = ?'),
+    get: db.prepare('SELECT data FROM urls WHERE domain = ? AND shortcode = ?'),
+    all: db.prepare('SELECT domain, shortcode, data FROM urls'),
+    summaries: db.prepare(`
+      SELECT urls.data AS data, COUNT(clicks.id) AS totalClicks
+      FROM urls LEFT JOIN clicks ON clicks.domain = urls.domain AND clicks.shortcode = urls.shortcode
+      GROUP BY urls.domain, urls.shortcode
+    `),
+    upsert: db.prepare(`
+      INSERT INTO urls (domain, shortcode, data) VALUES (?, ?, ?)
+      ON CONFLICT(domain, shortcode) DO UPDATE SET data = excluded.data
+    `),
+    delete: db.prepare('DELETE FROM urls WHERE domain = ? AND shortcode = ?'),
+    clicksFor: db.prepare('SELECT data FROM clicks WHERE domain = ? AND shortcode = ? ORDER BY id'),
+    allClicks: db.prepare('SELECT domain, shortcode, data FROM clicks ORDER BY id'),
+    insertClick: db.prepare('INSERT INTO clicks (domain, shortcode, data) VALUES (?, ?, ?)'),
+    // A single statement, so the click limit check and the insert cannot interleave with other writers
+    appendClick: db.prepare(`
+      INSERT INTO clicks (domain, shortcode, data)
+      SELECT domain, shortcode, ? FROM urls
+      WHERE domain = ? AND shortcode = ?
+        AND (
+          json_extract(data, '$.maxClicks') IS NULL
+          OR (
+            SELECT COUNT(*) FROM clicks
+            WHERE clicks.domain = urls.domain AND clicks.shortcode = urls.shortcode
+          ) < json_extract(data, '$.maxClicks')
+        )
+    `),
+    deleteClicks: db.prepare('DELETE FROM clicks WHERE domain = ? AND shortcode = ?'),
+    getApiKey: db.prepare('SELECT data FROM api_keys WHERE key_hash = ?'),
+    saveApiKey: db.prepare(`
+      INSERT INTO api_keys (key_hash, data) VALUES (?, ?)
+      ON CONFLICT(key_hash) DO UPDATE SET data = excluded.data
+    `)
+  };
+
+  // Entries are stored without their clicks; clicks are re-attached on read
+  const serializeEntry = (urlEntry) => {
+    const { clicks, ...rest } = urlEntry;
+    return JSON.stringify(rest);
+  };
+
+  const getClicks = (domain, shortcode) => {
+    return statements.clicksFor.all(domain, shortcode).map(click => JSON.parse(click.data));
+  };
+
+  const set = db.transaction((urlEntry) => {
+    const { domain, shortcode } = urlEntry;
+    statements.upsert.run(domain, shortcode, serializeEntry(urlEntry));
+    statements.deleteClicks.run(domain, shortcode);
+    (urlEntry.clicks || []).forEach(clickData => {
+      statements.insertClick.run(domain, shortcode, JSON.stringify(clickData));
+    });
+  });
+
+  return {
+    name: 'sqlite',
+
+    has: (domain, shortcode) => !!statements.has.get(domain, shortcode),
+
+    get: (domain, shortcode) => {
+      const row = statements.get.get(domain, shortcode);
+      if (!row) {
+        return undefined;
+      }
+      return {
+        ...JSON.parse(row.data),
+        clicks: getClicks(domain, shortcode)
+      };
+    },
+
+    set,
+
+    // Only the entry document is rewritten; recorded clicks are left untouched
+    update: (domain, shortcode, changes) => {
+      const row = statements.get.get(domain, shortcode);
+      if (!row) {
+        return undefined;
+      }
+      const { clicks, ...fields } = changes;
+      const urlEntry = { ...JSON.parse(row.data), ...fields };
+      statements.upsert.run(domain, shortcode, JSON.stringify(urlEntry));
+      return {
+        ...urlEntry,
+        clicks: getClicks(domain, shortcode)
+      };
+    },
+
+    delete: (domain, shortcode) => statements.delete.run(domain, shortcode).changes > 0,
+
+    values: ({ includeClicks = true } = {}) => {
+      if (!includeClicks) {
+        return statements.summaries.all().map(({ data, totalClicks }) => ({
+          ...JSON.parse(data),
+          totalClicks
+        }));
+      }
+
+      const clicksByLink = new Map();
+      statements.allClicks.all().forEach(({ domain, shortcode, data }) => {
+        const key = getEntryKey(domain, shortcode);
+        if (!clicksByLink.has(key)) {
+          clicksByLink.set(key, []);
+        }
+        clicksByLink.get(key).push(JSON.parse(data));
+      });
+
+      return statements.all.all().map(({ domain, shortcode, data }) => ({
+        ...JSON.parse(data),
+        clicks: clicksByLink.get(getEntryKey(domain, shortcode)) || []
+      }));
+    },
+
+    appendClick: (domain, shortcode, clickData) => {
+      return statements.appendClick.run(JSON.stringify(clickData), domain, shortcode).changes > 0;
+    },
+
+    getApiKey: (keyHash) => {
+      const row = statements.getApiKey.get(keyHash);
+      return row ? JSON.parse(row.data) : undefined;
+    },
+
+    saveApiKey: (apiKey) => {
+      statements.saveApiKey.run(apiKey.keyHash, JSON.stringify(apiKey));
+    },
+
+    close: () => db.close()
+  };
+};
+
+module.exports = createSqliteAdapter;
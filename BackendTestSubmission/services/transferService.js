@@ -0,0 +1,430 @@
+// Import services
+const urlService = require('./urlService');
+const validationService = require('./validationService');
+const urlScreeningService = require('./urlScreeningService');
+const shortcodePolicyService = require('./shortcodePolicyService');
+const linkPasswordService = require('./linkPasswordService');
+const { logDestinationBlocked } = require('../../LoggingMiddleware');
+
+// Supported formats and their content types
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Columns written for link and click exports
+const LINK_FIELDS = [
+  'shortcode', 'domain', 'originalUrl', 'title', 'description', 'tags', 'folder',
+  'createdAt', 'activatesAt', 'expiresAt', 'maxClicks', 'passwordHash', 'rules', 'variants', 'stickyVariants', 'aliases', 'totalClicks'
+];
+const CLICK_FIELDS = [
+  'timestamp', 'referrer', 'location', 'userAgent',
+  'country', 'city', 'browser', 'os', 'deviceType', 'referrerDomain', 'matchedRule', 'variant', 'alias'
+];
+
+// Cells starting with one of these are evaluated as formulas by spreadsheet apps
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a single CSV cell.
+ * Nested values (redirect rules) are written as JSON. Unless guardFormulas is off, cells that
+ * spreadsheet apps would evaluate as formulas are prefixed with a quote.
+ */
+const escapeCsvCell = (value, guardFormulas) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let cell = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (guardFormulas && FORMULA_PATTERN.test(cell)) {
+    cell = `'${cell}`;
+  }
+
+  if (/[",\r\n]/.test(cell)) {
+    return `"${cell.replace(/"/g, '""')}"`;
+  }
+  return cell;
+};
+
+/**
+ * Format the header line for an export (CSV only)
+ */
+const formatHeader = (format, fields) => {
+  return format === 'csv' ? `${fields.join(',')}\r\n` : '';
+};
+
+/**
+ * Format one record as a CSV row or NDJSON line.
+ * CSV cells are guarded against formula injection unless { guardFormulas: false } is passed.
+ */
+const formatRecord = (format, fields, record, { guardFormulas = true } = {}) => {
+  if (format === 'csv') {
+    return `${fields.map(field => escapeCsvCell(record[field], guardFormulas)).join(',')}\r\n`;
+  }
+  return `${JSON.stringify(record)}\n`;
+};
+
+/**
+ * Parse CSV text (RFC 4180) into an array of rows, each an array of cells with its line number
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  // Skip blank lines
+  return rows.filter(({ cells }) => !(cells.length === 1 && cells[0].trim() === ''));
+};
+
+/**
+ * Parse import text into records keyed by column name.
+ * Returns [{ line, record }] or throws with a description of the first syntax error.
+ */
+const parseRecords = (format, text) => {
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) {
+      return [];
+    }
+    const columns = header.cells.map(column => column.trim());
+    return rows.map(({ line, cells }) => ({
+      line,
+      record: columns.reduce((record, column, index) => {
+        record[column] = cells[index] === undefined ? '' : cells[index].trim();
+        return record;
+      }, {})
+    }));
+  }
+
+  return text.split(/\r?\n/).reduce((records, content, index) => {
+    if (content.trim() === '') {
+      return records;
+    }
+    try {
+      records.push({ line: index + 1, record: JSON.parse(content) });
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1}`);
+    }
+    return records;
+  }, []);
+};
+
+/**
+ * Remove the quote that formatRecord puts before formula-like CSV cells, so guarded exports import back unchanged
+ */
+const unguardCsvRecord = (record) => {
+  return Object.entries(record).reduce((unguarded, [column, value]) => {
+    unguarded[column] = typeof value === 'string' && value.startsWith('\'') && FORMULA_PATTERN.test(value.slice(1))
+      ? value.slice(1)
+      : value;
+    return unguarded;
+  }, {});
+};
+
+/**
+ * Parse an optional ISO date cell, returning null when empty and NaN-dates when invalid
+ */
+const parseOptionalDate = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return new Date(value);
+};
+
+/**
+ * Parse an optional integer cell (CSV cells are strings, NDJSON values may already be numbers).
+ * Returns undefined when empty and non-numeric text unchanged so validation can reject it.
+ */
+const parseOptionalInteger = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  return typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+};
+
+/**
+ * Parse an optional JSON cell (CSV cells hold JSON text, NDJSON values are already parsed).
+ * Returns undefined when empty; unparseable text is returned unchanged so validation can reject it.
+ */
+const parseOptionalJson = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Check that an imported clicks value is an array of click objects (or missing)
+ */
+const isValidClickList = (clicks) => {
+  return clicks === undefined || (Array.isArray(clicks) &&
+    clicks.every(click => click !== null && typeof click === 'object' && !Array.isArray(click)));
+};
+
+/**
+ * Keep only the known click fields from an imported click
+ */
+const sanitizeClick = (click) => {
+  return CLICK_FIELDS.reduce((sanitized, field) => {
+    if (click[field] !== undefined) {
+      sanitized[field] = String(click[field]);
+    }
+    return sanitized;
+  }, {});
+};
+
+/**
+ * Import parsed records as links owned by the given API key.
+ * Existing shortcodes are never overwritten; they are reported as collisions instead, as are
+ * records with an alias that is already taken.
+ * Records without a domain are imported on the default domain, and every destination
+ * goes through the same screening as links created through the API.
+ * Pass { format: 'csv' } for records parsed from CSV so formula guards are removed again.
+ */
+const importRecords = async (records, owner, { format } = {}) => {
+  const imported = [];
+  const collisions = [];
+  const errors = [];
+  // Shortcodes imported so far, keyed by domain
+  const seenShortcodes = new Set();
+
+  for (const { line, record: parsedRecord } of records) {
+    const record = format === 'csv' ? unguardCsvRecord(parsedRecord) : parsedRecord;
+    const originalUrl = typeof record.originalUrl === 'string' && record.originalUrl !== ''
+      ? record.originalUrl
+      : record.url;
+    const shortcode = record.shortcode ? String(record.shortcode) : '';
+
+    const domainValidation = validationService.validateDomain(record.domain ? String(record.domain) : '');
+    if (!domainValidation.isValid) {
+      errors.push({ line, shortcode, field: 'domain', message: domainValidation.error });
+      continue;
+    }
+    const domain = domainValidation.value;
+
+    const urlValidation = validationService.validateUrl(typeof originalUrl === 'string' ? originalUrl : '');
+    if (!urlValidation.isValid) {
+      errors.push({ line, shortcode, field: 'originalUrl', message: urlValidation.error });
+      continue;
+    }
+    const normalizedUrl = urlValidation.normalizedUrl;
+
+    const shortcodeKey = shortcode ? `${domain}/${shortcodePolicyService.foldShortcode(shortcode)}` : null;
+    if (shortcode) {
+      const shortcodeValidation = validationService.validateShortcode(shortcode);
+      if (!shortcodeValidation.isValid) {
+        errors.push({ line, shortcode, field: 'shortcode', message: shortcodeValidation.error });
+        continue;
+      }
+
+      if (seenShortcodes.has(shortcodeKey)) {
+        collisions.push({ line, shortcode, domain });
+        continue;
+      }
+    }
+
+    const aliasesValidation = validationService.validateAliases(parseOptionalJson(record.aliases));
+    if (!aliasesValidation.isValid) {
+      errors.push({ line, shortcode, field: 'aliases', message: aliasesValidation.error });
+      continue;
+    }
+
+    const aliasKeys = aliasesValidation.value.map(alias => `${domain}/${shortcodePolicyService.foldShortcode(alias)}`);
+    if (aliasKeys.includes(shortcodeKey) || aliasKeys.some(aliasKey => seenShortcodes.has(aliasKey))) {
+      collisions.push({ line, shortcode, domain });
+      continue;
+    }
+
+    const metadataValidation = validationService.validateMetadata({
+      title: record.title,
+      description: record.description,
+      tags: parseOptionalJson(record.tags),
+      folder: record.folder
+    });
+    if (!metadataValidation.isValid) {
+      errors.push({ line, shortcode, field: 'metadata', message: metadataValidation.error });
+      continue;
+    }
+
+    const maxClicksValidation = validationService.validateMaxClicks(parseOptionalInteger(record.maxClicks));
+    if (!maxClicksValidation.isValid) {
+      errors.push({ line, shortcode, field: 'maxClicks', message: maxClicksValidation.error });
+      continue;
+    }
+
+    // Password-protected links keep their hash so they stay protected after a round trip
+    const passwordHash = record.passwordHash || undefined;
+    if (passwordHash !== undefined && !linkPasswordService.isPasswordHash(passwordHash)) {
+      errors.push({ line, shortcode, field: 'passwordHash', message: 'passwordHash must be a hash from a link export' });
+      continue;
+    }
+
+    const rulesValidation = validationService.validateRedirectRules(parseOptionalJson(record.rules));
+    if (!rulesValidation.isValid) {
+      errors.push({ line, shortcode, field: 'rules', message: rulesValidation.error });
+      continue;
+    }
+
+    const variantsValidation = validationService.validateVariants(parseOptionalJson(record.variants));
+    if (!variantsValidation.isValid) {
+      errors.push({ line, shortcode, field: 'variants', message: variantsValidation.error });
+      continue;
+    }
+
+    const clicks = parseOptionalJson(record.clicks);
+    if (!isValidClickList(clicks)) {
+      errors.push({ line, shortcode, field: 'clicks', message: 'clicks must be an array of click objects' });
+      continue;
+    }
+
+    const screening = await urlScreeningService.screenUrls([
+      normalizedUrl,
+      ...rulesValidation.value.map(rule => rule.url),
+      ...variantsValidation.value.map(variant => variant.url)
+    ]);
+    if (!screening.isAllowed) {
+      logDestinationBlocked(screening.url, screening.check, screening.reason, { owner, line, import: true });
+      errors.push({ line, shortcode, field: 'originalUrl', message: screening.reason });
+      continue;
+    }
+
+    // Checked after screening, which may wait on a reputation service while other requests store links
+    if ((shortcode && urlService.shortcodeExists(domain, shortcode)) ||
+        aliasesValidation.value.some(alias => urlService.shortcodeExists(domain, alias))) {
+      collisions.push({ line, shortcode, domain });
+      continue;
+    }
+
+    const createdAt = parseOptionalDate(record.createdAt) || new Date();
+    const activatesAt = parseOptionalDate(record.activatesAt);
+    let expiresAt = parseOptionalDate(record.expiresAt);
+    if (isNaN(createdAt) || (activatesAt && isNaN(activatesAt)) || (expiresAt && isNaN(expiresAt))) {
+      errors.push({ line, shortcode, field: 'date', message: 'createdAt, activatesAt and expiresAt must be valid ISO 8601 dates' });
+      continue;
+    }
+    if (!expiresAt) {
+      // Default validity counts from activation for scheduled links
+      const { value } = validationService.validateValidity(undefined);
+      const start = activatesAt && activatesAt > new Date() ? activatesAt.getTime() : Date.now();
+      expiresAt = new Date(start + (value * 60 * 1000));
+    }
+    if (activatesAt && expiresAt <= activatesAt) {
+      errors.push({ line, shortcode, field: 'date', message: 'expiresAt must be after activatesAt' });
+      continue;
+    }
+
+    const finalShortcode = shortcode || urlService.generateShortcode(domain);
+    seenShortcodes.add(`${domain}/${shortcodePolicyService.foldShortcode(finalShortcode)}`);
+    aliasKeys.forEach(aliasKey => seenShortcodes.add(aliasKey));
+
+    const urlEntry = {
+      shortcode: finalShortcode,
+      domain,
+      originalUrl: normalizedUrl,
+      createdAt: createdAt.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+      owner,
+      clicks: clicks ? clicks.map(sanitizeClick) : []
+    };
+    if (activatesAt) {
+      urlEntry.activatesAt = activatesAt.toISOString();
+    }
+    if (rulesValidation.value.length > 0) {
+      urlEntry.rules = rulesValidation.value;
+    }
+    if (variantsValidation.value.length > 0) {
+      urlEntry.variants = variantsValidation.value;
+      // CSV cells hold the text "true"
+      urlEntry.stickyVariants = record.stickyVariants === true || record.stickyVariants === 'true';
+    }
+    if (aliasesValidation.value.length > 0) {
+      urlEntry.aliases = aliasesValidation.value;
+    }
+    Object.entries(metadataValidation.value)
+      .filter(([, value]) => value !== null)
+      .forEach(([field, value]) => {
+        urlEntry[field] = value;
+      });
+    if (maxClicksValidation.value) {
+      urlEntry.maxClicks = maxClicksValidation.value;
+    }
+    if (passwordHash) {
+      urlEntry.passwordHash = passwordHash;
+    }
+
+    urlService.storeUrl(urlEntry);
+
+    imported.push({ line, shortcode: finalShortcode, domain });
+  }
+
+  return {
+    total: records.length,
+    imported,
+    collisions,
+    errors
+  };
+};
+
+module.exports = {
+  FORMATS,
+  LINK_FIELDS,
+  CLICK_FIELDS,
+  formatHeader,
+  formatRecord,
+  parseRecords,
+  importRecords
+};
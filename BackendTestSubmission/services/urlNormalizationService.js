@@ -0,0 +1,144 @@
+const net = require('net');
+const config = require('../config');
+
+// Characters that never need percent-encoding (RFC 3986 "unreserved")
+const UNRESERVED = /[A-Za-z0-9\-._~]/;
+
+// A DNS label in ASCII (punycode) form
+const LABEL_PATTERN = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+
+/**
+ * Normalize percent-encoding: escapes of unreserved characters are decoded and
+ * the remaining escapes use uppercase hex digits (%2f -> %2F, %7E -> ~).
+ */
+const normalizePercentEncoding = (value) => {
+  return value.replace(/%([0-9a-fA-F]{2})/g, (escape, hex) => {
+    const char = String.fromCharCode(parseInt(hex, 16));
+    return UNRESERVED.test(char) ? char : `%${hex.toUpperCase()}`;
+  });
+};
+
+/**
+ * Check whether a query parameter name is a tracking parameter.
+ * Configured names ending in "*" match as prefixes (utm_* matches utm_source).
+ */
+const isTrackingParam = (name) => {
+  const lowerName = name.toLowerCase();
+  return config.urlPolicy.trackingParams.some(pattern =>
+    pattern.endsWith('*') ? lowerName.startsWith(pattern.slice(0, -1)) : lowerName === pattern
+  );
+};
+
+/**
+ * Check whether an IPv4 address is loopback, private, link-local or unspecified
+ */
+const isPrivateIPv4 = (address) => {
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168);
+};
+
+/**
+ * Check whether an IPv6 address is loopback, unspecified, unique-local, link-local or a mapped private IPv4 address
+ */
+const isPrivateIPv6 = (address) => {
+  const lower = address.toLowerCase();
+  if (lower === '::' || lower === '::1') {
+    return true;
+  }
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return isPrivateIPv4(mapped[1]);
+  }
+  return /^f[cd][0-9a-f]{0,2}:/.test(lower) || /^fe[89ab][0-9a-f]?:/.test(lower);
+};
+
+/**
+ * Check whether a hostname (as produced by the URL parser) points at a private or loopback host:
+ * localhost, single-label and .local/.internal names, or a private IP address.
+ */
+const isPrivateHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const ipVersion = net.isIP(host);
+  if (ipVersion === 4) {
+    return isPrivateIPv4(host);
+  }
+  if (ipVersion === 6) {
+    return isPrivateIPv6(host);
+  }
+  return !host.includes('.') ||
+    host === 'localhost' ||
+    /\.(localhost|local|internal)$/.test(host);
+};
+
+/**
+ * Check the hostname of a parsed URL.
+ * Domain names are already lowercase punycode here; IP literals are accepted as they are.
+ * Returns an error message, or null when the hostname is valid.
+ */
+const checkHostname = (hostname) => {
+  if (!hostname) {
+    return 'URL must have a valid hostname';
+  }
+
+  if (net.isIP(hostname.replace(/^\[|\]$/g, ''))) {
+    return null;
+  }
+
+  const labels = hostname.split('.');
+  if (hostname.length > 253 || labels.some(label => !LABEL_PATTERN.test(label))) {
+    return 'URL domain name format is invalid';
+  }
+
+  // The URL parser turns all-numeric hosts into IPv4 addresses, so a numeric TLD means a malformed host
+  if (labels.length > 1 && /^\d+$/.test(labels[labels.length - 1])) {
+    return 'URL must have a valid domain name';
+  }
+
+  return null;
+};
+
+/**
+ * Build the canonical form of a parsed http(s) URL: lowercase punycode host and default port removal
+ * (both done by the URL parser), normalized percent-encoding and, optionally, no tracking parameters.
+ */
+const normalizeUrl = (urlObj, { stripTrackingParams = false } = {}) => {
+  const normalized = new URL(urlObj.href);
+
+  normalized.pathname = normalizePercentEncoding(normalized.pathname);
+
+  // Parameters are filtered on the raw query string; URLSearchParams would re-encode the ones that are kept
+  if (stripTrackingParams && normalized.search) {
+    const kept = normalized.search.slice(1).split('&').filter(pair => {
+      const name = pair.split('=')[0].replace(/\+/g, ' ');
+      try {
+        return !isTrackingParam(decodeURIComponent(name));
+      } catch (error) {
+        return true;
+      }
+    });
+    normalized.search = kept.join('&');
+  }
+
+  if (normalized.search) {
+    normalized.search = normalizePercentEncoding(normalized.search);
+  }
+  if (normalized.hash) {
+    normalized.hash = normalizePercentEncoding(normalized.hash);
+  }
+
+  return normalized.href;
+};
+
+module.exports = {
+  normalizePercentEncoding,
+  isTrackingParam,
+  isPrivateHost,
+  checkHostname,
+  normalizeUrl
+};
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const config = require('../config');
+const domainService = require('./domainService');
+const { logError, logInfo } = require('../../LoggingMiddleware');
+
+// Compiled denylist and allowlist entries: { source, matches(urlObj) }
+let lists = { deny: [], allow: [] };
+
+// Optional external reputation check: async (url) => ({ safe, reason })
+let reputationChecker = null;
+
+/**
+ * Compile one list entry.
+ * "/pattern/flags" is a regular expression tested against the whole URL; anything else is a domain
+ * that matches itself and its subdomains (a leading "*." is accepted and ignored).
+ */
+const compileEntry = (entry) => {
+  if (typeof entry !== 'string' || entry.trim() === '') {
+    throw new Error(`Invalid screening list entry ${JSON.stringify(entry)}`);
+  }
+
+  const source = entry.trim();
+  const regexMatch = source.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    const pattern = new RegExp(regexMatch[1], regexMatch[2]);
+    return { source, matches: (urlObj) => pattern.test(urlObj.href) };
+  }
+
+  const domain = source.replace(/^\*\./, '').toLowerCase();
+  return {
+    source,
+    matches: (urlObj) => {
+      const hostname = urlObj.hostname.toLowerCase();
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    }
+  };
+};
+
+/**
+ * Load the denylist and allowlist from a JSON file of the form { "deny": [...], "allow": [...] }.
+ * Throws when the file cannot be read or contains invalid entries, so a broken list never goes unnoticed.
+ */
+const loadLists = (filePath) => {
+  const resolvedPath = path.resolve(filePath);
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read URL screening list "${resolvedPath}": ${error.message}`);
+  }
+
+  const { deny = [], allow = [] } = parsed || {};
+  if (!Array.isArray(deny) || !Array.isArray(allow)) {
+    throw new Error(`URL screening list "${resolvedPath}" must have "deny" and "allow" arrays`);
+  }
+
+  lists = {
+    deny: deny.map(compileEntry),
+    allow: allow.map(compileEntry)
+  };
+
+  logInfo('URL screening lists loaded', {
+    filePath: resolvedPath,
+    denyEntries: lists.deny.length,
+    allowEntries: lists.allow.length
+  });
+};
+
+/**
+ * Replace the external reputation checker (pass null to remove it)
+ */
+const setReputationChecker = (checker) => {
+  reputationChecker = checker || null;
+};
+
+/**
+ * Describe a blocked destination
+ */
+const blocked = (check, reason) => ({
+  isAllowed: false,
+  check,
+  reason
+});
+
+/**
+ * Run the reputation checker, rejecting when it does not answer within the configured timeout
+ */
+const checkReputation = (url) => {
+  const timeoutMs = config.screening.reputationTimeoutMs;
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Reputation check timed out after ${timeoutMs} ms`)), timeoutMs);
+  });
+
+  return Promise.race([reputationChecker(url), timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Screen a syntactically valid destination URL before it is stored.
+ * Loops back to the shortener are always blocked; allowlisted destinations skip the remaining checks.
+ * Returns { isAllowed, check, reason }, naming the check that blocked the destination.
+ */
+const screenUrl = async (url) => {
+  const urlObj = new URL(url);
+  const hostname = urlObj.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+  if (domainService.isConfiguredDomain(hostname)) {
+    return blocked('loop', 'Destination points back to this URL shortener');
+  }
+
+  const allowEntry = lists.allow.find(entry => entry.matches(urlObj));
+  if (allowEntry) {
+    return { isAllowed: true, check: null, reason: null };
+  }
+
+  const denyEntry = lists.deny.find(entry => entry.matches(urlObj));
+  if (denyEntry) {
+    return blocked('denylist', `Destination is blocked by the denylist entry "${denyEntry.source}"`);
+  }
+
+  if (config.screening.blockIpHosts && net.isIP(hostname)) {
+    return blocked('ip-host', 'Destinations with an IP address instead of a domain name are not allowed');
+  }
+
+  if (reputationChecker) {
+    try {
+      const verdict = await checkReputation(url);
+      if (verdict && verdict.safe === false) {
+        return blocked('reputation', verdict.reason || 'Destination failed the reputation check');
+      }
+    } catch (error) {
+      logError('URL reputation check failed', error);
+      if (config.screening.failClosed) {
+        return blocked('reputation', 'Destination could not be checked for safety, please try again later');
+      }
+    }
+  }
+
+  return { isAllowed: true, check: null, reason: null };
+};
+
+/**
+ * Screen several destinations (a link's URL, rule and variant URLs), stopping at the first blocked one.
+ * Returns { isAllowed, check, reason, url }.
+ */
+const screenUrls = async (urls) => {
+  for (const url of urls) {
+    const result = await screenUrl(url);
+    if (!result.isAllowed) {
+      return { ...result, url };
+    }
+  }
+  return { isAllowed: true, check: null, reason: null, url: null };
+};
+
+// Lists and reputation checker named in the configuration are loaded at startup
+if (config.screening.listFile) {
+  loadLists(config.screening.listFile);
+}
+if (config.screening.reputationCheckerModule) {
+  setReputationChecker(require(path.resolve(config.screening.reputationCheckerModule)));
+}
+
+module.exports = {
+  loadLists,
+  setReputationChecker,
+  screenUrl,
+  screenUrls
+};
@@ -1,85 +1,573 @@
-const { nanoid } = require('nanoid');
+const config = require('../config');
+const { getStorage } = require('./storage');
+const { createShortcodeGenerator, randomCharacters, MIN_SHORTCODE_LENGTH, MAX_SHORTCODE_LENGTH } = require('./shortcodeGenerator');
+const validationService = require('./validationService');
+const shortcodePolicyService = require('./shortcodePolicyService');
+const { logShortcodeLengthIncreased } = require('../../LoggingMiddleware');
 
-// In-memory storage (in production, use a database)
-const urlStorage = new Map();
+// Storage backend selected by configuration (memory, json or sqlite)
+const storage = getStorage();
+
+// Secondary index of stored destinations: destination key -> Set of shortcodes.
+// It is built from storage on first use and kept up to date by every write below.
+let destinationIndex = null;
 
 /**
- * Generate a unique shortcode
+ * Build the destination index key; links are deduplicated per owner and domain
  */
-const generateShortcode = () => {
-  let shortcode;
-  do {
-    shortcode = nanoid(6); // Generate 6-character shortcode
-  } while (urlStorage.has(shortcode));
-  
-  return shortcode;
+const getDestinationKey = (owner, domain, originalUrl) => JSON.stringify([owner || null, domain, originalUrl]);
+
+/**
+ * Add a URL entry to the destination index
+ */
+const indexDestination = (index, urlEntry) => {
+  const key = getDestinationKey(urlEntry.owner, urlEntry.domain, urlEntry.originalUrl);
+  if (!index.has(key)) {
+    index.set(key, new Set());
+  }
+  index.get(key).add(urlEntry.shortcode);
+};
+
+/**
+ * Remove a URL entry from the destination index
+ */
+const unindexDestination = (urlEntry) => {
+  if (!destinationIndex || !urlEntry) {
+    return;
+  }
+  const key = getDestinationKey(urlEntry.owner, urlEntry.domain, urlEntry.originalUrl);
+  const shortcodes = destinationIndex.get(key);
+  if (shortcodes) {
+    shortcodes.delete(urlEntry.shortcode);
+    if (shortcodes.size === 0) {
+      destinationIndex.delete(key);
+    }
+  }
+};
+
+/**
+ * Get the destination index, building it from storage on first use
+ */
+const getDestinationIndex = () => {
+  if (!destinationIndex) {
+    const index = new Map();
+    storage.values({ includeClicks: false }).forEach(urlEntry => indexDestination(index, urlEntry));
+    destinationIndex = index;
+  }
+  return destinationIndex;
+};
+
+// Index of stored shortcodes by their case-folded form: "domain/folded" -> stored shortcode.
+// Only used when the namespace is case-insensitive; built on first use like the destination index.
+let shortcodeIndex = null;
+
+/**
+ * Get the shortcode index key of a shortcode on a domain
+ */
+const getFoldedKey = (domain, shortcode) => `${domain}/${shortcodePolicyService.foldShortcode(shortcode)}`;
+
+/**
+ * Get the shortcode index, building it from storage on first use
+ */
+const getShortcodeIndex = () => {
+  if (!shortcodeIndex) {
+    const index = new Map();
+    storage.values({ includeClicks: false }).forEach(urlEntry => {
+      index.set(getFoldedKey(urlEntry.domain, urlEntry.shortcode), urlEntry.shortcode);
+    });
+    shortcodeIndex = index;
+  }
+  return shortcodeIndex;
 };
 
 /**
- * Check if shortcode exists
+ * Remove a URL entry from the shortcode index
  */
-const shortcodeExists = (shortcode) => {
-  return urlStorage.has(shortcode);
+const unindexShortcode = (urlEntry) => {
+  const key = getFoldedKey(urlEntry.domain, urlEntry.shortcode);
+  if (shortcodeIndex && shortcodeIndex.get(key) === urlEntry.shortcode) {
+    shortcodeIndex.delete(key);
+  }
+};
+
+// Index of aliases: "domain/folded alias" -> { shortcode, alias } with the canonical shortcode and the
+// alias as stored. Aliases share the shortcode namespace; built on first use like the indexes above.
+let aliasIndex = null;
+
+/**
+ * Add a URL entry's aliases to the alias index
+ */
+const indexAliases = (index, urlEntry) => {
+  (urlEntry.aliases || []).forEach(alias => {
+    index.set(getFoldedKey(urlEntry.domain, alias), { shortcode: urlEntry.shortcode, alias });
+  });
+};
+
+/**
+ * Remove a URL entry's aliases from the alias index
+ */
+const unindexAliases = (urlEntry) => {
+  if (!aliasIndex || !urlEntry) {
+    return;
+  }
+  (urlEntry.aliases || []).forEach(alias => {
+    const key = getFoldedKey(urlEntry.domain, alias);
+    const indexed = aliasIndex.get(key);
+    if (indexed && indexed.shortcode === urlEntry.shortcode) {
+      aliasIndex.delete(key);
+    }
+  });
+};
+
+/**
+ * Get the alias index, building it from storage on first use
+ */
+const getAliasIndex = () => {
+  if (!aliasIndex) {
+    const index = new Map();
+    storage.values({ includeClicks: false }).forEach(urlEntry => indexAliases(index, urlEntry));
+    aliasIndex = index;
+  }
+  return aliasIndex;
+};
+
+/**
+ * Find the stored spelling of a shortcode on a domain: an exact match, or under the case-insensitive
+ * policy the stored code that only differs in case. Returns null when there is none.
+ */
+const resolveShortcode = (domain, shortcode) => {
+  if (storage.has(domain, shortcode)) {
+    return shortcode;
+  }
+  if (shortcodePolicyService.isCaseSensitive()) {
+    return null;
+  }
+  return getShortcodeIndex().get(getFoldedKey(domain, shortcode)) || null;
+};
+
+// Shortcode generator for the configured strategy; the sequential strategy seeds its counters from stored codes
+const shortcodeGenerator = createShortcodeGenerator({
+  ...config.shortcodes,
+  caseSensitive: shortcodePolicyService.isCaseSensitive(),
+  listShortcodes: (domain) => storage.values({ includeClicks: false })
+    .filter(urlEntry => urlEntry.domain === domain)
+    .map(urlEntry => urlEntry.shortcode),
+  onLengthIncreased: (previousLength, newLength) => {
+    logShortcodeLengthIncreased(previousLength, newLength, { strategy: config.shortcodes.strategy });
+  }
+});
+
+/**
+ * Get the active storage adapter
+ */
+const getStorageAdapter = () => storage;
+
+/**
+ * Generate a shortcode that is unique on the given domain.
+ * Generated codes pass validateShortcode, so they can be round-tripped as custom shortcodes;
+ * codes that are taken or reserved count as collisions.
+ */
+const generateShortcode = (domain) => {
+  return shortcodeGenerator.generate(domain, (shortcode) =>
+    validationService.validateShortcode(shortcode).isValid && !shortcodeExists(domain, shortcode)
+  );
+};
+
+/**
+ * Check if shortcode exists on a domain as a link's shortcode or alias
+ * (in any letter case under the case-insensitive policy)
+ */
+const shortcodeExists = (domain, shortcode) => {
+  return resolveShortcode(domain, shortcode) !== null || getAliasIndex().has(getFoldedKey(domain, shortcode));
+};
+
+/**
+ * Suggest free, valid shortcodes similar to a requested one: its letters and digits followed by a
+ * number (promo1, promo2...), then by random characters, and generated codes as a last resort.
+ */
+const suggestShortcodes = (domain, shortcode, count = 3) => {
+  const base = String(shortcode).replace(/[^a-zA-Z0-9]/g, '').slice(0, MAX_SHORTCODE_LENGTH - 2);
+  const suggestions = [];
+
+  const suggest = (candidate) => {
+    const folded = shortcodePolicyService.foldShortcode(candidate);
+    if (suggestions.length < count &&
+        !suggestions.some(suggestion => shortcodePolicyService.foldShortcode(suggestion) === folded) &&
+        validationService.validateShortcode(candidate).isValid &&
+        !shortcodeExists(domain, candidate)) {
+      suggestions.push(candidate);
+    }
+  };
+
+  for (let number = 1; number <= 99 && suggestions.length < count; number++) {
+    suggest(`${base}${number}`);
+  }
+  const suffixLength = Math.max(2, MIN_SHORTCODE_LENGTH - base.length);
+  for (let attempt = 0; attempt < count * 5 && suggestions.length < count; attempt++) {
+    suggest(`${base}${randomCharacters(suffixLength)}`);
+  }
+  while (suggestions.length < count) {
+    suggest(generateShortcode(domain));
+  }
+
+  return suggestions;
 };
 
 /**
  * Store URL entry
  */
 const storeUrl = (urlEntry) => {
-  urlStorage.set(urlEntry.shortcode, urlEntry);
+  const previousEntry = storage.get(urlEntry.domain, urlEntry.shortcode);
+  unindexDestination(previousEntry);
+  unindexAliases(previousEntry);
+  storage.set(urlEntry);
+  if (destinationIndex) {
+    indexDestination(destinationIndex, urlEntry);
+  }
+  if (aliasIndex) {
+    indexAliases(aliasIndex, urlEntry);
+  }
+  if (shortcodeIndex) {
+    shortcodeIndex.set(getFoldedKey(urlEntry.domain, urlEntry.shortcode), urlEntry.shortcode);
+  }
 };
 
 /**
- * Get URL entry by shortcode
+ * Get URL entry by domain and shortcode.
+ * The entry keeps the shortcode's stored spelling, which may differ in case from the one asked for.
  */
-const getUrl = (shortcode) => {
-  return urlStorage.get(shortcode);
+const getUrl = (domain, shortcode) => {
+  const storedShortcode = resolveShortcode(domain, shortcode);
+  return storedShortcode === null ? undefined : storage.get(domain, storedShortcode);
 };
 
 /**
- * Record a click for analytics
+ * Get the link a visitor asked for by shortcode or alias.
+ * Returns { urlEntry, alias } with the canonical entry and the alias as stored (null when the
+ * shortcode itself was used), or null when neither exists.
  */
-const recordClick = (shortcode, clickData) => {
-  const urlEntry = urlStorage.get(shortcode);
+const resolveLink = (domain, shortcode) => {
+  const urlEntry = getUrl(domain, shortcode);
   if (urlEntry) {
-    urlEntry.clicks.push(clickData);
-    urlStorage.set(shortcode, urlEntry);
+    return { urlEntry, alias: null };
   }
+  const indexed = getAliasIndex().get(getFoldedKey(domain, shortcode));
+  const aliasedEntry = indexed && storage.get(domain, indexed.shortcode);
+  return aliasedEntry ? { urlEntry: aliasedEntry, alias: indexed.alias } : null;
+};
+
+/**
+ * Add an alias to an existing link. The caller checks that the alias is valid and free.
+ */
+const addAlias = (domain, shortcode, alias) => {
+  const urlEntry = getUrl(domain, shortcode);
+  if (!urlEntry) {
+    return undefined;
+  }
+  const updatedEntry = storage.update(domain, urlEntry.shortcode, {
+    aliases: [...(urlEntry.aliases || []), alias]
+  });
+  getAliasIndex().set(getFoldedKey(domain, alias), { shortcode: urlEntry.shortcode, alias });
+  return updatedEntry;
+};
+
+/**
+ * Remove an alias (matched under the case policy) from a link.
+ * Returns the alias as it was stored, or null when the link has no such alias.
+ */
+const removeAlias = (domain, shortcode, alias) => {
+  const urlEntry = getUrl(domain, shortcode);
+  const folded = shortcodePolicyService.foldShortcode(alias);
+  const storedAlias = urlEntry && (urlEntry.aliases || [])
+    .find(existing => shortcodePolicyService.foldShortcode(existing) === folded);
+  if (!storedAlias) {
+    return null;
+  }
+  storage.update(domain, urlEntry.shortcode, {
+    aliases: urlEntry.aliases.filter(existing => existing !== storedAlias)
+  });
+  getAliasIndex().delete(getFoldedKey(domain, storedAlias));
+  return storedAlias;
+};
+
+/**
+ * Update fields of an existing URL entry (clicks are never replaced)
+ */
+const updateUrl = (domain, shortcode, changes) => {
+  const storedShortcode = resolveShortcode(domain, shortcode);
+  if (storedShortcode === null) {
+    return undefined;
+  }
+  if (changes.originalUrl === undefined || !destinationIndex) {
+    return storage.update(domain, storedShortcode, changes);
+  }
+
+  unindexDestination(storage.get(domain, storedShortcode));
+  const updatedEntry = storage.update(domain, storedShortcode, changes);
+  if (updatedEntry) {
+    indexDestination(destinationIndex, updatedEntry);
+  }
+  return updatedEntry;
+};
+
+/**
+ * Delete a URL entry, its aliases and its click history
+ */
+const deleteUrl = (domain, shortcode) => {
+  const urlEntry = getUrl(domain, shortcode);
+  if (!urlEntry) {
+    return false;
+  }
+  unindexDestination(urlEntry);
+  unindexShortcode(urlEntry);
+  unindexAliases(urlEntry);
+  return storage.delete(domain, urlEntry.shortcode);
+};
+
+/**
+ * Record a click for analytics.
+ * Returns false without recording when the link's maxClicks limit is already used up.
+ */
+const recordClick = (domain, shortcode, clickData) => {
+  const storedShortcode = resolveShortcode(domain, shortcode);
+  return storedShortcode !== null && storage.appendClick(domain, storedShortcode, clickData);
+};
+
+/**
+ * Get the number of clicks a link has left, or null when it has no click limit
+ */
+const getRemainingClicks = (urlEntry, totalClicks) => {
+  return urlEntry.maxClicks ? Math.max(urlEntry.maxClicks - totalClicks, 0) : null;
+};
+
+/**
+ * Get the status of a link: 'scheduled', 'expired', 'exhausted' or 'active'.
+ * Expiry by time wins over a used-up click limit.
+ */
+const getUrlStatus = (urlEntry, totalClicks, now = new Date()) => {
+  if (urlEntry.activatesAt && new Date(urlEntry.activatesAt) > now) {
+    return 'scheduled';
+  }
+  if (new Date(urlEntry.expiresAt) <= now) {
+    return 'expired';
+  }
+  if (getRemainingClicks(urlEntry, totalClicks) === 0) {
+    return 'exhausted';
+  }
+  return 'active';
+};
+
+/**
+ * Check whether a link redirects like a link created with only a URL: no password, click limit,
+ * redirect rules or split test
+ */
+const isPlainLink = (urlEntry) => {
+  return !urlEntry.passwordHash &&
+    !urlEntry.maxClicks &&
+    !(urlEntry.rules && urlEntry.rules.length > 0) &&
+    !(urlEntry.variants && urlEntry.variants.length > 0);
+};
+
+/**
+ * Find the owner's newest active link on a domain that leads to the given (normalized) destination.
+ * Only plain links (see isPlainLink) are returned; returns null when there is none.
+ */
+const findActiveUrlByDestination = (owner, domain, originalUrl) => {
+  const shortcodes = getDestinationIndex().get(getDestinationKey(owner, domain, originalUrl));
+  if (!shortcodes) {
+    return null;
+  }
+
+  const now = new Date();
+  return [...shortcodes]
+    .map(shortcode => storage.get(domain, shortcode))
+    .filter(urlEntry => urlEntry && isPlainLink(urlEntry) && getUrlStatus(urlEntry, urlEntry.clicks.length, now) === 'active')
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0] || null;
 };
 
 /**
  * Get all URLs (for frontend statistics page)
+ * Pass { includeClicks: false } to get entries with a totalClicks count instead of the click arrays.
  */
-const getAllUrls = () => {
-  return Array.from(urlStorage.values());
+const getAllUrls = (options) => {
+  return storage.values(options);
+};
+
+/**
+ * Check whether a hostname equals the domain or is one of its subdomains
+ */
+const matchesDomain = (originalUrl, domain) => {
+  try {
+    const hostname = new URL(originalUrl).hostname.toLowerCase();
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a link carries all the given tags (lowercase) and is in the given folder (matched case-insensitively)
+ */
+const matchesMetadataFilters = (urlEntry, { tags = [], folder } = {}) => {
+  const linkTags = urlEntry.tags || [];
+  if (!tags.every(tag => linkTags.includes(tag))) {
+    return false;
+  }
+  return !folder || (urlEntry.folder || '').toLowerCase() === folder;
+};
+
+/**
+ * List URLs as summary rows with filtering, sorting and offset pagination
+ */
+const listUrls = ({ owner, status, createdFrom, createdTo, domain, search, tags, folder, sort, order, limit, offset }) => {
+  const now = new Date();
+
+  let entries = getAllUrls({ includeClicks: false }).map(urlEntry => ({
+    ...urlEntry,
+    status: getUrlStatus(urlEntry, urlEntry.totalClicks, now)
+  }));
+
+  if (owner) {
+    entries = entries.filter(urlEntry => urlEntry.owner === owner);
+  }
+  if (status) {
+    entries = entries.filter(urlEntry => urlEntry.status === status);
+  }
+  if (createdFrom) {
+    entries = entries.filter(urlEntry => new Date(urlEntry.createdAt) >= createdFrom);
+  }
+  if (createdTo) {
+    entries = entries.filter(urlEntry => new Date(urlEntry.createdAt) <= createdTo);
+  }
+  if (domain) {
+    entries = entries.filter(urlEntry => matchesDomain(urlEntry.originalUrl, domain));
+  }
+  if (search) {
+    entries = entries.filter(urlEntry =>
+      urlEntry.shortcode.toLowerCase().includes(search) ||
+      urlEntry.originalUrl.toLowerCase().includes(search) ||
+      (urlEntry.title || '').toLowerCase().includes(search)
+    );
+  }
+  entries = entries.filter(urlEntry => matchesMetadataFilters(urlEntry, { tags, folder }));
+
+  const direction = order === 'asc' ? 1 : -1;
+  entries.sort((a, b) => {
+    let difference;
+    if (sort === 'clicks') {
+      difference = a.totalClicks - b.totalClicks;
+    } else if (sort === 'expiresAt') {
+      difference = new Date(a.expiresAt) - new Date(b.expiresAt);
+    } else {
+      difference = new Date(a.createdAt) - new Date(b.createdAt);
+    }
+    // Fall back to shortcode and domain so pages are stable between requests
+    return (difference || a.shortcode.localeCompare(b.shortcode) || a.domain.localeCompare(b.domain)) * direction;
+  });
+
+  return {
+    total: entries.length,
+    items: entries.slice(offset, offset + limit)
+  };
+};
+
+/**
+ * Summarize an owner's links per tag or per folder: link counts and clicks of each group.
+ * A link with several tags counts towards each of them; links without any form a group with value null.
+ * Folders are grouped case-insensitively, like the folder filter, under the spelling seen first.
+ * Groups are sorted by clicks, highest first.
+ */
+const summarizeGroups = ({ owner, by, status, tags, folder }) => {
+  const now = new Date();
+  const groups = new Map();
+
+  getAllUrls({ includeClicks: false })
+    .filter(urlEntry => urlEntry.owner === owner && matchesMetadataFilters(urlEntry, { tags, folder }))
+    .forEach(urlEntry => {
+      const linkStatus = getUrlStatus(urlEntry, urlEntry.totalClicks, now);
+      if (status && linkStatus !== status) {
+        return;
+      }
+
+      const values = by === 'tag' ? (urlEntry.tags || []) : [urlEntry.folder || null];
+      (values.length > 0 ? values : [null]).forEach(value => {
+        const key = value === null ? null : value.toLowerCase();
+        if (!groups.has(key)) {
+          groups.set(key, { value, links: 0, activeLinks: 0, totalClicks: 0 });
+        }
+        const group = groups.get(key);
+        group.links++;
+        group.totalClicks += urlEntry.totalClicks;
+        if (linkStatus === 'active') {
+          group.activeLinks++;
+        }
+      });
+    });
+
+  // Ties are broken by name, with the ungrouped links last
+  return [...groups.values()].sort((a, b) =>
+    (b.totalClicks - a.totalClicks) ||
+    ((a.value === null) - (b.value === null)) ||
+    String(a.value).localeCompare(String(b.value))
+  );
 };
 
 /**
- * Clean up expired URLs (optional cleanup function)
+ * Clean up expired URLs.
+ * Entries are only deleted once they have been expired for longer than the
+ * retention period, so recently expired links keep answering 410 with their stats.
  */
-const cleanupExpiredUrls = () => {
+const cleanupExpiredUrls = (retentionMinutes = 0) => {
+  const cutoff = new Date(Date.now() - (retentionMinutes * 60 * 1000));
   const now = new Date();
-  const expiredShortcodes = [];
+  const expiredEntries = [];
+  let retainedCount = 0;
+  let deletedClicks = 0;
   
-  for (const [shortcode, urlEntry] of urlStorage.entries()) {
-    if (new Date(urlEntry.expiresAt) < now) {
-      expiredShortcodes.push(shortcode);
+  // Click counts are enough here; loading every click on each sweep would grow with the whole history
+  for (const urlEntry of storage.values({ includeClicks: false })) {
+    const expiresAt = new Date(urlEntry.expiresAt);
+    if (expiresAt < cutoff) {
+      expiredEntries.push(urlEntry);
+      deletedClicks += urlEntry.totalClicks;
+    } else if (expiresAt < now) {
+      retainedCount++;
     }
   }
   
-  expiredShortcodes.forEach(shortcode => {
-    urlStorage.delete(shortcode);
+  expiredEntries.forEach(urlEntry => {
+    unindexDestination(urlEntry);
+    unindexShortcode(urlEntry);
+    unindexAliases(urlEntry);
+    storage.delete(urlEntry.domain, urlEntry.shortcode);
   });
   
-  return expiredShortcodes.length;
+  return {
+    deletedCount: expiredEntries.length,
+    retainedCount,
+    deletedClicks
+  };
 };
 
 module.exports = {
   generateShortcode,
   shortcodeExists,
+  suggestShortcodes,
   storeUrl,
   getUrl,
+  resolveLink,
+  addAlias,
+  removeAlias,
+  updateUrl,
+  deleteUrl,
   recordClick,
+  getRemainingClicks,
+  getUrlStatus,
+  findActiveUrlByDestination,
   getAllUrls,
-  cleanupExpiredUrls
+  matchesMetadataFilters,
+  listUrls,
+  summarizeGroups,
+  cleanupExpiredUrls,
+  getStorageAdapter
 };
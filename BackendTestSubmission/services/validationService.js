@@ -1,3 +1,11 @@
+const { domainToASCII } = require('url');
+const config = require('../config');
+
+// Import services
+const domainService = require('./domainService');
+const shortcodePolicyService = require('./shortcodePolicyService');
+const urlNormalizationService = require('./urlNormalizationService');
+
 /**
  * Validate shortcode format and constraints
  */
@@ -27,9 +35,8 @@ const validateShortcode = (shortcode) => {
     };
   }
 
-  // Check for reserved words/patterns
-  const reservedWords = ['api', 'admin', 'www', 'shorturls', 'health', 'stats'];
-  if (reservedWords.includes(shortcode.toLowerCase())) {
+  // Check for reserved words, including the paths of the API's own routes
+  if (shortcodePolicyService.isReservedWord(shortcode)) {
     return {
       isValid: false,
       error: 'Shortcode uses a reserved word. Please choose a different shortcode.'
@@ -43,9 +50,61 @@ const validateShortcode = (shortcode) => {
 };
 
 /**
- * Validate URL format
+ * Validate a list of aliases (extra shortcodes of one link), e.g. from an import.
+ * Each alias follows the shortcode rules and no two may be the same under the case policy.
+ * Returns the aliases, or an empty list when none are given.
+ */
+const validateAliases = (aliases) => {
+  if (aliases === undefined || aliases === null) {
+    return {
+      isValid: true,
+      error: null,
+      value: []
+    };
+  }
+
+  if (!Array.isArray(aliases)) {
+    return {
+      isValid: false,
+      error: 'Aliases must be an array'
+    };
+  }
+
+  if (aliases.length > config.aliases.maxPerLink) {
+    return {
+      isValid: false,
+      error: `A link can have at most ${config.aliases.maxPerLink} aliases`
+    };
+  }
+
+  for (let index = 0; index < aliases.length; index++) {
+    const alias = aliases[index];
+    const label = `Alias ${index + 1}`;
+
+    const aliasValidation = validateShortcode(typeof alias === 'string' ? alias : '');
+    if (!aliasValidation.isValid) {
+      return { isValid: false, error: `${label}: ${aliasValidation.error}` };
+    }
+
+    const folded = shortcodePolicyService.foldShortcode(alias);
+    if (aliases.slice(0, index).some(existing => shortcodePolicyService.foldShortcode(existing) === folded)) {
+      return { isValid: false, error: `${label}: "${alias}" is listed more than once` };
+    }
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: aliases
+  };
+};
+
+/**
+ * Validate a destination URL and return its canonical form as normalizedUrl.
+ * Internationalized domain names are accepted and stored as punycode; private and loopback
+ * hosts follow the configured policy. Pass { stripTrackingParams } to override the configured default.
  */
-const validateUrl = (url) => {
+const validateUrl = (url, { stripTrackingParams = config.urlPolicy.stripTrackingParams } = {}) => {
   if (!url) {
     return {
       isValid: false,
@@ -53,7 +112,14 @@ const validateUrl = (url) => {
     };
   }
 
-  // Trim whitespace and normalize the URL
+  if (typeof url !== 'string') {
+    return {
+      isValid: false,
+      error: 'URL must be a string'
+    };
+  }
+
+  // Trim whitespace before parsing
   const trimmedUrl = url.trim();
   
   // Check for spaces in the URL (which are invalid)
@@ -64,95 +130,922 @@ const validateUrl = (url) => {
     };
   }
 
-  // Basic URL format validation
+  let urlObj;
   try {
-    const urlObj = new URL(trimmedUrl);
-    
-    // Check if protocol is http or https
-    if (!['http:', 'https:'].includes(urlObj.protocol)) {
+    // The URL parser converts IDN hosts to punycode, lowercases them and drops default ports
+    urlObj = new URL(trimmedUrl);
+  } catch (error) {
+    return {
+      isValid: false,
+      error: 'Invalid URL format'
+    };
+  }
+
+  // Check if protocol is http or https
+  if (!['http:', 'https:'].includes(urlObj.protocol)) {
+    return {
+      isValid: false,
+      error: 'URL must use http:// or https:// protocol'
+    };
+  }
+
+  const hostnameError = urlNormalizationService.checkHostname(urlObj.hostname);
+  if (hostnameError) {
+    return {
+      isValid: false,
+      error: hostnameError
+    };
+  }
+
+  if (config.urlPolicy.privateHosts !== 'allow' && urlNormalizationService.isPrivateHost(urlObj.hostname)) {
+    return {
+      isValid: false,
+      error: 'URL must not point to a private or loopback host'
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    normalizedUrl: urlNormalizationService.normalizeUrl(urlObj, { stripTrackingParams })
+  };
+};
+
+/**
+ * Validate validity period
+ */
+const validateValidity = (validity) => {
+  if (validity === undefined || validity === null) {
+    return {
+      isValid: true,
+      error: null,
+      value: 30 // Default value
+    };
+  }
+
+  // Check if it's a number
+  if (!Number.isInteger(validity)) {
+    return {
+      isValid: false,
+      error: 'Validity must be an integer'
+    };
+  }
+
+  // Check range (1 minute to 30 days)
+  if (validity < 1 || validity > 43200) {
+    return {
+      isValid: false,
+      error: 'Validity must be between 1 and 43200 minutes (30 days)'
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: validity
+  };
+};
+
+/**
+ * Validate an optional click limit (1-1000000).
+ * singleUse: true is shorthand for maxClicks: 1.
+ */
+const validateMaxClicks = (maxClicks, singleUse) => {
+  if (singleUse !== undefined && typeof singleUse !== 'boolean') {
+    return {
+      isValid: false,
+      error: 'singleUse must be a boolean'
+    };
+  }
+
+  if (maxClicks === undefined || maxClicks === null) {
+    return {
+      isValid: true,
+      error: null,
+      value: singleUse ? 1 : null
+    };
+  }
+
+  if (!Number.isInteger(maxClicks) || maxClicks < 1 || maxClicks > 1000000) {
+    return {
+      isValid: false,
+      error: 'maxClicks must be an integer between 1 and 1000000'
+    };
+  }
+
+  if (singleUse && maxClicks !== 1) {
+    return {
+      isValid: false,
+      error: 'singleUse links cannot have a maxClicks other than 1'
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: maxClicks
+  };
+};
+
+/**
+ * Validate an optional link password (4-128 characters)
+ */
+const validatePassword = (password) => {
+  if (password === undefined || password === null || password === '') {
+    return {
+      isValid: true,
+      error: null,
+      value: null
+    };
+  }
+
+  if (typeof password !== 'string') {
+    return {
+      isValid: false,
+      error: 'Password must be a string'
+    };
+  }
+
+  if (password.length < 4 || password.length > 128) {
+    return {
+      isValid: false,
+      error: 'Password must be between 4 and 128 characters long'
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: password
+  };
+};
+
+// Limits and allowed values for redirect rules
+const MAX_REDIRECT_RULES = 20;
+const DEVICE_TYPES = ['desktop', 'mobile', 'tablet', 'smarttv', 'wearable', 'console', 'embedded', 'xr'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Normalize an optional rule condition to a non-empty list of strings (a single string is accepted too)
+ */
+const toConditionList = (value) => {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some(item => typeof item !== 'string' || item.trim() === '')) {
+    return null;
+  }
+  return list.map(item => item.trim());
+};
+
+/**
+ * Validate one redirect rule and return it normalized
+ */
+const validateRedirectRule = (rule, index, urlOptions) => {
+  const label = `Rule ${index + 1}`;
+  const invalid = (error) => ({ isValid: false, error: `${label}: ${error}` });
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return invalid('must be an object');
+  }
+
+  const urlValidation = validateUrl(typeof rule.url === 'string' ? rule.url : '', urlOptions);
+  if (!urlValidation.isValid) {
+    return invalid(urlValidation.error);
+  }
+
+  const normalized = {
+    name: `rule${index + 1}`,
+    url: urlValidation.normalizedUrl
+  };
+
+  if (rule.name !== undefined) {
+    if (typeof rule.name !== 'string' || !/^[a-zA-Z0-9_-]{1,32}$/.test(rule.name)) {
+      return invalid('name must be 1-32 letters, numbers, dashes or underscores');
+    }
+    if (rule.name.toLowerCase() === 'default') {
+      return invalid('name "default" is reserved for the fallback destination');
+    }
+    normalized.name = rule.name;
+  }
+
+  if (rule.os !== undefined) {
+    const os = toConditionList(rule.os);
+    if (!os) {
+      return invalid('os must be a list of operating system names');
+    }
+    normalized.os = os.map(name => name.toLowerCase());
+  }
+
+  if (rule.deviceType !== undefined) {
+    const deviceTypes = toConditionList(rule.deviceType);
+    if (!deviceTypes || deviceTypes.some(type => !DEVICE_TYPES.includes(type.toLowerCase()))) {
+      return invalid(`deviceType must be a list of ${DEVICE_TYPES.join(', ')}`);
+    }
+    normalized.deviceType = deviceTypes.map(type => type.toLowerCase());
+  }
+
+  if (rule.country !== undefined) {
+    const countries = toConditionList(rule.country);
+    if (!countries || countries.some(country => !/^[a-zA-Z]{2}$/.test(country))) {
+      return invalid('country must be a list of ISO 3166-1 alpha-2 codes');
+    }
+    normalized.country = countries.map(country => country.toUpperCase());
+  }
+
+  if (rule.language !== undefined) {
+    const languages = toConditionList(rule.language);
+    if (!languages || languages.some(language => !/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(language))) {
+      return invalid('language must be a list of language tags such as de or pt-BR');
+    }
+    normalized.language = languages.map(language => language.toLowerCase());
+  }
+
+  if (rule.time !== undefined) {
+    const { from, to, days, timezone } = rule.time || {};
+    if (!TIME_PATTERN.test(from) || !TIME_PATTERN.test(to) || from === to) {
+      return invalid('time must have different from and to times in HH:MM format');
+    }
+    normalized.time = { from, to };
+
+    if (days !== undefined) {
+      if (!Array.isArray(days) || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        return invalid('time.days must be a list of weekdays from 0 (Sunday) to 6 (Saturday)');
+      }
+      normalized.time.days = Array.from(new Set(days)).sort((a, b) => a - b);
+    }
+
+    if (timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch (error) {
+        return invalid('time.timezone must be an IANA time zone such as Europe/Berlin');
+      }
+      normalized.time.timezone = timezone;
+    }
+  }
+
+  if (!['os', 'deviceType', 'country', 'language', 'time'].some(condition => normalized[condition])) {
+    return invalid('must have at least one of os, deviceType, country, language or time');
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: normalized
+  };
+};
+
+/**
+ * Validate an optional ordered list of redirect rules.
+ * Returns the normalized rules, or an empty list when none are given.
+ * urlOptions are passed on to validateUrl for the rule destinations.
+ */
+const validateRedirectRules = (rules, urlOptions) => {
+  if (rules === undefined || rules === null) {
+    return {
+      isValid: true,
+      error: null,
+      value: []
+    };
+  }
+
+  if (!Array.isArray(rules)) {
+    return {
+      isValid: false,
+      error: 'Rules must be an array'
+    };
+  }
+
+  if (rules.length > MAX_REDIRECT_RULES) {
+    return {
+      isValid: false,
+      error: `A link can have at most ${MAX_REDIRECT_RULES} rules`
+    };
+  }
+
+  const normalized = [];
+  for (let index = 0; index < rules.length; index++) {
+    const ruleValidation = validateRedirectRule(rules[index], index, urlOptions);
+    if (!ruleValidation.isValid) {
+      return ruleValidation;
+    }
+    if (normalized.some(rule => rule.name === ruleValidation.value.name)) {
       return {
         isValid: false,
-        error: 'URL must use http:// or https:// protocol'
+        error: `Rule ${index + 1}: name "${ruleValidation.value.name}" is already used`
       };
     }
+    normalized.push(ruleValidation.value);
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: normalized
+  };
+};
+
+// Limits for A/B split destinations
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 10;
+
+/**
+ * Validate optional A/B split destinations: { name, url, weight } items whose
+ * percentage weights add up to 100. Names default to A, B, C...
+ * Returns the normalized variants, or an empty list when none are given.
+ * urlOptions are passed on to validateUrl for the variant destinations.
+ */
+const validateVariants = (variants, urlOptions) => {
+  if (variants === undefined || variants === null) {
+    return {
+      isValid: true,
+      error: null,
+      value: []
+    };
+  }
+
+  if (!Array.isArray(variants)) {
+    return {
+      isValid: false,
+      error: 'Variants must be an array'
+    };
+  }
+
+  if (variants.length === 0) {
+    return {
+      isValid: true,
+      error: null,
+      value: []
+    };
+  }
+
+  if (variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+    return {
+      isValid: false,
+      error: `A split test needs between ${MIN_VARIANTS} and ${MAX_VARIANTS} variants`
+    };
+  }
+
+  const normalized = [];
+  for (let index = 0; index < variants.length; index++) {
+    const variant = variants[index];
+    const label = `Variant ${index + 1}`;
+
+    if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+      return { isValid: false, error: `${label}: must be an object` };
+    }
+
+    const urlValidation = validateUrl(typeof variant.url === 'string' ? variant.url : '', urlOptions);
+    if (!urlValidation.isValid) {
+      return { isValid: false, error: `${label}: ${urlValidation.error}` };
+    }
+
+    if (!Number.isInteger(variant.weight) || variant.weight < 0 || variant.weight > 100) {
+      return { isValid: false, error: `${label}: weight must be a whole percentage between 0 and 100` };
+    }
+
+    const name = variant.name === undefined ? String.fromCharCode(65 + index) : variant.name;
+    if (typeof name !== 'string' || !/^[a-zA-Z0-9_-]{1,32}$/.test(name)) {
+      return { isValid: false, error: `${label}: name must be 1-32 letters, numbers, dashes or underscores` };
+    }
+    if (normalized.some(existing => existing.name === name)) {
+      return { isValid: false, error: `${label}: name "${name}" is already used` };
+    }
+
+    normalized.push({ name, url: urlValidation.normalizedUrl, weight: variant.weight });
+  }
+
+  const totalWeight = normalized.reduce((total, variant) => total + variant.weight, 0);
+  if (totalWeight !== 100) {
+    return {
+      isValid: false,
+      error: `Variant weights must add up to 100 (got ${totalWeight})`
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: normalized
+  };
+};
+
+// Limits for link metadata
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_FOLDER_LENGTH = 64;
+const MAX_TAGS = 20;
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _-]{0,31}$/u;
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+/**
+ * Normalize a tag for storage and comparison: trimmed and lowercase
+ */
+const normalizeTag = (tag) => tag.trim().toLowerCase();
+
+/**
+ * Validate optional link metadata: title, description, free-form tags and a folder (campaign).
+ * Only the fields that are given are returned; null or an empty value clears a field and is returned
+ * as null. Tags are 1-32 letters, numbers, spaces, dashes or underscores, stored lowercase without duplicates.
+ */
+const validateMetadata = ({ title, description, tags, folder }) => {
+  const value = {};
+
+  const textFields = [
+    { name: 'title', label: 'Title', text: title, maxLength: MAX_TITLE_LENGTH },
+    { name: 'description', label: 'Description', text: description, maxLength: MAX_DESCRIPTION_LENGTH, multiline: true },
+    { name: 'folder', label: 'Folder', text: folder, maxLength: MAX_FOLDER_LENGTH }
+  ];
+  for (const { name, label, text, maxLength, multiline } of textFields) {
+    if (text === undefined) {
+      continue;
+    }
+    if (text !== null && typeof text !== 'string') {
+      return { isValid: false, error: `${label} must be a string` };
+    }
+
+    const trimmed = text === null ? '' : text.trim();
+    if (trimmed.length > maxLength) {
+      return { isValid: false, error: `${label} must be at most ${maxLength} characters` };
+    }
+    if (!multiline && CONTROL_CHARACTERS.test(trimmed)) {
+      return { isValid: false, error: `${label} cannot contain line breaks or control characters` };
+    }
+    value[name] = trimmed || null;
+  }
+
+  if (tags !== undefined) {
+    if (tags !== null && !Array.isArray(tags)) {
+      return { isValid: false, error: 'Tags must be an array' };
+    }
+
+    const normalized = [];
+    for (const tag of tags || []) {
+      if (typeof tag !== 'string' || !TAG_PATTERN.test(tag.trim())) {
+        return {
+          isValid: false,
+          error: `Tag ${JSON.stringify(tag)} is invalid: use 1-32 letters, numbers, spaces, dashes or underscores`
+        };
+      }
+      if (!normalized.includes(normalizeTag(tag))) {
+        normalized.push(normalizeTag(tag));
+      }
+    }
+
+    if (normalized.length > MAX_TAGS) {
+      return { isValid: false, error: `A link can have at most ${MAX_TAGS} tags` };
+    }
+    value.tags = normalized.length > 0 ? normalized : null;
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value
+  };
+};
+
+/**
+ * Parse the tag and folder filters shared by the listing endpoints.
+ * tag takes a comma-separated list (links must carry all of them); folder is matched case-insensitively.
+ */
+const parseMetadataFilters = ({ tag, folder }) => ({
+  tags: typeof tag === 'string' ? tag.split(',').map(normalizeTag).filter(Boolean) : [],
+  folder: typeof folder === 'string' && folder.trim() ? folder.trim().toLowerCase() : undefined
+});
+
+// How far ahead a link can be scheduled to activate
+const MAX_ACTIVATION_DELAY_MS = 365 * 24 * 60 * 60 * 1000;
 
-    // Check if hostname exists
-    if (!urlObj.hostname) {
+/**
+ * Validate the activation window of a new link.
+ * activatesAt is optional; expiry is either validity minutes after activation (or now)
+ * or an absolute expiresAt, never both.
+ */
+const validateSchedule = ({ activatesAt, validity, expiresAt }) => {
+  const now = new Date();
+
+  let activation = null;
+  if (activatesAt !== undefined && activatesAt !== null && activatesAt !== '') {
+    activation = typeof activatesAt === 'string' ? new Date(activatesAt) : null;
+    if (!activation || isNaN(activation)) {
+      return {
+        isValid: false,
+        error: 'activatesAt must be a valid ISO 8601 date'
+      };
+    }
+    if (activation - now > MAX_ACTIVATION_DELAY_MS) {
       return {
         isValid: false,
-        error: 'URL must have a valid hostname'
+        error: 'activatesAt cannot be more than 365 days in the future'
       };
     }
+  }
 
-    // Additional validation for hostname format - more permissive for subdomains
-    // Allow long subdomains with hyphens and multiple levels
-    const hostnameRegex = /^[a-zA-Z0-9.-]+$/;
-    if (!hostnameRegex.test(urlObj.hostname) || !urlObj.hostname.includes('.')) {
+  // Expiry counts from activation, or from now for links that are live straight away
+  const start = activation && activation > now ? activation : now;
+
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+    if (validity !== undefined && validity !== null) {
       return {
         isValid: false,
-        error: 'URL must have a valid domain name'
+        error: 'Provide either validity or expiresAt, not both'
       };
     }
 
-    // Check that hostname doesn't start or end with hyphen or dot
-    if (urlObj.hostname.startsWith('-') || urlObj.hostname.endsWith('-') || 
-        urlObj.hostname.startsWith('.') || urlObj.hostname.endsWith('.')) {
+    const expiry = typeof expiresAt === 'string' ? new Date(expiresAt) : null;
+    if (!expiry || isNaN(expiry)) {
+      return {
+        isValid: false,
+        error: 'expiresAt must be a valid ISO 8601 date'
+      };
+    }
+    if (expiry <= start) {
+      return {
+        isValid: false,
+        error: activation ? 'expiresAt must be after activatesAt' : 'expiresAt must be in the future'
+      };
+    }
+    if (expiry - start > 43200 * 60 * 1000) {
       return {
         isValid: false,
-        error: 'URL domain name format is invalid'
+        error: 'expiresAt must be within 43200 minutes (30 days) of activation'
       };
     }
 
     return {
       isValid: true,
       error: null,
-      normalizedUrl: trimmedUrl
+      value: { activatesAt: activation, expiresAt: expiry }
     };
-  } catch (error) {
+  }
+
+  const validityValidation = validateValidity(validity);
+  if (!validityValidation.isValid) {
+    return validityValidation;
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: {
+      activatesAt: activation,
+      expiresAt: new Date(start.getTime() + (validityValidation.value * 60 * 1000))
+    }
+  };
+};
+
+/**
+ * Validate an optional ISO 8601 date range
+ */
+const validateDateRange = (from, to, fromName = 'from', toName = 'to') => {
+  const parseDate = (value) => (value === undefined || value === '' ? null : new Date(value));
+  const fromDate = parseDate(from);
+  const toDate = parseDate(to);
+
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
     return {
       isValid: false,
-      error: 'Invalid URL format'
+      error: `${fromName} and ${toName} must be valid ISO 8601 dates`
+    };
+  }
+
+  if (fromDate && toDate && fromDate > toDate) {
+    return {
+      isValid: false,
+      error: `${fromName} must not be after ${toName}`
     };
   }
+
+  return {
+    isValid: true,
+    error: null,
+    value: { from: fromDate, to: toDate }
+  };
 };
 
 /**
- * Validate validity period
+ * Validate limit/offset pagination parameters
  */
-const validateValidity = (validity) => {
-  if (validity === undefined || validity === null) {
+const validatePagination = (query, defaultLimit, maxLimit) => {
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    return {
+      isValid: false,
+      error: `Limit must be an integer between 1 and ${maxLimit}`
+    };
+  }
+
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return {
+      isValid: false,
+      error: 'Offset must be a non-negative integer'
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: { limit, offset }
+  };
+};
+
+/**
+ * Check that the given query parameters were passed at most once each.
+ * Repeated parameters (?search=a&search=b) arrive as arrays and bracketed ones as objects.
+ */
+const validateSingleValues = (query, names) => {
+  const repeated = names.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  if (repeated) {
+    return {
+      isValid: false,
+      error: `${repeated} must be a single value`
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null
+  };
+};
+
+/**
+ * Validate query parameters for the URL listing endpoint
+ */
+const validateListQuery = (query) => {
+  const singleValuesValidation = validateSingleValues(query, [
+    'status', 'createdFrom', 'createdTo', 'domain', 'search', 'tag', 'folder', 'sort', 'order', 'limit', 'offset'
+  ]);
+  if (!singleValuesValidation.isValid) {
+    return singleValuesValidation;
+  }
+
+  const { status, createdFrom, createdTo, domain, search, sort = 'createdAt', order = 'desc' } = query;
+
+  if (status !== undefined && !['active', 'scheduled', 'expired', 'exhausted'].includes(status)) {
+    return {
+      isValid: false,
+      error: 'Status must be one of active, scheduled, expired or exhausted'
+    };
+  }
+
+  // Validate date range
+  const rangeValidation = validateDateRange(createdFrom, createdTo, 'createdFrom', 'createdTo');
+  if (!rangeValidation.isValid) {
+    return rangeValidation;
+  }
+
+  if (!['clicks', 'createdAt', 'expiresAt'].includes(sort)) {
+    return {
+      isValid: false,
+      error: 'Sort must be one of clicks, createdAt or expiresAt'
+    };
+  }
+
+  if (!['asc', 'desc'].includes(order)) {
+    return {
+      isValid: false,
+      error: 'Order must be either asc or desc'
+    };
+  }
+
+  // Validate pagination (limit 1-100, default 20)
+  const paginationValidation = validatePagination(query, 20, 100);
+  if (!paginationValidation.isValid) {
+    return paginationValidation;
+  }
+  const { limit, offset } = paginationValidation.value;
+
+  return {
+    isValid: true,
+    error: null,
+    value: {
+      status,
+      createdFrom: rangeValidation.value.from,
+      createdTo: rangeValidation.value.to,
+      // Internationalized domains are matched in their punycode form, as destinations are stored
+      domain: domain ? (domainToASCII(domain.trim()) || domain.trim().toLowerCase()) : undefined,
+      search: search ? search.trim().toLowerCase() : undefined,
+      ...parseMetadataFilters(query),
+      sort,
+      order,
+      limit,
+      offset
+    }
+  };
+};
+
+/**
+ * Validate query parameters for the analytics endpoint
+ */
+const validateAnalyticsQuery = (query) => {
+  const { interval = 'hour', from, to } = query;
+
+  if (!['minute', 'hour', 'day'].includes(interval)) {
+    return {
+      isValid: false,
+      error: 'Interval must be one of minute, hour or day'
+    };
+  }
+
+  const rangeValidation = validateDateRange(from, to);
+  if (!rangeValidation.isValid) {
+    return rangeValidation;
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: {
+      interval,
+      ...rangeValidation.value
+    }
+  };
+};
+
+/**
+ * Validate query parameters for the paginated click list
+ */
+const validateClickListQuery = (query) => {
+  const { order = 'desc', from, to } = query;
+
+  if (!['asc', 'desc'].includes(order)) {
+    return {
+      isValid: false,
+      error: 'Order must be either asc or desc'
+    };
+  }
+
+  const rangeValidation = validateDateRange(from, to);
+  if (!rangeValidation.isValid) {
+    return rangeValidation;
+  }
+
+  // Validate pagination (limit 1-500, default 50)
+  const paginationValidation = validatePagination(query, 50, 500);
+  if (!paginationValidation.isValid) {
+    return paginationValidation;
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: {
+      order,
+      ...rangeValidation.value,
+      ...paginationValidation.value
+    }
+  };
+};
+
+/**
+ * Validate query parameters for the per-tag and per-folder summary
+ */
+const validateGroupQuery = (query) => {
+  const singleValuesValidation = validateSingleValues(query, ['by', 'status', 'tag', 'folder']);
+  if (!singleValuesValidation.isValid) {
+    return singleValuesValidation;
+  }
+
+  const { by = 'tag', status } = query;
+
+  if (!['tag', 'folder'].includes(by)) {
+    return {
+      isValid: false,
+      error: 'Group by must be either tag or folder'
+    };
+  }
+
+  if (status !== undefined && !['active', 'scheduled', 'expired', 'exhausted'].includes(status)) {
+    return {
+      isValid: false,
+      error: 'Status must be one of active, scheduled, expired or exhausted'
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: {
+      by,
+      status,
+      ...parseMetadataFilters(query)
+    }
+  };
+};
+
+/**
+ * Validate the domain a link lives on (defaults to the default domain)
+ */
+const validateDomain = (domain) => {
+  if (domain === undefined || domain === null || domain === '') {
     return {
       isValid: true,
       error: null,
-      value: 30 // Default value
+      value: domainService.getDefaultDomain()
     };
   }
 
-  // Check if it's a number
-  if (!Number.isInteger(validity)) {
+  const normalized = typeof domain === 'string' ? domain.trim().toLowerCase() : '';
+  if (!domainService.isConfiguredDomain(normalized)) {
     return {
       isValid: false,
-      error: 'Validity must be an integer'
+      error: `Domain must be one of: ${domainService.listDomains().map(entry => entry.domain).join(', ')}`
     };
   }
 
-  // Check range (1 minute to 30 days)
-  if (validity < 1 || validity > 43200) {
+  return {
+    isValid: true,
+    error: null,
+    value: normalized
+  };
+};
+
+/**
+ * Normalise a hex colour query value (the leading '#' is optional since it must be URL-encoded)
+ */
+const parseHexColor = (value) => {
+  const hex = String(value).replace(/^#/, '');
+  return /^([0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex) ? `#${hex.toLowerCase()}` : null;
+};
+
+/**
+ * Validate query parameters for QR code generation
+ */
+const validateQrQuery = (query) => {
+  const { format = 'png', ecc = 'M', fg = '000000', bg = 'ffffff' } = query;
+
+  if (!['png', 'svg'].includes(format)) {
     return {
       isValid: false,
-      error: 'Validity must be between 1 and 43200 minutes (30 days)'
+      error: 'Format must be either png or svg'
+    };
+  }
+
+  const size = query.size === undefined ? 300 : Number(query.size);
+  if (!Number.isInteger(size) || size < 64 || size > 2048) {
+    return {
+      isValid: false,
+      error: 'Size must be an integer between 64 and 2048 pixels'
+    };
+  }
+
+  const margin = query.margin === undefined ? 4 : Number(query.margin);
+  if (!Number.isInteger(margin) || margin < 0 || margin > 20) {
+    return {
+      isValid: false,
+      error: 'Margin must be an integer between 0 and 20 modules'
+    };
+  }
+
+  const errorCorrectionLevel = String(ecc).toUpperCase();
+  if (!['L', 'M', 'Q', 'H'].includes(errorCorrectionLevel)) {
+    return {
+      isValid: false,
+      error: 'Error correction level must be one of L, M, Q or H'
+    };
+  }
+
+  const foreground = parseHexColor(fg);
+  const background = parseHexColor(bg);
+  if (!foreground || !background) {
+    return {
+      isValid: false,
+      error: 'Colours must be hex values in RRGGBB or RRGGBBAA form'
     };
   }
 
   return {
     isValid: true,
     error: null,
-    value: validity
+    value: {
+      format,
+      size,
+      margin,
+      errorCorrectionLevel,
+      foreground,
+      background
+    }
   };
 };
 
 module.exports = {
   validateShortcode,
+  validateAliases,
   validateUrl,
-  validateValidity
+  validateValidity,
+  validateSchedule,
+  validateMaxClicks,
+  validatePassword,
+  validateMetadata,
+  parseMetadataFilters,
+  validateRedirectRules,
+  validateVariants,
+  validateDomain,
+  validateDateRange,
+  validateListQuery,
+  validateAnalyticsQuery,
+  validateClickListQuery,
+  validateGroupQuery,
+  validateQrQuery
 };
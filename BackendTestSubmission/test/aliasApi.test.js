@@ -0,0 +1,78 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../server');
+const urlService = require('../services/urlService');
+const apiKeyService = require('../services/apiKeyService');
+
+const DOMAIN = 'localhost';
+
+const { key } = apiKeyService.issueApiKey('alias tests');
+const other = apiKeyService.issueApiKey('someone else');
+
+const api = (method, path) => request(app)[method](path).set('X-API-Key', key);
+
+describe('link aliases', () => {
+  before(async () => {
+    const main = await api('post', '/shorturls').send({ url: 'https://example.com/summer', shortcode: 'summer' });
+    assert.equal(main.status, 201);
+    const second = await api('post', '/shorturls').send({ url: 'https://example.com/winter', shortcode: 'winter' });
+    assert.equal(second.status, 201);
+  });
+
+  it('adds an alias with its own short link', async () => {
+    const res = await api('post', '/shorturls/summer/aliases').send({ alias: 'summer24' });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.alias, 'summer24');
+    assert.match(res.body.shortLink, /\/summer24$/);
+  });
+
+  it('answers 409 for aliases that are already taken', async () => {
+    const shortcode = await api('post', '/shorturls/summer/aliases').send({ alias: 'winter' });
+    assert.equal(shortcode.status, 409);
+
+    const alias = await api('post', '/shorturls/winter/aliases').send({ alias: 'summer24' });
+    assert.equal(alias.status, 409);
+
+    const created = await api('post', '/shorturls').send({ url: 'https://example.com/', shortcode: 'summer24' });
+    assert.equal(created.status, 409);
+  });
+
+  it('rejects invalid aliases and other owners', async () => {
+    const invalid = await api('post', '/shorturls/summer/aliases').send({ alias: 'no!' });
+    assert.equal(invalid.status, 400);
+
+    const forbidden = await request(app)
+      .post('/shorturls/summer/aliases')
+      .set('X-API-Key', other.key)
+      .send({ alias: 'theirs1' });
+    assert.equal(forbidden.status, 403);
+  });
+
+  it('redirects through the alias and reports clicks per alias', async () => {
+    const viaAlias = await request(app).get('/summer24');
+    assert.equal(viaAlias.status, 302);
+    assert.equal(viaAlias.headers.location, 'https://example.com/summer');
+
+    await request(app).get('/summer');
+
+    const stats = await api('get', '/shorturls/summer');
+    assert.equal(stats.body.totalClicks, 2);
+    assert.deepEqual(stats.body.aliases.map(({ alias, clicks }) => ({ alias, clicks })), [{ alias: 'summer24', clicks: 1 }]);
+    assert.equal(urlService.getUrl(DOMAIN, 'summer').clicks[0].alias, 'summer24');
+  });
+
+  it('removes the alias but keeps its clicks', async () => {
+    const removal = await api('delete', '/shorturls/summer/aliases/summer24');
+    assert.equal(removal.status, 204);
+
+    const missing = await api('delete', '/shorturls/summer/aliases/summer24');
+    assert.equal(missing.status, 404);
+
+    const redirect = await request(app).get('/summer24');
+    assert.equal(redirect.status, 404);
+    assert.equal(urlService.getUrl(DOMAIN, 'summer').clicks.length, 2);
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../server');
+const apiKeyService = require('../services/apiKeyService');
+
+const FIREFOX = 'Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0';
+
+const { key } = apiKeyService.issueApiKey('analytics tests');
+const other = apiKeyService.issueApiKey('someone else');
+
+const api = (method, path) => request(app)[method](path).set('X-API-Key', key);
+
+describe('link analytics', () => {
+  before(async () => {
+    const created = await api('post', '/shorturls').send({ url: 'https://example.com/stats', shortcode: 'stat01' });
+    assert.equal(created.status, 201);
+
+    await request(app).get('/stat01').set('User-Agent', FIREFOX).set('Referer', 'https://news.example.com/post');
+    await request(app).get('/stat01').set('User-Agent', FIREFOX);
+    await request(app).get('/stat01').set('User-Agent', 'curl/8.5.0');
+  });
+
+  it('aggregates recorded clicks into breakdowns', async () => {
+    const res = await api('get', '/shorturls/stat01/analytics').query({ interval: 'day' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.interval, 'day');
+    assert.equal(res.body.totalClicks, 3);
+    assert.equal(res.body.timeSeries.reduce((sum, { clicks }) => sum + clicks, 0), 3);
+    assert.deepEqual(res.body.breakdowns.browser[0], { value: 'Firefox', clicks: 2 });
+    assert.deepEqual(res.body.breakdowns.referrerDomain, [
+      { value: 'Direct', clicks: 2 },
+      { value: 'news.example.com', clicks: 1 }
+    ]);
+  });
+
+  it('pages through clicks, newest first', async () => {
+    const res = await api('get', '/shorturls/stat01/clicks').query({ limit: 2 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 3);
+    assert.equal(res.body.items.length, 2);
+    assert.notEqual(res.body.items[0].browser, 'Firefox');
+
+    const oldest = await api('get', '/shorturls/stat01/clicks').query({ order: 'asc', limit: 1 });
+    assert.equal(oldest.body.items[0].referrerDomain, 'news.example.com');
+  });
+
+  it('no longer embeds the click list in link stats', async () => {
+    const res = await api('get', '/shorturls/stat01');
+
+    assert.equal(res.body.totalClicks, 3);
+    assert.equal(res.body.clicks, undefined);
+  });
+
+  it('rejects invalid queries, unknown links and other owners', async () => {
+    const interval = await api('get', '/shorturls/stat01/analytics').query({ interval: 'week' });
+    assert.equal(interval.status, 400);
+
+    const range = await api('get', '/shorturls/stat01/clicks').query({ from: '2025-07-12', to: '2025-07-11' });
+    assert.equal(range.status, 400);
+
+    const missing = await api('get', '/shorturls/nope01/analytics');
+    assert.equal(missing.status, 404);
+
+    const forbidden = await request(app).get('/shorturls/stat01/clicks').set('X-API-Key', other.key);
+    assert.equal(forbidden.status, 403);
+  });
+});
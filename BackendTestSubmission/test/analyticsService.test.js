@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const analyticsService = require('../services/analyticsService');
+
+describe('analyticsService.getReferrerDomain', () => {
+  it('keeps direct visits and reduces referrers to their host', () => {
+    assert.equal(analyticsService.getReferrerDomain('Direct'), 'Direct');
+    assert.equal(analyticsService.getReferrerDomain(undefined), 'Direct');
+    assert.equal(analyticsService.getReferrerDomain('https://news.example.com/post?id=1'), 'news.example.com');
+    assert.equal(analyticsService.getReferrerDomain('not a url'), 'Unknown');
+  });
+});
+
+describe('analyticsService.describeClick', () => {
+  it('describes clicks recorded before the analytics fields existed', () => {
+    const dimensions = analyticsService.describeClick({
+      timestamp: '2025-07-11T12:00:00.000Z',
+      referrer: 'https://t.co/abc',
+      location: 'Berlin, DE',
+      userAgent: 'Firefox 128.0'
+    });
+
+    assert.equal(dimensions.country, 'DE');
+    assert.equal(dimensions.city, 'Berlin');
+    assert.equal(dimensions.browser, 'Firefox');
+    assert.equal(dimensions.os, 'Unknown');
+    assert.equal(dimensions.referrerDomain, 't.co');
+  });
+});
+
+describe('analyticsService.aggregateClicks', () => {
+  const clicks = [
+    { timestamp: '2025-07-11T12:05:00.000Z', country: 'DE', city: 'Berlin', browser: 'Firefox', referrerDomain: 'Direct' },
+    { timestamp: '2025-07-11T12:40:00.000Z', country: 'DE', city: 'Berlin', browser: 'Chrome', referrerDomain: 't.co' },
+    { timestamp: '2025-07-11T14:10:00.000Z', country: 'FR', city: 'Paris', browser: 'Chrome', referrerDomain: 'Direct' }
+  ];
+
+  it('buckets clicks by interval and ranks each breakdown', () => {
+    const result = analyticsService.aggregateClicks(clicks, { interval: 'hour', from: null, to: null });
+
+    assert.equal(result.totalClicks, 3);
+    assert.deepEqual(result.timeSeries, [
+      { bucket: '2025-07-11T12:00:00.000Z', clicks: 2 },
+      { bucket: '2025-07-11T14:00:00.000Z', clicks: 1 }
+    ]);
+    assert.deepEqual(result.breakdowns.browser, [{ value: 'Chrome', clicks: 2 }, { value: 'Firefox', clicks: 1 }]);
+    assert.deepEqual(result.breakdowns.city, [{ value: 'Berlin, DE', clicks: 2 }, { value: 'Paris, FR', clicks: 1 }]);
+  });
+
+  it('only counts clicks within the time range', () => {
+    const result = analyticsService.aggregateClicks(clicks, {
+      interval: 'day',
+      from: new Date('2025-07-11T12:30:00.000Z'),
+      to: new Date('2025-07-11T13:00:00.000Z')
+    });
+
+    assert.equal(result.totalClicks, 1);
+    assert.deepEqual(result.timeSeries, [{ bucket: '2025-07-11T00:00:00.000Z', clicks: 1 }]);
+    assert.deepEqual(result.breakdowns.referrerDomain, [{ value: 't.co', clicks: 1 }]);
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+const app = require('../server');
+const urlService = require('../services/urlService');
+const { logger } = require('../../LoggingMiddleware');
+
+const DOMAIN = 'localhost';
+
+describe('POST /apikeys', () => {
+  it('rejects requests without a valid admin token', async () => {
+    const missing = await request(app).post('/apikeys').send({ name: 'ci' });
+    assert.equal(missing.status, 401);
+
+    const wrong = await request(app).post('/apikeys').set('X-Admin-Token', 'nope').send({ name: 'ci' });
+    assert.equal(wrong.status, 401);
+  });
+
+  it('requires a name', async () => {
+    const res = await request(app).post('/apikeys').set('X-Admin-Token', 'test-admin-token').send({});
+
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('link management authentication', () => {
+  let alice;
+  let bob;
+
+  const issueKey = async (name) => {
+    const res = await request(app).post('/apikeys').set('X-Admin-Token', 'test-admin-token').send({ name });
+    assert.equal(res.status, 201);
+    assert.match(res.body.key, /^usk_/);
+    return res.body;
+  };
+
+  before(async () => {
+    alice = await issueKey('alice');
+    bob = await issueKey('bob');
+
+    const res = await request(app)
+      .post('/shorturls')
+      .set('X-API-Key', alice.key)
+      .send({ url: 'https://example.com/private', shortcode: 'auth01' });
+    assert.equal(res.status, 201);
+  });
+
+  it('records the creating key as the owner', () => {
+    assert.equal(urlService.getUrl(DOMAIN, 'auth01').owner, alice.id);
+  });
+
+  it('answers 401 without an API key', async () => {
+    const create = await request(app).post('/shorturls').send({ url: 'https://example.com/' });
+    assert.equal(create.status, 401);
+
+    const stats = await request(app).get('/shorturls/auth01');
+    assert.equal(stats.status, 401);
+  });
+
+  it('answers 401 for an unknown API key', async () => {
+    const res = await request(app).get('/shorturls/auth01').set('X-API-Key', 'usk_unknown');
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, 'Invalid API key');
+  });
+
+  it('redacts access tokens from logged authentication failures', async () => {
+    const warn = mock.method(logger, 'warn');
+
+    try {
+      await request(app).get('/auth01?token=secret-token').set('X-API-Key', 'usk_unknown');
+
+      const failure = warn.mock.calls.find(call => call.arguments[0] === 'Authentication failed');
+      assert.equal(failure.arguments[1].url, '/auth01?token=[redacted]');
+    } finally {
+      warn.mock.restore();
+    }
+  });
+
+  it('answers health checks even with an unknown API key', async () => {
+    const res = await request(app).get('/health').set('X-API-Key', 'usk_unknown');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'healthy');
+  });
+
+  it('accepts the key as a bearer token', async () => {
+    const res = await request(app).get('/shorturls/auth01').set('Authorization', `Bearer ${alice.key}`);
+
+    assert.equal(res.status, 200);
+  });
+
+  it('answers 403 when another key manages the link', async () => {
+    const stats = await request(app).get('/shorturls/auth01').set('X-API-Key', bob.key);
+    assert.equal(stats.status, 403);
+
+    const update = await request(app).patch('/shorturls/auth01').set('X-API-Key', bob.key).send({ validity: 5 });
+    assert.equal(update.status, 403);
+
+    const removal = await request(app).delete('/shorturls/auth01').set('X-API-Key', bob.key);
+    assert.equal(removal.status, 403);
+    assert.ok(urlService.getUrl(DOMAIN, 'auth01'));
+  });
+
+  it('only lists the links owned by the caller', async () => {
+    const res = await request(app).get('/shorturls').set('X-API-Key', bob.key);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 0);
+  });
+
+  it('keeps redirects public', async () => {
+    const res = await request(app).get('/auth01');
+
+    assert.equal(res.status, 302);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+process.env.BATCH_MAX_ITEMS = '5';
+
+const app = require('../server');
+const urlService = require('../services/urlService');
+const apiKeyService = require('../services/apiKeyService');
+
+const DOMAIN = 'localhost';
+
+const { key, id: owner } = apiKeyService.issueApiKey('batch tests');
+
+const postBatch = (items) => request(app).post('/shorturls/batch').set('X-API-Key', key).send(items);
+
+describe('POST /shorturls/batch', () => {
+  it('creates valid items and reports failures per item', async () => {
+    urlService.storeUrl({
+      shortcode: 'taken1',
+      domain: DOMAIN,
+      originalUrl: 'https://example.com/',
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      owner: 'someone-else',
+      clicks: []
+    });
+
+    const res = await postBatch([
+      { url: 'https://example.com/one' },
+      { url: 'https://example.com/two', validity: 60, shortcode: 'batch2' },
+      { url: 'not a url' },
+      { url: 'https://example.com/three', shortcode: 'batch2' },
+      { url: 'https://example.com/four', shortcode: 'taken1' }
+    ]);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 5);
+    assert.equal(res.body.created, 2);
+    assert.equal(res.body.failed, 3);
+    assert.deepEqual(res.body.results.map(result => result.status), [201, 201, 400, 409, 409]);
+    assert.deepEqual(res.body.results.map(result => result.index), [0, 1, 2, 3, 4]);
+
+    assert.equal(urlService.getUrl(DOMAIN, 'batch2').owner, owner);
+    assert.equal(urlService.getUrl(DOMAIN, 'batch2').originalUrl, 'https://example.com/two');
+    assert.equal(urlService.getUrl(DOMAIN, 'taken1').originalUrl, 'https://example.com/');
+  });
+
+  it('reports non-object items without failing the batch', async () => {
+    const res = await postBatch(['https://example.com/', { url: 'https://example.com/ok' }]);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results.map(result => result.status), [400, 201]);
+  });
+
+  it('rejects empty and oversized batches', async () => {
+    const empty = await postBatch([]);
+    assert.equal(empty.status, 400);
+
+    const oversized = await postBatch(Array.from({ length: 6 }, () => ({ url: 'https://example.com/' })));
+    assert.equal(oversized.status, 400);
+  });
+
+  it('requires an API key', async () => {
+    const res = await request(app).post('/shorturls/batch').send([{ url: 'https://example.com/' }]);
+
+    assert.equal(res.status, 401);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+process.env.PUBLIC_BASE_URL = 'https://sho.rt';
+process.env.CUSTOM_DOMAINS = 'go.example.com';
+
+const app = require('../server');
+const urlService = require('../services/urlService');
+const apiKeyService = require('../services/apiKeyService');
+
+const { key } = apiKeyService.issueApiKey('domain tests');
+
+const api = (method, path) => request(app)[method](path).set('X-API-Key', key);
+
+describe('custom domains', () => {
+  before(async () => {
+    const primary = await api('post', '/shorturls').send({ url: 'https://example.com/primary', shortcode: 'promo1' });
+    assert.equal(primary.status, 201);
+    assert.equal(primary.body.shortLink, 'https://sho.rt/promo1');
+
+    const branded = await api('post', '/shorturls')
+      .send({ url: 'https://example.com/branded', shortcode: 'promo1', domain: 'go.example.com' });
+    assert.equal(branded.status, 201);
+    assert.equal(branded.body.shortLink, 'https://go.example.com/promo1');
+  });
+
+  it('lists the configured domains, default first', async () => {
+    const res = await api('get', '/domains');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.defaultDomain, 'sho.rt');
+    assert.deepEqual(res.body.domains.map(({ domain }) => domain), ['sho.rt', 'go.example.com']);
+  });
+
+  it('rejects domains that are not configured', async () => {
+    const res = await api('post', '/shorturls').send({ url: 'https://example.com/', domain: 'evil.example' });
+
+    assert.equal(res.status, 400);
+  });
+
+  it('redirects on the domain from the Host header', async () => {
+    const branded = await request(app).get('/promo1').set('Host', 'go.example.com');
+    assert.equal(branded.headers.location, 'https://example.com/branded');
+
+    const unknownHost = await request(app).get('/promo1').set('Host', '10.0.0.1');
+    assert.equal(unknownHost.headers.location, 'https://example.com/primary');
+
+    assert.equal(urlService.getUrl('go.example.com', 'promo1').clicks.length, 1);
+  });
+
+  it('selects the link domain with ?domain= on management routes', async () => {
+    const res = await api('get', '/shorturls/promo1').query({ domain: 'go.example.com' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.originalUrl, 'https://example.com/branded');
+
+    const removal = await api('delete', '/shorturls/promo1').query({ domain: 'go.example.com' });
+    assert.equal(removal.status, 204);
+    assert.ok(urlService.getUrl('sho.rt', 'promo1'));
+  });
+});
@@ -0,0 +1,282 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../server');
+const urlService = require('../services/urlService');
+const urlScreeningService = require('../services/urlScreeningService');
+const apiKeyService = require('../services/apiKeyService');
+
+const DOMAIN = 'localhost';
+
+const HOUR = 60 * 60 * 1000;
+
+const { key, id: owner } = apiKeyService.issueApiKey('link tests');
+
+// Requests authenticated as the owner of the stored links
+const api = (method, path) => request(app)[method](path).set('X-API-Key', key);
+
+const storeLink = (shortcode, fields = {}) => {
+  urlService.storeUrl({
+    shortcode,
+    domain: DOMAIN,
+    originalUrl: 'https://example.com/landing',
+    createdAt: new Date(Date.now() - HOUR).toISOString(),
+    expiresAt: new Date(Date.now() + HOUR).toISOString(),
+    owner,
+    clicks: [],
+    ...fields
+  });
+};
+
+describe('POST /shorturls click limits', () => {
+  it('creates single-use links and reports them as exhausted once used', async () => {
+    const created = await api('post', '/shorturls').send({ url: 'https://limit.example/', shortcode: 'single1', singleUse: true });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.maxClicks, 1);
+
+    await request(app).get('/single1');
+
+    const res = await api('get', '/shorturls').query({ domain: 'limit.example', status: 'exhausted' });
+    assert.deepEqual(res.body.items.map(item => [item.shortcode, item.remainingClicks]), [['single1', 0]]);
+  });
+
+  it('rejects destinations blocked by screening', async () => {
+    const res = await api('post', '/shorturls').send({ url: 'http://203.0.113.7/' });
+
+    assert.equal(res.status, 422);
+    assert.equal(res.body.error, 'Unsafe Destination');
+  });
+
+  it('rejects invalid click limits', async () => {
+    const res = await api('post', '/shorturls').send({ url: 'https://limit.example/', maxClicks: 0 });
+
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('POST /shorturls deduplication', () => {
+  it('returns the existing active link for a repeated destination', async () => {
+    const first = await api('post', '/shorturls').send({ url: 'https://dedupe.example/page', dedupe: true });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.deduplicated, false);
+
+    const repeat = await api('post', '/shorturls').send({ url: 'https://dedupe.example/page', dedupe: true });
+    assert.equal(repeat.status, 200);
+    assert.equal(repeat.body.deduplicated, true);
+    assert.equal(repeat.body.shortLink, first.body.shortLink);
+
+    const fresh = await api('post', '/shorturls').send({ url: 'https://dedupe.example/page', dedupe: false });
+    assert.equal(fresh.status, 201);
+    assert.notEqual(fresh.body.shortLink, first.body.shortLink);
+  });
+
+  it('creates a new link when the request sets other link options', async () => {
+    const first = await api('post', '/shorturls').send({ url: 'https://dedupe.example/options', dedupe: true });
+    const limited = await api('post', '/shorturls').send({ url: 'https://dedupe.example/options', dedupe: true, maxClicks: 5 });
+    assert.equal(limited.status, 201);
+    assert.notEqual(limited.body.shortLink, first.body.shortLink);
+
+    const titled = await api('post', '/shorturls').send({ url: 'https://dedupe.example/options', dedupe: true, title: 'Other' });
+    assert.equal(titled.status, 201);
+
+    const plain = await api('post', '/shorturls').send({ url: 'https://dedupe.example/options', dedupe: true });
+    assert.equal(plain.status, 200);
+    assert.equal(plain.body.shortLink, titled.body.shortLink);
+  });
+
+  it('reuses destinations repeated within a batch', async () => {
+    const res = await api('post', '/shorturls/batch').send([
+      { url: 'https://dedupe.example/batch', dedupe: true },
+      { url: 'https://dedupe.example/batch', dedupe: true }
+    ]);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.deduplicated, 1);
+    assert.deepEqual(res.body.results.map(result => result.status), [201, 200]);
+    assert.equal(res.body.results[1].shortLink, res.body.results[0].shortLink);
+  });
+
+  it('rejects a non-boolean dedupe flag', async () => {
+    const res = await api('post', '/shorturls').send({ url: 'https://dedupe.example/page', dedupe: 'yes' });
+
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('POST /shorturls letter case', () => {
+  it('keeps shortcodes that differ only in case apart by default', async () => {
+    const upper = await api('post', '/shorturls').send({ url: 'https://example.com/upper', shortcode: 'Case01' });
+    const lower = await api('post', '/shorturls').send({ url: 'https://example.com/lower', shortcode: 'case01' });
+    assert.equal(upper.status, 201);
+    assert.equal(lower.status, 201);
+
+    const redirect = await request(app).get('/case01');
+    assert.equal(redirect.headers.location, 'https://example.com/lower');
+  });
+});
+
+describe('GET /shorturls', () => {
+  before(() => {
+    storeLink('list01', { originalUrl: 'https://list.example/a', createdAt: new Date(Date.now() - 3 * HOUR).toISOString() });
+    storeLink('list02', { originalUrl: 'https://www.list.example/b', createdAt: new Date(Date.now() - 2 * HOUR).toISOString() });
+    storeLink('list03', { originalUrl: 'https://list.example/c', expiresAt: new Date(Date.now() - HOUR).toISOString() });
+    urlService.recordClick(DOMAIN, 'list01', { timestamp: new Date().toISOString() });
+  });
+
+  it('filters by destination domain and status, newest first', async () => {
+    const res = await api('get', '/shorturls').query({ domain: 'list.example', status: 'active' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 2);
+    assert.deepEqual(res.body.items.map(item => item.shortcode), ['list02', 'list01']);
+    assert.equal(res.body.items[1].totalClicks, 1);
+    assert.equal(res.body.items[1].clicks, undefined);
+  });
+
+  it('sorts by clicks and paginates', async () => {
+    const res = await api('get', '/shorturls')
+      .query({ domain: 'list.example', sort: 'clicks', order: 'desc', limit: 1, offset: 0 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 3);
+    assert.equal(res.body.limit, 1);
+    assert.deepEqual(res.body.items.map(item => item.shortcode), ['list01']);
+  });
+
+  it('rejects invalid query parameters', async () => {
+    const res = await api('get', '/shorturls').query({ status: 'paused' });
+
+    assert.equal(res.status, 400);
+  });
+
+  it('rejects repeated query parameters', async () => {
+    const repeated = await api('get', '/shorturls?search=a&search=b');
+    assert.equal(repeated.status, 400);
+    assert.equal(repeated.body.message, 'search must be a single value');
+
+    const bracketed = await api('get', '/shorturls?sort[x]=clicks');
+    assert.equal(bracketed.status, 400);
+  });
+});
+
+describe('PATCH /shorturls/:shortcode', () => {
+  before(() => {
+    storeLink('edit01');
+  });
+
+  it('updates the destination and restarts the validity', async () => {
+    const res = await api('patch', '/shorturls/edit01')
+      .send({ url: 'https://example.com/updated', validity: 120 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.originalUrl, 'https://example.com/updated');
+    assert.ok(new Date(res.body.expiry) > new Date(Date.now() + 119 * 60 * 1000));
+    assert.equal(urlService.getUrl(DOMAIN, 'edit01').originalUrl, 'https://example.com/updated');
+  });
+
+  it('replaces and removes redirect rules', async () => {
+    const rules = [{ name: 'mobile', url: 'https://example.com/m', deviceType: ['mobile'] }];
+
+    const replaced = await api('patch', '/shorturls/edit01').send({ rules });
+    assert.equal(replaced.status, 200);
+    assert.deepEqual(replaced.body.rules, rules);
+
+    const removed = await api('patch', '/shorturls/edit01').send({ rules: null });
+    assert.deepEqual(removed.body.rules, []);
+  });
+
+  it('screens redirect rule destinations', async () => {
+    const res = await api('patch', '/shorturls/edit01').send({
+      rules: [{ url: 'http://203.0.113.7/', deviceType: ['mobile'] }]
+    });
+
+    assert.equal(res.status, 422);
+  });
+
+  it('rejects rules without conditions', async () => {
+    const res = await api('patch', '/shorturls/edit01').send({ rules: [{ url: 'https://example.com/x' }] });
+
+    assert.equal(res.status, 400);
+  });
+
+  it('reschedules a link with activatesAt and expiresAt', async () => {
+    storeLink('edit02');
+    const activatesAt = new Date(Date.now() + HOUR).toISOString();
+    const expiresAt = new Date(Date.now() + 3 * HOUR).toISOString();
+
+    const scheduled = await api('patch', '/shorturls/edit02').send({ activatesAt, expiresAt });
+    assert.equal(scheduled.status, 200);
+    assert.equal(scheduled.body.activatesAt, activatesAt);
+    assert.equal(scheduled.body.expiry, expiresAt);
+
+    const live = await api('patch', '/shorturls/edit02').send({ activatesAt: null });
+    assert.equal(live.status, 200);
+    assert.equal(live.body.activatesAt, null);
+    assert.equal(live.body.expiry, expiresAt);
+  });
+
+  it('rejects a schedule that ends before it starts', async () => {
+    storeLink('edit03');
+    const res = await api('patch', '/shorturls/edit03')
+      .send({ activatesAt: new Date(Date.now() + 2 * HOUR).toISOString() });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'expiresAt must be after activatesAt');
+    assert.equal(urlService.getUrl(DOMAIN, 'edit03').activatesAt, undefined);
+  });
+
+  it('rejects an empty update', async () => {
+    const res = await api('patch', '/shorturls/edit01').send({});
+
+    assert.equal(res.status, 400);
+  });
+
+  it('rejects an invalid destination', async () => {
+    const res = await api('patch', '/shorturls/edit01').send({ url: 'not a url' });
+
+    assert.equal(res.status, 400);
+    assert.equal(urlService.getUrl(DOMAIN, 'edit01').originalUrl, 'https://example.com/updated');
+  });
+
+  it('answers 404 when the link is deleted while it is being screened', async () => {
+    storeLink('edit04');
+    urlScreeningService.setReputationChecker(async () => {
+      urlService.deleteUrl(DOMAIN, 'edit04');
+      return { safe: true };
+    });
+
+    try {
+      const res = await api('patch', '/shorturls/edit04').send({ url: 'https://example.com/late' });
+
+      assert.equal(res.status, 404);
+      assert.equal(urlService.getUrl(DOMAIN, 'edit04'), undefined);
+    } finally {
+      urlScreeningService.setReputationChecker(null);
+    }
+  });
+
+  it('answers 404 for unknown shortcodes', async () => {
+    const res = await api('patch', '/shorturls/nope01').send({ validity: 10 });
+
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('DELETE /shorturls/:shortcode', () => {
+  it('revokes the link so it no longer redirects', async () => {
+    storeLink('drop01');
+
+    const res = await api('delete', '/shorturls/drop01');
+    assert.equal(res.status, 204);
+
+    const redirect = await request(app).get('/drop01');
+    assert.equal(redirect.status, 404);
+  });
+
+  it('answers 404 for unknown shortcodes', async () => {
+    const res = await api('delete', '/shorturls/nope01');
+
+    assert.equal(res.status, 404);
+  });
+});
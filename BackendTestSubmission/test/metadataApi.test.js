@@ -0,0 +1,81 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../server');
+const apiKeyService = require('../services/apiKeyService');
+
+const { key } = apiKeyService.issueApiKey('metadata tests');
+
+const api = (method, path) => request(app)[method](path).set('X-API-Key', key);
+
+describe('link metadata', () => {
+  before(async () => {
+    const links = [
+      { url: 'https://example.com/a', shortcode: 'meta01', title: 'Summer sale', tags: ['Summer', 'email', 'summer'], folder: 'Q3 Launch' },
+      { url: 'https://example.com/b', shortcode: 'meta02', tags: ['summer'], folder: 'q3 launch' },
+      { url: 'https://example.com/c', shortcode: 'meta03' }
+    ];
+    for (const link of links) {
+      const res = await api('post', '/shorturls').send(link);
+      assert.equal(res.status, 201);
+    }
+    await request(app).get('/meta01');
+    await request(app).get('/meta01');
+    await request(app).get('/meta02');
+  });
+
+  it('stores tags lowercase without duplicates', async () => {
+    const res = await api('get', '/shorturls/meta01');
+
+    assert.equal(res.body.title, 'Summer sale');
+    assert.deepEqual(res.body.tags, ['summer', 'email']);
+    assert.equal(res.body.folder, 'Q3 Launch');
+  });
+
+  it('rejects invalid metadata', async () => {
+    const res = await api('post', '/shorturls').send({ url: 'https://example.com/', tags: ['!bad'] });
+
+    assert.equal(res.status, 400);
+  });
+
+  it('lists links by tag and folder, ignoring the folder\'s case', async () => {
+    const byTags = await api('get', '/shorturls').query({ tag: 'summer,email' });
+    assert.deepEqual(byTags.body.items.map(item => item.shortcode), ['meta01']);
+
+    const byFolder = await api('get', '/shorturls').query({ folder: 'Q3 LAUNCH' });
+    assert.deepEqual(byFolder.body.items.map(item => item.shortcode).sort(), ['meta01', 'meta02']);
+  });
+
+  it('totals links and clicks per tag and per folder', async () => {
+    const byTag = await api('get', '/shorturls/groups');
+    assert.equal(byTag.status, 200);
+    assert.deepEqual(byTag.body.groups.map(({ value, links, totalClicks }) => ({ value, links, totalClicks })), [
+      { value: 'summer', links: 2, totalClicks: 3 },
+      { value: 'email', links: 1, totalClicks: 2 },
+      { value: null, links: 1, totalClicks: 0 }
+    ]);
+
+    const byFolder = await api('get', '/shorturls/groups').query({ by: 'folder' });
+    assert.deepEqual(byFolder.body.groups.map(({ value, links }) => ({ value, links })), [
+      { value: 'Q3 Launch', links: 2 },
+      { value: null, links: 1 }
+    ]);
+  });
+
+  it('rejects repeated group parameters', async () => {
+    const res = await api('get', '/shorturls/groups?by=tag&by=folder');
+    assert.equal(res.status, 400);
+  });
+
+  it('edits and clears metadata with PATCH', async () => {
+    const edited = await api('patch', '/shorturls/meta03').send({ title: 'Winter', tags: ['Winter'] });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.title, 'Winter');
+    assert.deepEqual(edited.body.tags, ['winter']);
+
+    const cleared = await api('patch', '/shorturls/meta03').send({ title: '', tags: null });
+    assert.equal(cleared.body.title, null);
+    assert.deepEqual(cleared.body.tags, []);
+  });
+});
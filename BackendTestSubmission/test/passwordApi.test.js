@@ -0,0 +1,107 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+process.env.LINK_PASSWORD_MAX_ATTEMPTS = '2';
+
+const app = require('../server');
+const { redactUrl } = require('../../LoggingMiddleware');
+const urlService = require('../services/urlService');
+const apiKeyService = require('../services/apiKeyService');
+
+const DOMAIN = 'localhost';
+
+const { key } = apiKeyService.issueApiKey('password tests');
+
+const createProtectedLink = async (shortcode) => {
+  const res = await request(app)
+    .post('/shorturls')
+    .set('X-API-Key', key)
+    .send({ url: 'https://example.com/secret', shortcode, password: 'open sesame' });
+  assert.equal(res.status, 201);
+};
+
+describe('password-protected links', () => {
+  before(async () => {
+    await createProtectedLink('sec001');
+    await createProtectedLink('sec002');
+  });
+
+  it('stores only a hash of the password', () => {
+    const { passwordHash } = urlService.getUrl(DOMAIN, 'sec001');
+
+    assert.ok(passwordHash);
+    assert.ok(!passwordHash.includes('open sesame'));
+  });
+
+  it('answers 401 with the prompt instead of redirecting', async () => {
+    const res = await request(app).get('/sec001');
+
+    assert.equal(res.status, 401);
+    assert.match(res.headers['content-type'], /^text\/html/);
+    assert.equal(urlService.getUrl(DOMAIN, 'sec001').clicks.length, 0);
+  });
+
+  it('ignores forged access tokens', async () => {
+    const res = await request(app).get('/sec001').query({ token: 'forged.token' });
+
+    assert.equal(res.status, 401);
+  });
+
+  it('redirects with the access token issued for the right password', async () => {
+    const unlock = await request(app).post('/sec001').type('form').send({ password: 'open sesame' });
+    assert.equal(unlock.status, 303);
+
+    const { pathname, search } = new URL(unlock.headers.location);
+    assert.equal(pathname, '/sec001');
+
+    const res = await request(app).get(`${pathname}${search}`);
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.location, 'https://example.com/secret');
+    assert.equal(urlService.getUrl(DOMAIN, 'sec001').clicks.length, 1);
+  });
+
+  it('locks the link after too many wrong passwords', async () => {
+    const first = await request(app).post('/sec002').send({ password: 'wrong' });
+    assert.equal(first.status, 401);
+
+    const second = await request(app).post('/sec002').send({ password: 'wrong' });
+    assert.equal(second.status, 401);
+
+    const locked = await request(app).post('/sec002').send({ password: 'open sesame' });
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers['retry-after']) > 0);
+  });
+
+  it('never returns the password hash from the statistics endpoint', async () => {
+    const res = await request(app).get('/shorturls/sec001').set('X-API-Key', key);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.passwordProtected, true);
+    assert.equal(res.body.passwordHash, undefined);
+  });
+
+  it('keeps links protected through an export and import', async () => {
+    const exported = await request(app).get('/shorturls/export').set('X-API-Key', key).query({ format: 'ndjson' });
+    const record = exported.text.trim().split('\n').map(line => JSON.parse(line)).find(link => link.shortcode === 'sec001');
+    assert.equal(record.passwordHash, urlService.getUrl(DOMAIN, 'sec001').passwordHash);
+
+    const imported = await request(app)
+      .post('/shorturls/import')
+      .set('X-API-Key', key)
+      .set('Content-Type', 'application/x-ndjson')
+      .send(`${JSON.stringify({ ...record, shortcode: 'sec003' })}\n`);
+    assert.equal(imported.body.importedCount, 1);
+
+    const res = await request(app).get('/sec003');
+    assert.equal(res.status, 401);
+  });
+});
+
+describe('redactUrl', () => {
+  it('hides access tokens in logged URLs', () => {
+    assert.equal(redactUrl('/sec001?token=abc.def&utm_source=x'), '/sec001?token=[redacted]&utm_source=x');
+    assert.equal(redactUrl('/sec001?a=1&TOKEN=abc'), '/sec001?a=1&TOKEN=[redacted]');
+    assert.equal(redactUrl('/sec001?mytoken=abc'), '/sec001?mytoken=abc');
+  });
+});
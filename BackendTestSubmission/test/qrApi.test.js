@@ -0,0 +1,53 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../server');
+const apiKeyService = require('../services/apiKeyService');
+
+const { key } = apiKeyService.issueApiKey('qr tests');
+const other = apiKeyService.issueApiKey('someone else');
+
+const api = (method, path) => request(app)[method](path).set('X-API-Key', key);
+
+describe('GET /shorturls/:shortcode/qr', () => {
+  before(async () => {
+    const created = await api('post', '/shorturls').send({ url: 'https://example.com/poster', shortcode: 'qrc001' });
+    assert.equal(created.status, 201);
+  });
+
+  it('renders a PNG by default', async () => {
+    const res = await api('get', '/shorturls/qrc001/qr').buffer(true);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'image/png');
+    assert.deepEqual([...res.body.subarray(1, 4)], [...Buffer.from('PNG')]);
+    assert.equal(res.headers['content-disposition'], undefined);
+  });
+
+  it('renders SVG with custom colours as a download', async () => {
+    const res = await api('get', '/shorturls/qrc001/qr')
+      .query({ format: 'svg', fg: '112233', bg: 'ffffff00', download: 'true' })
+      .buffer(true);
+    const svg = res.body.toString();
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^image\/svg\+xml/);
+    assert.match(res.headers['content-disposition'], /filename="qrc001-qr\.svg"/);
+    assert.match(svg, /<svg/);
+    assert.match(svg, /#112233/);
+  });
+
+  it('rejects invalid options, unknown links and other owners', async () => {
+    for (const query of [{ format: 'gif' }, { size: 32 }, { margin: 30 }, { ecc: 'X' }, { fg: 'red' }]) {
+      const res = await api('get', '/shorturls/qrc001/qr').query(query);
+      assert.equal(res.status, 400, JSON.stringify(query));
+    }
+
+    const missing = await api('get', '/shorturls/nope01/qr');
+    assert.equal(missing.status, 404);
+
+    const forbidden = await request(app).get('/shorturls/qrc001/qr').set('X-API-Key', other.key);
+    assert.equal(forbidden.status, 403);
+  });
+});
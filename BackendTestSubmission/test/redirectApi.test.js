@@ -0,0 +1,112 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../server');
+const urlService = require('../services/urlService');
+
+const DOMAIN = 'localhost';
+const HOUR = 60 * 60 * 1000;
+
+const storeLink = (shortcode, fields = {}) => {
+  urlService.storeUrl({
+    shortcode,
+    domain: DOMAIN,
+    originalUrl: 'https://example.com/landing',
+    createdAt: new Date(Date.now() - HOUR).toISOString(),
+    expiresAt: new Date(Date.now() + HOUR).toISOString(),
+    clicks: [],
+    ...fields
+  });
+};
+
+describe('GET /:shortcode', () => {
+  before(() => {
+    storeLink('live01');
+    storeLink('gone01', { expiresAt: new Date(Date.now() - 60 * 1000).toISOString() });
+  });
+
+  it('redirects active links and records the click', async () => {
+    const res = await request(app).get('/live01');
+
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.location, 'https://example.com/landing');
+    assert.equal(urlService.getUrl(DOMAIN, 'live01').clicks.length, 1);
+  });
+
+  it('answers 410 for expired links that are still retained', async () => {
+    const res = await request(app).get('/gone01');
+
+    assert.equal(res.status, 410);
+    assert.equal(res.body.error, 'Gone');
+    assert.equal(urlService.getUrl(DOMAIN, 'gone01').clicks.length, 0);
+  });
+
+  it('answers 410 once the click limit is used up', async () => {
+    storeLink('once01', { maxClicks: 1 });
+
+    const first = await request(app).get('/once01');
+    assert.equal(first.status, 302);
+
+    const second = await request(app).get('/once01');
+    assert.equal(second.status, 410);
+    assert.equal(urlService.getUrl(DOMAIN, 'once01').clicks.length, 1);
+  });
+
+  it('follows the first matching redirect rule and records its name', async () => {
+    storeLink('rule01', {
+      rules: [
+        { name: 'ios', url: 'https://example.com/ios', os: ['ios'] },
+        { name: 'german', url: 'https://example.com/de', language: ['de'] }
+      ]
+    });
+
+    const iphone = await request(app)
+      .get('/rule01')
+      .set('User-Agent', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148')
+      .set('Accept-Language', 'de-DE');
+    assert.equal(iphone.headers.location, 'https://example.com/ios');
+
+    const german = await request(app).get('/rule01').set('Accept-Language', 'en;q=0.5, de-AT');
+    assert.equal(german.headers.location, 'https://example.com/de');
+
+    const other = await request(app).get('/rule01').set('Accept-Language', 'fr');
+    assert.equal(other.headers.location, 'https://example.com/landing');
+
+    assert.deepEqual(urlService.getUrl(DOMAIN, 'rule01').clicks.map(click => click.matchedRule), ['ios', 'german', 'default']);
+  });
+
+  it('splits visitors between variants and keeps sticky visitors on theirs', async () => {
+    storeLink('split1', {
+      stickyVariants: true,
+      variants: [
+        { name: 'control', url: 'https://example.com/control', weight: 100 },
+        { name: 'green', url: 'https://example.com/green', weight: 0 }
+      ]
+    });
+
+    const first = await request(app).get('/split1');
+    assert.equal(first.headers.location, 'https://example.com/control');
+    assert.equal(first.headers['cache-control'], 'no-store');
+    assert.match(first.headers['set-cookie'][0], /^sl_variant=control;.*Path=\/split1/);
+
+    urlService.updateUrl(DOMAIN, 'split1', {
+      variants: [
+        { name: 'control', url: 'https://example.com/control', weight: 50 },
+        { name: 'green', url: 'https://example.com/green', weight: 50 }
+      ]
+    });
+
+    const returning = await request(app).get('/split1').set('Cookie', 'sl_variant=green');
+    assert.equal(returning.headers.location, 'https://example.com/green');
+
+    assert.deepEqual(urlService.getUrl(DOMAIN, 'split1').clicks.map(click => click.variant), ['control', 'green']);
+  });
+
+  it('answers 404 for unknown shortcodes', async () => {
+    const res = await request(app).get('/nope01');
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, 'Not Found');
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const redirectRuleService = require('../services/redirectRuleService');
+
+// Wednesday 2025-07-09, 10:30 UTC
+const WEDNESDAY_MORNING = new Date('2025-07-09T10:30:00.000Z');
+
+describe('redirectRuleService.getPreferredLanguage', () => {
+  it('picks the language with the highest quality, then the first listed', () => {
+    assert.equal(redirectRuleService.getPreferredLanguage('fr;q=0.8, de-DE, en;q=0.9'), 'de-de');
+    assert.equal(redirectRuleService.getPreferredLanguage('en, fr'), 'en');
+  });
+
+  it('skips wildcards and refused languages', () => {
+    assert.equal(redirectRuleService.getPreferredLanguage('*, de;q=0, it;q=0.5'), 'it');
+    assert.equal(redirectRuleService.getPreferredLanguage(undefined), null);
+  });
+});
+
+describe('redirectRuleService.isWithinTimeWindow', () => {
+  it('matches times from the start up to, not including, the end', () => {
+    assert.equal(redirectRuleService.isWithinTimeWindow({ from: '10:30', to: '11:00' }, WEDNESDAY_MORNING), true);
+    assert.equal(redirectRuleService.isWithinTimeWindow({ from: '09:00', to: '10:30' }, WEDNESDAY_MORNING), false);
+  });
+
+  it('runs windows ending before they start over midnight', () => {
+    assert.equal(redirectRuleService.isWithinTimeWindow({ from: '22:00', to: '11:00' }, WEDNESDAY_MORNING), true);
+    assert.equal(redirectRuleService.isWithinTimeWindow({ from: '22:00', to: '06:00' }, WEDNESDAY_MORNING), false);
+  });
+
+  it('uses the window\'s time zone for the time and the weekday', () => {
+    // 10:30 UTC is 19:30 in Tokyo and 06:30 in New York
+    assert.equal(redirectRuleService.isWithinTimeWindow({ from: '19:00', to: '20:00', timezone: 'Asia/Tokyo' }, WEDNESDAY_MORNING), true);
+    assert.equal(redirectRuleService.isWithinTimeWindow({ from: '10:00', to: '11:00', timezone: 'America/New_York' }, WEDNESDAY_MORNING), false);
+    assert.equal(redirectRuleService.isWithinTimeWindow({ from: '00:00', to: '23:59', days: [1, 2] }, WEDNESDAY_MORNING), false);
+    assert.equal(redirectRuleService.isWithinTimeWindow({ from: '00:00', to: '23:59', days: [3] }, WEDNESDAY_MORNING), true);
+  });
+});
+
+describe('redirectRuleService.findMatchingRule', () => {
+  const rules = [
+    { name: 'ios-de', url: 'https://example.com/ios-de', os: ['ios'], language: ['de'] },
+    { name: 'mobile', url: 'https://example.com/mobile', deviceType: ['mobile', 'tablet'] },
+    { name: 'us-office-hours', url: 'https://example.com/us', country: ['US'], time: { from: '09:00', to: '17:00' } }
+  ];
+  const visitor = (fields) => ({ os: 'Windows', deviceType: 'desktop', country: 'DE', language: null, now: WEDNESDAY_MORNING, ...fields });
+
+  it('returns the first rule whose conditions all match', () => {
+    assert.equal(redirectRuleService.findMatchingRule(rules, visitor({ os: 'iOS', deviceType: 'mobile', language: 'de-at' })).name, 'ios-de');
+    assert.equal(redirectRuleService.findMatchingRule(rules, visitor({ os: 'iOS', deviceType: 'mobile', language: 'en' })).name, 'mobile');
+    assert.equal(redirectRuleService.findMatchingRule(rules, visitor({ country: 'US' })).name, 'us-office-hours');
+  });
+
+  it('returns null when no rule matches', () => {
+    assert.equal(redirectRuleService.findMatchingRule(rules, visitor({ country: 'US', now: new Date('2025-07-09T20:00:00.000Z') })), null);
+    assert.equal(redirectRuleService.findMatchingRule(undefined, visitor({})), null);
+  });
+
+  it('matches a language prefix only at a subtag boundary', () => {
+    const rule = { language: ['pt'] };
+    assert.equal(redirectRuleService.matchesRule(rule, visitor({ language: 'pt-br' })), true);
+    assert.equal(redirectRuleService.matchesRule(rule, visitor({ language: 'ptx' })), false);
+  });
+});
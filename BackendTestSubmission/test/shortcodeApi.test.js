@@ -0,0 +1,52 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+process.env.SHORTCODE_CASE = 'insensitive';
+// Leave "health" to be reserved by the app's own route
+process.env.RESERVED_SHORTCODES = 'api,admin';
+
+const app = require('../server');
+const apiKeyService = require('../services/apiKeyService');
+
+const { key } = apiKeyService.issueApiKey('shortcode tests');
+
+const api = (method, path) => request(app)[method](path).set('X-API-Key', key);
+
+describe('shortcode policy', () => {
+  before(async () => {
+    const res = await api('post', '/shorturls').send({ url: 'https://example.com/promo', shortcode: 'Promo1' });
+    assert.equal(res.status, 201);
+  });
+
+  it('describes the policy with the route-derived reserved words', async () => {
+    const res = await api('get', '/shortcodes/policy');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.caseSensitive, false);
+    ['admin', 'apikeys', 'domains', 'health', 'shortcodes', 'shorturls'].forEach(word => {
+      assert.ok(res.body.reservedWords.includes(word), word);
+    });
+  });
+
+  it('rejects reserved words in any letter case', async () => {
+    const res = await api('post', '/shorturls').send({ url: 'https://example.com/', shortcode: 'ShortUrls' });
+
+    assert.equal(res.status, 400);
+  });
+
+  it('answers 409 for a shortcode differing only in case', async () => {
+    const res = await api('post', '/shorturls').send({ url: 'https://example.com/', shortcode: 'PROMO1' });
+
+    assert.equal(res.status, 409);
+  });
+
+  it('finds the link whatever the letter case of the request', async () => {
+    const redirect = await request(app).get('/PROMO1');
+    assert.equal(redirect.status, 302);
+
+    const stats = await api('get', '/shorturls/promo1');
+    assert.equal(stats.status, 200);
+    assert.equal(stats.body.shortcode, 'Promo1');
+  });
+});
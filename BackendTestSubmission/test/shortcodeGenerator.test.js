@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createShortcodeGenerator, MAX_SHORTCODE_LENGTH } = require('../services/shortcodeGenerator');
+
+const createGenerator = (options = {}) => createShortcodeGenerator({
+  strategy: 'alphanumeric',
+  length: 6,
+  maxCollisionRetries: 5,
+  listShortcodes: () => [],
+  ...options
+});
+
+const always = (available) => () => available;
+
+// Generate a number of codes for one domain, all reported as free
+const generateMany = (generator, count, domain = 'localhost') => {
+  return Array.from({ length: count }, () => generator.generate(domain, always(true)));
+};
+
+describe('createShortcodeGenerator', () => {
+  it('rejects unknown strategies and invalid settings', () => {
+    assert.throws(() => createGenerator({ strategy: 'emoji' }), /Unknown shortcode strategy "emoji"/);
+    assert.throws(() => createGenerator({ length: 3 }), /Shortcode length must be an integer between 4 and 10/);
+    assert.throws(() => createGenerator({ length: 11 }), /Shortcode length must be an integer between 4 and 10/);
+    assert.throws(() => createGenerator({ maxCollisionRetries: 0 }), /collision retries must be a positive integer/);
+  });
+
+  it('builds alphanumeric codes of the configured length', () => {
+    generateMany(createGenerator({ length: 8 }), 50).forEach(shortcode => {
+      assert.match(shortcode, /^[A-Za-z0-9]{8}$/);
+    });
+  });
+
+  it('only uses lowercase characters for a case-insensitive namespace', () => {
+    generateMany(createGenerator({ caseSensitive: false }), 50).forEach(shortcode => {
+      assert.match(shortcode, /^[a-z0-9]{6}$/);
+    });
+  });
+
+  it('leaves out easily confused characters with the unambiguous strategy', () => {
+    generateMany(createGenerator({ strategy: 'unambiguous' }), 50).forEach(shortcode => {
+      assert.match(shortcode, /^[A-Za-z0-9]{6}$/);
+      assert.doesNotMatch(shortcode, /[01OIlo]/);
+    });
+  });
+
+  it('alternates consonants and vowels with the pronounceable strategy', () => {
+    generateMany(createGenerator({ strategy: 'pronounceable', length: 7 }), 50).forEach(shortcode => {
+      assert.match(shortcode, /^([bcdfghjkmnprstvwz][aeiou]){3}[bcdfghjkmnprstvwz]$/);
+    });
+  });
+
+  it('counts up per domain after the highest stored code of the same length', () => {
+    const stored = { 'a.example': ['0000ab', 'zzzz', '0000a9'], 'b.example': [] };
+    const generator = createGenerator({
+      strategy: 'sequential',
+      listShortcodes: (domain) => stored[domain]
+    });
+
+    assert.deepEqual(generateMany(generator, 3, 'a.example'), ['0000ac', '0000ad', '0000ae']);
+    assert.deepEqual(generateMany(generator, 2, 'b.example'), ['000000', '000001']);
+  });
+
+  it('counts in base36 for a case-insensitive namespace', () => {
+    const generator = createGenerator({
+      strategy: 'sequential',
+      caseSensitive: false,
+      listShortcodes: () => ['00000z', '0000ZZ']
+    });
+
+    assert.deepEqual(generateMany(generator, 2), ['000010', '000011']);
+  });
+
+  it('retries taken codes at the current length', () => {
+    let calls = 0;
+    const shortcode = createGenerator().generate('localhost', () => ++calls === 3);
+
+    assert.equal(calls, 3);
+    assert.equal(shortcode.length, 6);
+  });
+
+  it('grows the length for this and later codes once the retries are used up', () => {
+    const increases = [];
+    const generator = createGenerator({
+      maxCollisionRetries: 2,
+      onLengthIncreased: (previousLength, newLength) => increases.push([previousLength, newLength])
+    });
+
+    const taken = new Set();
+    const shortcode = generator.generate('localhost', (candidate) => {
+      taken.add(candidate);
+      return candidate.length > 6;
+    });
+
+    assert.equal(taken.size, 3);
+    assert.equal(shortcode.length, 7);
+    assert.deepEqual(increases, [[6, 7]]);
+    assert.equal(generator.getCurrentLength(), 7);
+    assert.equal(generator.generate('localhost', always(true)).length, 7);
+  });
+
+  it('gives up once no free code is found at the maximum length', () => {
+    const increases = [];
+    const generator = createGenerator({
+      length: MAX_SHORTCODE_LENGTH - 1,
+      maxCollisionRetries: 1,
+      onLengthIncreased: (previousLength, newLength) => increases.push(newLength)
+    });
+
+    assert.throws(
+      () => generator.generate('localhost', always(false)),
+      /Could not generate a free shortcode after 1 attempts at the maximum length/
+    );
+    assert.deepEqual(increases, [MAX_SHORTCODE_LENGTH]);
+    assert.equal(generator.getCurrentLength(), MAX_SHORTCODE_LENGTH);
+  });
+});
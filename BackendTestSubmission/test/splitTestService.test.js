@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const splitTestService = require('../services/splitTestService');
+
+const VARIANTS = [
+  { name: 'A', url: 'https://example.com/a', weight: 60 },
+  { name: 'B', url: 'https://example.com/b', weight: 40 }
+];
+
+describe('splitTestService.parseCookies', () => {
+  it('parses a Cookie header and decodes the values', () => {
+    assert.deepEqual(splitTestService.parseCookies('sl_variant=Variant%20B; theme = dark;bad=%E0%A4%A'), {
+      sl_variant: 'Variant B',
+      theme: 'dark',
+      bad: '%E0%A4%A'
+    });
+  });
+
+  it('returns no cookies for a missing header', () => {
+    assert.deepEqual(splitTestService.parseCookies(undefined), {});
+  });
+});
+
+describe('splitTestService.pickVariant', () => {
+  it('splits the 0-99 roll by the variants\' weights', (t) => {
+    const randomInt = t.mock.method(crypto, 'randomInt');
+    const pickWithRoll = (roll) => {
+      randomInt.mock.mockImplementation(() => roll);
+      return splitTestService.pickVariant(VARIANTS).name;
+    };
+
+    assert.equal(pickWithRoll(0), 'A');
+    assert.equal(pickWithRoll(59), 'A');
+    assert.equal(pickWithRoll(60), 'B');
+    assert.equal(pickWithRoll(99), 'B');
+  });
+
+  it('never picks a variant without weight', () => {
+    const variants = [
+      { name: 'A', weight: 0 },
+      { name: 'B', weight: 100 },
+      { name: 'C', weight: 0 }
+    ];
+    for (let i = 0; i < 200; i++) {
+      assert.equal(splitTestService.pickVariant(variants).name, 'B');
+    }
+  });
+});
+
+describe('splitTestService.chooseVariant', () => {
+  const cookie = `${splitTestService.VARIANT_COOKIE_NAME}=B`;
+
+  it('returns null for links without variants', () => {
+    assert.equal(splitTestService.chooseVariant({ variants: [] }, cookie), null);
+    assert.equal(splitTestService.chooseVariant({}, cookie), null);
+  });
+
+  it('reuses the remembered variant of a sticky split test', (t) => {
+    t.mock.method(crypto, 'randomInt', () => 0);
+
+    assert.deepEqual(splitTestService.chooseVariant({ variants: VARIANTS, stickyVariants: true }, cookie), {
+      variant: VARIANTS[1],
+      remembered: true
+    });
+  });
+
+  it('ignores the cookie when the split test is not sticky', (t) => {
+    t.mock.method(crypto, 'randomInt', () => 0);
+
+    assert.deepEqual(splitTestService.chooseVariant({ variants: VARIANTS, stickyVariants: false }, cookie), {
+      variant: VARIANTS[0],
+      remembered: false
+    });
+  });
+
+  it('picks again when the remembered variant is gone or has no weight left', (t) => {
+    t.mock.method(crypto, 'randomInt', () => 0);
+    const withoutB = [{ ...VARIANTS[0], weight: 100 }, { ...VARIANTS[1], weight: 0 }];
+
+    assert.equal(splitTestService.chooseVariant({ variants: withoutB, stickyVariants: true }, cookie).remembered, false);
+    assert.equal(
+      splitTestService.chooseVariant({ variants: VARIANTS, stickyVariants: true }, `${splitTestService.VARIANT_COOKIE_NAME}=Z`).variant.name,
+      'A'
+    );
+  });
+});
+
+describe('splitTestService.countVariantClicks', () => {
+  it('counts the clicks of each variant in definition order', () => {
+    const clicks = [{ variant: 'B' }, { variant: 'A' }, { variant: 'B' }, {}];
+
+    assert.deepEqual(splitTestService.countVariantClicks(VARIANTS, clicks).map(({ name, clicks }) => [name, clicks]), [
+      ['A', 1],
+      ['B', 2]
+    ]);
+    assert.deepEqual(splitTestService.countVariantClicks(undefined, clicks), []);
+  });
+});
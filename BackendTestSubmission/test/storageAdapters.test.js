@@ -0,0 +1,178 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const createMemoryAdapter = require('../services/storage/memoryAdapter');
+const createJsonFileAdapter = require('../services/storage/jsonFileAdapter');
+const createSqliteAdapter = require('../services/storage/sqliteAdapter');
+
+const DOMAIN = 'localhost';
+
+const buildEntry = (shortcode, fields = {}) => ({
+  shortcode,
+  domain: DOMAIN,
+  originalUrl: 'https://example.com/',
+  createdAt: '2025-07-11T12:00:00.000Z',
+  expiresAt: '2099-01-01T00:00:00.000Z',
+  clicks: [],
+  ...fields
+});
+
+const click = (n) => ({ timestamp: `2025-07-11T12:00:0${n}.000Z`, referrer: 'direct' });
+
+// Each adapter is opened on a fresh temporary directory; persistent ones can be reopened on the same files
+const adapters = {
+  memory: { create: () => createMemoryAdapter(), persistent: false },
+  json: { create: (dir) => createJsonFileAdapter({ filePath: path.join(dir, 'urls.json'), defaultDomain: DOMAIN }), persistent: true },
+  sqlite: { create: (dir) => createSqliteAdapter({ filePath: path.join(dir, 'urls.db'), defaultDomain: DOMAIN }), persistent: true }
+};
+
+Object.entries(adapters).forEach(([name, { create, persistent }]) => {
+  describe(`${name} storage adapter`, () => {
+    let dir;
+    let storage;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shortener-storage-'));
+      storage = create(dir);
+    });
+
+    afterEach(() => {
+      storage.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('stores, updates and deletes entries', () => {
+      storage.set(buildEntry('abc123'));
+      assert.equal(storage.has(DOMAIN, 'abc123'), true);
+      assert.equal(storage.get(DOMAIN, 'abc123').originalUrl, 'https://example.com/');
+
+      const updated = storage.update(DOMAIN, 'abc123', { originalUrl: 'https://example.com/new' });
+      assert.equal(updated.originalUrl, 'https://example.com/new');
+      assert.equal(storage.get(DOMAIN, 'abc123').originalUrl, 'https://example.com/new');
+      assert.equal(storage.update(DOMAIN, 'missing', { originalUrl: 'https://example.com/x' }), undefined);
+      assert.equal(storage.values().length, 1);
+
+      assert.equal(storage.delete(DOMAIN, 'abc123'), true);
+      assert.equal(storage.has(DOMAIN, 'abc123'), false);
+      assert.equal(storage.get(DOMAIN, 'abc123'), undefined);
+      assert.equal(storage.delete(DOMAIN, 'abc123'), false);
+    });
+
+    it('appends clicks in order', () => {
+      storage.set(buildEntry('abc123'));
+
+      assert.equal(storage.appendClick(DOMAIN, 'abc123', click(1)), true);
+      assert.equal(storage.appendClick(DOMAIN, 'abc123', click(2)), true);
+      assert.deepEqual(storage.get(DOMAIN, 'abc123').clicks, [click(1), click(2)]);
+      assert.deepEqual(storage.values()[0].clicks, [click(1), click(2)]);
+    });
+
+    it('keeps clicks when an entry is updated', () => {
+      storage.set(buildEntry('abc123'));
+      storage.appendClick(DOMAIN, 'abc123', click(1));
+
+      storage.update(DOMAIN, 'abc123', { expiresAt: '2100-01-01T00:00:00.000Z', clicks: [] });
+      assert.equal(storage.get(DOMAIN, 'abc123').expiresAt, '2100-01-01T00:00:00.000Z');
+      assert.deepEqual(storage.get(DOMAIN, 'abc123').clicks, [click(1)]);
+    });
+
+    it('lists entries with click counts instead of clicks', () => {
+      storage.set(buildEntry('abc123'));
+      storage.set(buildEntry('def456'));
+      storage.appendClick(DOMAIN, 'abc123', click(1));
+      storage.appendClick(DOMAIN, 'abc123', click(2));
+
+      const summaries = storage.values({ includeClicks: false })
+        .sort((a, b) => a.shortcode.localeCompare(b.shortcode));
+      assert.deepEqual(summaries.map(entry => entry.totalClicks), [2, 0]);
+      assert.equal(summaries[0].clicks, undefined);
+      assert.equal(storage.get(DOMAIN, 'abc123').clicks.length, 2);
+    });
+
+    it('keeps the same shortcode apart on different domains', () => {
+      storage.set(buildEntry('abc123'));
+      storage.set(buildEntry('abc123', { domain: 'go.example.com', originalUrl: 'https://example.com/other' }));
+      storage.appendClick('go.example.com', 'abc123', click(1));
+
+      assert.equal(storage.get(DOMAIN, 'abc123').originalUrl, 'https://example.com/');
+      assert.equal(storage.get('go.example.com', 'abc123').originalUrl, 'https://example.com/other');
+      assert.deepEqual(storage.get(DOMAIN, 'abc123').clicks, []);
+
+      assert.equal(storage.delete('go.example.com', 'abc123'), true);
+      assert.equal(storage.has(DOMAIN, 'abc123'), true);
+    });
+
+    it('stores API keys by their hash', () => {
+      const apiKey = { id: 'key-1', name: 'ci', keyHash: 'f00d', createdAt: '2025-07-11T12:00:00.000Z' };
+      storage.saveApiKey(apiKey);
+
+      assert.deepEqual(storage.getApiKey('f00d'), apiKey);
+      assert.equal(storage.getApiKey('beef'), undefined);
+    });
+
+    it('records every click when there is no click limit', () => {
+      storage.set(buildEntry('abc123'));
+
+      assert.deepEqual([1, 2, 3].map(n => storage.appendClick(DOMAIN, 'abc123', click(n))), [true, true, true]);
+      assert.equal(storage.get(DOMAIN, 'abc123').clicks.length, 3);
+    });
+
+    it('stops recording clicks once maxClicks is reached', () => {
+      storage.set(buildEntry('abc123', { maxClicks: 2 }));
+
+      assert.deepEqual([1, 2, 3].map(n => storage.appendClick(DOMAIN, 'abc123', click(n))), [true, true, false]);
+      assert.deepEqual(storage.get(DOMAIN, 'abc123').clicks, [click(1), click(2)]);
+    });
+
+    it('serves a single-use link exactly once', () => {
+      storage.set(buildEntry('abc123', { maxClicks: 1 }));
+
+      assert.deepEqual([1, 2, 3].map(n => storage.appendClick(DOMAIN, 'abc123', click(n))), [true, false, false]);
+    });
+
+    it('applies a raised click limit after an update', () => {
+      storage.set(buildEntry('abc123', { maxClicks: 1 }));
+      storage.appendClick(DOMAIN, 'abc123', click(1));
+
+      storage.update(DOMAIN, 'abc123', { maxClicks: 2 });
+      assert.equal(storage.appendClick(DOMAIN, 'abc123', click(2)), true);
+      assert.equal(storage.appendClick(DOMAIN, 'abc123', click(3)), false);
+    });
+
+    it('refuses clicks for missing entries', () => {
+      assert.equal(storage.appendClick(DOMAIN, 'missing', click(1)), false);
+    });
+
+    if (persistent) {
+      it('keeps entries and clicks after reopening', () => {
+        storage.set(buildEntry('abc123'));
+        storage.appendClick(DOMAIN, 'abc123', click(1));
+        storage.close();
+
+        storage = create(dir);
+        assert.equal(storage.get(DOMAIN, 'abc123').originalUrl, 'https://example.com/');
+        assert.deepEqual(storage.get(DOMAIN, 'abc123').clicks, [click(1)]);
+      });
+
+      it('keeps the click limit after reopening', () => {
+        storage.set(buildEntry('abc123', { maxClicks: 1 }));
+        storage.appendClick(DOMAIN, 'abc123', click(1));
+        storage.close();
+
+        storage = create(dir);
+        assert.equal(storage.appendClick(DOMAIN, 'abc123', click(2)), false);
+      });
+
+      it('keeps API keys after reopening', () => {
+        storage.saveApiKey({ id: 'key-1', name: 'ci', keyHash: 'f00d', createdAt: '2025-07-11T12:00:00.000Z' });
+        storage.close();
+
+        storage = create(dir);
+        assert.equal(storage.getApiKey('f00d').id, 'key-1');
+      });
+    }
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../server');
+const urlService = require('../services/urlService');
+const transferService = require('../services/transferService');
+const apiKeyService = require('../services/apiKeyService');
+
+const DOMAIN = 'localhost';
+
+const { key, id: owner } = apiKeyService.issueApiKey('transfer tests');
+const other = apiKeyService.issueApiKey('someone else');
+
+const api = (method, path) => request(app)[method](path).set('X-API-Key', key);
+
+describe('link export', () => {
+  before(() => {
+    urlService.storeUrl({
+      shortcode: 'exp001',
+      domain: DOMAIN,
+      originalUrl: 'https://example.com/a',
+      createdAt: '2025-07-11T12:00:00.000Z',
+      expiresAt: '2099-01-01T00:00:00.000Z',
+      owner,
+      clicks: [{ timestamp: '2025-07-11T12:05:00.000Z', referrer: '=cmd()', location: 'Berlin, DE', userAgent: 'curl' }]
+    });
+    urlService.storeUrl({
+      shortcode: 'exp002',
+      domain: DOMAIN,
+      originalUrl: 'https://example.com/b',
+      createdAt: '2025-07-11T12:00:00.000Z',
+      expiresAt: '2099-01-01T00:00:00.000Z',
+      owner: other.id,
+      clicks: []
+    });
+  });
+
+  it('exports the caller\'s links as CSV', async () => {
+    const res = await api('get', '/shorturls/export');
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/csv/);
+    assert.match(res.headers['content-disposition'], /attachment/);
+
+    const rows = transferService.parseRecords('csv', res.text).map(({ record }) => record);
+    assert.deepEqual(rows.map(({ shortcode, domain, originalUrl, totalClicks }) => ({ shortcode, domain, originalUrl, totalClicks })), [
+      { shortcode: 'exp001', domain: DOMAIN, originalUrl: 'https://example.com/a', totalClicks: '1' }
+    ]);
+  });
+
+  it('includes clicks in NDJSON exports on request', async () => {
+    const res = await api('get', '/shorturls/export').query({ format: 'ndjson', includeClicks: 'true' });
+
+    assert.equal(res.status, 200);
+    const lines = res.text.trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].clicks[0].location, 'Berlin, DE');
+  });
+
+  it('exports one link\'s clicks with formula cells guarded', async () => {
+    const res = await api('get', '/shorturls/exp001/clicks/export');
+
+    assert.equal(res.status, 200);
+    assert.match(res.text, /^timestamp,referrer,location,userAgent,/);
+    assert.match(res.text, /\r\n2025-07-11T12:05:00\.000Z,'=cmd\(\),"Berlin, DE",curl,/);
+  });
+
+  it('rejects unknown formats and other owners\' links', async () => {
+    const format = await api('get', '/shorturls/export').query({ format: 'xml' });
+    assert.equal(format.status, 400);
+
+    const repeated = await api('get', '/shorturls/export?format=csv&format=ndjson');
+    assert.equal(repeated.status, 400);
+
+    const forbidden = await api('get', '/shorturls/exp002/clicks/export');
+    assert.equal(forbidden.status, 403);
+  });
+});
+
+describe('POST /shorturls/import', () => {
+  it('imports CSV rows and reports collisions and errors by line', async () => {
+    const res = await api('post', '/shorturls/import')
+      .set('Content-Type', 'text/csv')
+      .send('shortcode,originalUrl\nimp001,https://example.com/new\nexp001,https://example.com/\nbad!,https://example.com/\n');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 3);
+    assert.deepEqual(res.body.imported, [{ line: 2, shortcode: 'imp001', domain: DOMAIN }]);
+    assert.deepEqual(res.body.collisions, [{ line: 3, shortcode: 'exp001', domain: DOMAIN }]);
+    assert.deepEqual(res.body.errors.map(({ line, field }) => ({ line, field })), [{ line: 4, field: 'shortcode' }]);
+    assert.equal(urlService.getUrl(DOMAIN, 'imp001').owner, owner);
+  });
+
+  it('imports NDJSON when the format is given in the query', async () => {
+    const res = await api('post', '/shorturls/import')
+      .query({ format: 'ndjson' })
+      .set('Content-Type', 'text/plain')
+      .send('{"shortcode":"imp002","originalUrl":"https://example.com/nd"}\n');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.importedCount, 1);
+  });
+
+  it('rejects empty bodies and syntax errors', async () => {
+    const empty = await api('post', '/shorturls/import').set('Content-Type', 'text/csv').send('');
+    assert.equal(empty.status, 400);
+
+    const broken = await api('post', '/shorturls/import').set('Content-Type', 'application/x-ndjson').send('{oops\n');
+    assert.equal(broken.status, 400);
+    assert.equal(broken.body.message, 'Invalid JSON on line 1');
+  });
+});
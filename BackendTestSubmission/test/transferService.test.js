@@ -0,0 +1,231 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SHORTCODE_CASE = 'insensitive';
+
+const transferService = require('../services/transferService');
+const urlService = require('../services/urlService');
+const linkPasswordService = require('../services/linkPasswordService');
+const urlScreeningService = require('../services/urlScreeningService');
+
+const DOMAIN = 'localhost';
+const OWNER = 'key-transfer';
+
+describe('transferService.parseRecords', () => {
+  it('parses CSV rows into records keyed by the header, with their line numbers', () => {
+    const text = 'shortcode,originalUrl,note\r\n' +
+      'abc1,https://a.com/,"Hello, ""world"""\n' +
+      'abc2,https://b.com/,"two\nlines"\n' +
+      'abc3,https://c.com/\n';
+
+    assert.deepEqual(transferService.parseRecords('csv', text), [
+      { line: 2, record: { shortcode: 'abc1', originalUrl: 'https://a.com/', note: 'Hello, "world"' } },
+      { line: 3, record: { shortcode: 'abc2', originalUrl: 'https://b.com/', note: 'two\nlines' } },
+      { line: 5, record: { shortcode: 'abc3', originalUrl: 'https://c.com/', note: '' } }
+    ]);
+  });
+
+  it('returns no records for an empty CSV file', () => {
+    assert.deepEqual(transferService.parseRecords('csv', ''), []);
+  });
+
+  it('rejects CSV with an unterminated quoted field', () => {
+    assert.throws(
+      () => transferService.parseRecords('csv', 'shortcode,note\nabc1,"open'),
+      /Unterminated quoted field starting on line 2/
+    );
+  });
+
+  it('parses NDJSON lines and skips blank ones', () => {
+    assert.deepEqual(transferService.parseRecords('ndjson', '{"shortcode":"a1"}\n\n{"shortcode":"a2"}\n'), [
+      { line: 1, record: { shortcode: 'a1' } },
+      { line: 3, record: { shortcode: 'a2' } }
+    ]);
+  });
+
+  it('names the line of invalid NDJSON', () => {
+    assert.throws(
+      () => transferService.parseRecords('ndjson', '{"shortcode":"a1"}\n{oops'),
+      /Invalid JSON on line 2/
+    );
+  });
+});
+
+describe('transferService.formatRecord', () => {
+  it('quotes CSV cells with separators', () => {
+    const row = transferService.formatRecord('csv', ['referrer', 'location'], { referrer: 'a, "b"', location: 'Berlin' });
+    assert.equal(row, '"a, ""b""",Berlin\r\n');
+  });
+
+  it('guards cells that look like formulas', () => {
+    const record = { referrer: '=HYPERLINK("x")', userAgent: '@SUM(1)', location: '-minus' };
+    const row = transferService.formatRecord('csv', ['referrer', 'userAgent', 'location'], record);
+    assert.equal(row, '"\'=HYPERLINK(""x"")",\'@SUM(1),\'-minus\r\n');
+  });
+
+  it('writes formula-like cells unchanged when the guard is turned off', () => {
+    const row = transferService.formatRecord('csv', ['title'], { title: '=not a formula' }, { guardFormulas: false });
+    assert.equal(row, '=not a formula\r\n');
+  });
+
+  it('writes NDJSON records as one JSON line', () => {
+    assert.equal(transferService.formatRecord('ndjson', ['shortcode'], { shortcode: 'x' }), '{"shortcode":"x"}\n');
+  });
+});
+
+describe('transferService.importRecords', () => {
+  it('imports valid records and generates missing shortcodes', async () => {
+    const result = await transferService.importRecords([
+      { line: 2, record: { shortcode: 'impA01', originalUrl: 'https://example.com/a', tags: '["Summer"]' } },
+      { line: 3, record: { url: 'https://example.com/b' } }
+    ], OWNER);
+
+    assert.equal(result.total, 2);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.imported.length, 2);
+    assert.equal(result.imported[0].shortcode, 'impA01');
+
+    const stored = urlService.getUrl(DOMAIN, 'impA01');
+    assert.equal(stored.owner, OWNER);
+    assert.deepEqual(stored.tags, ['summer']);
+    assert.ok(urlService.getUrl(DOMAIN, result.imported[1].shortcode));
+  });
+
+  it('reports existing and repeated shortcodes as collisions, ignoring letter case', async () => {
+    await transferService.importRecords([{ line: 1, record: { shortcode: 'impB01', originalUrl: 'https://example.com/' } }], OWNER);
+
+    const result = await transferService.importRecords([
+      { line: 2, record: { shortcode: 'IMPB01', originalUrl: 'https://example.com/other' } },
+      { line: 3, record: { shortcode: 'impB02', originalUrl: 'https://example.com/' } },
+      { line: 4, record: { shortcode: 'impb02', originalUrl: 'https://example.com/' } }
+    ], OWNER);
+
+    assert.deepEqual(result.imported.map(({ line }) => line), [3]);
+    assert.deepEqual(result.collisions.map(({ line }) => line), [2, 4]);
+    assert.equal(urlService.getUrl(DOMAIN, 'impB01').originalUrl, 'https://example.com/');
+  });
+
+  it('reports shortcodes and aliases taken while the destination was being screened', async () => {
+    const takenDuringScreening = ['impG01', 'impG03'];
+    urlScreeningService.setReputationChecker(async () => {
+      const shortcode = takenDuringScreening.shift();
+      if (shortcode) {
+        urlService.storeUrl({
+          shortcode,
+          domain: DOMAIN,
+          originalUrl: 'https://example.com/first',
+          createdAt: new Date().toISOString(),
+          expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+          owner: 'key-other',
+          clicks: []
+        });
+      }
+      return { safe: true };
+    });
+
+    try {
+      const result = await transferService.importRecords([
+        { line: 1, record: { shortcode: 'impG01', originalUrl: 'https://example.com/g' } },
+        { line: 2, record: { shortcode: 'impG02', originalUrl: 'https://example.com/g', aliases: ['impG03'] } }
+      ], OWNER);
+
+      assert.deepEqual(result.imported, []);
+      assert.deepEqual(result.collisions.map(({ line }) => line), [1, 2]);
+      assert.equal(urlService.getUrl(DOMAIN, 'impG01').owner, 'key-other');
+      assert.equal(urlService.getUrl(DOMAIN, 'impG02'), undefined);
+    } finally {
+      urlScreeningService.setReputationChecker(null);
+    }
+  });
+
+  it('reports invalid rows without stopping the import', async () => {
+    const result = await transferService.importRecords([
+      { line: 1, record: { shortcode: 'impC01', originalUrl: 'not a url' } },
+      { line: 2, record: { shortcode: 'bad!', originalUrl: 'https://example.com/' } },
+      { line: 3, record: { shortcode: 'impC03', originalUrl: 'https://example.com/', expiresAt: 'soon' } },
+      { line: 4, record: { shortcode: 'impC04', originalUrl: 'https://example.com/', maxClicks: 'lots' } },
+      { line: 5, record: { shortcode: 'impC05', originalUrl: 'http://203.0.113.7/' } },
+      { line: 6, record: { shortcode: 'impC06', originalUrl: 'https://example.com/', clicks: [null] } },
+      { line: 7, record: { shortcode: 'impC07', originalUrl: 'https://example.com/', clicks: 'many' } },
+      { line: 8, record: { shortcode: 'impC08', originalUrl: 'https://example.com/', passwordHash: 'open sesame' } },
+      { line: 9, record: { shortcode: 'impC09', originalUrl: 'https://example.com/' } }
+    ], OWNER);
+
+    assert.deepEqual(result.errors.map(({ line, field }) => ({ line, field })), [
+      { line: 1, field: 'originalUrl' },
+      { line: 2, field: 'shortcode' },
+      { line: 3, field: 'date' },
+      { line: 4, field: 'maxClicks' },
+      { line: 5, field: 'originalUrl' },
+      { line: 6, field: 'clicks' },
+      { line: 7, field: 'clicks' },
+      { line: 8, field: 'passwordHash' }
+    ]);
+    assert.deepEqual(result.imported.map(({ shortcode }) => shortcode), ['impC09']);
+    assert.equal(urlService.getUrl(DOMAIN, 'impC03'), undefined);
+  });
+
+  it('keeps only the known fields of imported clicks', async () => {
+    await transferService.importRecords([{
+      line: 1,
+      record: {
+        shortcode: 'impD01',
+        originalUrl: 'https://example.com/',
+        clicks: [{ timestamp: '2025-07-11T12:00:00.000Z', referrer: 'Direct', secret: 'dropped' }]
+      }
+    }], OWNER);
+
+    assert.deepEqual(urlService.getUrl(DOMAIN, 'impD01').clicks, [
+      { timestamp: '2025-07-11T12:00:00.000Z', referrer: 'Direct' }
+    ]);
+  });
+
+  it('only removes formula guards from CSV records', async () => {
+    await transferService.importRecords([
+      { line: 1, record: { shortcode: 'impF01', originalUrl: 'https://example.com/', title: "'=SUM(1)", folder: "'quoted" } }
+    ], OWNER, { format: 'csv' });
+    await transferService.importRecords([
+      { line: 1, record: { shortcode: 'impF02', originalUrl: 'https://example.com/', title: "'=SUM(1)" } }
+    ], OWNER, { format: 'ndjson' });
+
+    assert.equal(urlService.getUrl(DOMAIN, 'impF01').title, '=SUM(1)');
+    assert.equal(urlService.getUrl(DOMAIN, 'impF01').folder, "'quoted");
+    assert.equal(urlService.getUrl(DOMAIN, 'impF02').title, "'=SUM(1)");
+  });
+
+  it('imports a CSV link export back unchanged', async () => {
+    const exported = {
+      shortcode: 'impE01',
+      domain: DOMAIN,
+      originalUrl: 'https://example.com/e',
+      title: '-minus, part "two"',
+      description: '=not a formula\nsecond line',
+      tags: ['summer', 'email'],
+      folder: 'Q3 Launch',
+      createdAt: '2025-07-11T12:00:00.000Z',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      maxClicks: 5,
+      passwordHash: linkPasswordService.hashPassword('open sesame'),
+      totalClicks: 3
+    };
+    const csv = transferService.formatHeader('csv', transferService.LINK_FIELDS) +
+      transferService.formatRecord('csv', transferService.LINK_FIELDS, exported);
+
+    assert.match(csv, /,"'-minus, part ""two""",/);
+
+    const result = await transferService.importRecords(transferService.parseRecords('csv', csv), OWNER, { format: 'csv' });
+
+    assert.deepEqual(result.errors, []);
+    const stored = urlService.getUrl(DOMAIN, 'impE01');
+    assert.equal(stored.originalUrl, 'https://example.com/e');
+    assert.equal(stored.title, exported.title);
+    assert.equal(stored.description, exported.description);
+    assert.deepEqual(stored.tags, ['summer', 'email']);
+    assert.equal(stored.folder, 'Q3 Launch');
+    assert.equal(stored.createdAt, exported.createdAt);
+    assert.equal(stored.expiresAt, exported.expiresAt);
+    assert.equal(stored.maxClicks, 5);
+    assert.equal(stored.passwordHash, exported.passwordHash);
+    assert.ok(linkPasswordService.verifyPassword('open sesame', stored.passwordHash));
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('../config');
+const urlScreeningService = require('../services/urlScreeningService');
+
+describe('urlScreeningService.screenUrl', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shortener-screening-'));
+    const listFile = path.join(dir, 'lists.json');
+    fs.writeFileSync(listFile, JSON.stringify({
+      deny: ['phish.example', '/\\/wp-admin\\//i'],
+      allow: ['docs.phish.example']
+    }));
+    urlScreeningService.loadLists(listFile);
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    urlScreeningService.setReputationChecker(null);
+    config.screening.failClosed = false;
+    config.screening.reputationTimeoutMs = 3000;
+  });
+
+  it('blocks destinations on the shortener\'s own domain', async () => {
+    const result = await urlScreeningService.screenUrl('http://localhost:3100/abc123');
+
+    assert.equal(result.isAllowed, false);
+    assert.equal(result.check, 'loop');
+  });
+
+  it('blocks denylisted domains, their subdomains and matching patterns', async () => {
+    assert.equal((await urlScreeningService.screenUrl('https://phish.example/login')).check, 'denylist');
+    assert.equal((await urlScreeningService.screenUrl('https://www.phish.example/')).check, 'denylist');
+    assert.equal((await urlScreeningService.screenUrl('https://blog.example.com/WP-ADMIN/')).check, 'denylist');
+    assert.equal((await urlScreeningService.screenUrl('https://notphish.example/')).isAllowed, true);
+  });
+
+  it('lets allowlisted destinations skip the denylist', async () => {
+    const result = await urlScreeningService.screenUrl('https://docs.phish.example/guide');
+
+    assert.equal(result.isAllowed, true);
+  });
+
+  it('blocks IP address hosts', async () => {
+    assert.equal((await urlScreeningService.screenUrl('http://203.0.113.7/')).check, 'ip-host');
+    assert.equal((await urlScreeningService.screenUrl('http://[2001:db8::1]/')).check, 'ip-host');
+  });
+
+  it('blocks destinations the reputation checker reports as unsafe', async () => {
+    urlScreeningService.setReputationChecker(async (url) => ({ safe: !url.includes('malware'), reason: 'Known malware host' }));
+
+    const blocked = await urlScreeningService.screenUrl('https://malware.example/');
+    assert.deepEqual(blocked, { isAllowed: false, check: 'reputation', reason: 'Known malware host' });
+    assert.equal((await urlScreeningService.screenUrl('https://example.com/')).isAllowed, true);
+  });
+
+  it('lets destinations through when the reputation checker fails, unless failing closed', async () => {
+    urlScreeningService.setReputationChecker(async () => {
+      throw new Error('service unavailable');
+    });
+
+    assert.equal((await urlScreeningService.screenUrl('https://example.com/')).isAllowed, true);
+
+    config.screening.failClosed = true;
+    assert.equal((await urlScreeningService.screenUrl('https://example.com/')).check, 'reputation');
+  });
+
+  it('treats a reputation check that times out as failed', async () => {
+    urlScreeningService.setReputationChecker(() => new Promise(resolve => setTimeout(() => resolve({ safe: false }), 200)));
+    config.screening.reputationTimeoutMs = 20;
+
+    assert.equal((await urlScreeningService.screenUrl('https://example.com/')).isAllowed, true);
+
+    config.screening.failClosed = true;
+    assert.equal((await urlScreeningService.screenUrl('https://example.com/')).check, 'reputation');
+  });
+
+  it('reports the first blocked URL of a list', async () => {
+    const result = await urlScreeningService.screenUrls(['https://example.com/', 'https://phish.example/', 'http://203.0.113.7/']);
+
+    assert.equal(result.isAllowed, false);
+    assert.equal(result.url, 'https://phish.example/');
+  });
+});
+
+describe('urlScreeningService.loadLists', () => {
+  it('rejects unreadable files and invalid entries', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shortener-screening-'));
+    const listFile = path.join(dir, 'lists.json');
+
+    try {
+      assert.throws(() => urlScreeningService.loadLists(listFile), /Could not read URL screening list/);
+
+      fs.writeFileSync(listFile, JSON.stringify({ deny: 'phish.example' }));
+      assert.throws(() => urlScreeningService.loadLists(listFile), /must have "deny" and "allow" arrays/);
+
+      fs.writeFileSync(listFile, JSON.stringify({ deny: [''] }));
+      assert.throws(() => urlScreeningService.loadLists(listFile), /Invalid screening list entry/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
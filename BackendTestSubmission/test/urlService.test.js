@@ -0,0 +1,154 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SHORTCODE_CASE = 'insensitive';
+
+const urlService = require('../services/urlService');
+
+const DOMAIN = 'localhost';
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+let createdCount = 0;
+
+// Store a link that is active for the next hour; createdAt increases so later links are newer
+const storeLink = (shortcode, fields = {}) => {
+  createdCount++;
+  const urlEntry = {
+    shortcode,
+    domain: DOMAIN,
+    originalUrl: 'https://example.com/',
+    createdAt: new Date(Date.now() - 2 * HOUR + createdCount * 1000).toISOString(),
+    expiresAt: new Date(Date.now() + HOUR).toISOString(),
+    owner: 'key-1',
+    clicks: [],
+    ...fields
+  };
+  urlService.storeUrl(urlEntry);
+  return urlEntry;
+};
+
+// Expiry the given number of minutes from now (negative means already expired)
+const expiresIn = (minutes) => new Date(Date.now() + minutes * MINUTE).toISOString();
+
+describe('urlService shortcode namespace', () => {
+  it('treats shortcodes differing only in case as the same one', () => {
+    storeLink('Promo1');
+
+    assert.equal(urlService.shortcodeExists(DOMAIN, 'promo1'), true);
+    assert.equal(urlService.shortcodeExists(DOMAIN, 'PROMO1'), true);
+    assert.equal(urlService.getUrl(DOMAIN, 'PROMO1').shortcode, 'Promo1');
+    assert.equal(urlService.shortcodeExists('go.example.com', 'promo1'), false);
+  });
+
+  it('frees the shortcode when the link is deleted', () => {
+    storeLink('Gone01');
+    assert.equal(urlService.deleteUrl(DOMAIN, 'gone01'), true);
+
+    assert.equal(urlService.shortcodeExists(DOMAIN, 'Gone01'), false);
+    assert.equal(urlService.getUrl(DOMAIN, 'Gone01'), undefined);
+  });
+
+  it('resolves aliases to their link and keeps them in the namespace', () => {
+    storeLink('Main01');
+    urlService.addAlias(DOMAIN, 'Main01', 'Side01');
+
+    assert.equal(urlService.shortcodeExists(DOMAIN, 'side01'), true);
+    const link = urlService.resolveLink(DOMAIN, 'SIDE01');
+    assert.equal(link.urlEntry.shortcode, 'Main01');
+    assert.equal(link.alias, 'Side01');
+
+    assert.equal(urlService.removeAlias(DOMAIN, 'Main01', 'side01'), 'Side01');
+    assert.equal(urlService.resolveLink(DOMAIN, 'Side01'), null);
+  });
+
+  it('records clicks through a differently cased shortcode on the stored link', () => {
+    storeLink('Click1', { maxClicks: 1 });
+
+    assert.equal(urlService.recordClick(DOMAIN, 'CLICK1', { timestamp: new Date().toISOString() }), true);
+    assert.equal(urlService.recordClick(DOMAIN, 'click1', { timestamp: new Date().toISOString() }), false);
+    assert.equal(urlService.getUrl(DOMAIN, 'Click1').clicks.length, 1);
+  });
+});
+
+describe('urlService.cleanupExpiredUrls', () => {
+  it('deletes links expired longer than the retention period and keeps the rest', () => {
+    storeLink('old001', {
+      expiresAt: expiresIn(-90),
+      clicks: [{ timestamp: new Date().toISOString() }, { timestamp: new Date().toISOString() }]
+    });
+    storeLink('rec001', { expiresAt: expiresIn(-10) });
+    storeLink('act001', { expiresAt: expiresIn(30) });
+
+    const result = urlService.cleanupExpiredUrls(60);
+
+    assert.deepEqual(result, { deletedCount: 1, retainedCount: 1, deletedClicks: 2 });
+    assert.equal(urlService.shortcodeExists(DOMAIN, 'old001'), false);
+    assert.equal(urlService.shortcodeExists(DOMAIN, 'rec001'), true);
+    assert.equal(urlService.shortcodeExists(DOMAIN, 'act001'), true);
+  });
+
+  it('deletes every expired link when there is no retention', () => {
+    const result = urlService.cleanupExpiredUrls(0);
+
+    assert.deepEqual(result, { deletedCount: 1, retainedCount: 0, deletedClicks: 0 });
+    assert.equal(urlService.shortcodeExists(DOMAIN, 'rec001'), false);
+    assert.equal(urlService.shortcodeExists(DOMAIN, 'act001'), true);
+  });
+
+  it('counts deleted clicks without loading click histories', () => {
+    storeLink('old002', { expiresAt: expiresIn(-90), clicks: [{ timestamp: new Date().toISOString() }] });
+    const values = mock.method(urlService.getStorageAdapter(), 'values');
+
+    try {
+      assert.equal(urlService.cleanupExpiredUrls(60).deletedClicks, 1);
+      assert.deepEqual(values.mock.calls.map(call => call.arguments), [[{ includeClicks: false }]]);
+    } finally {
+      values.mock.restore();
+    }
+  });
+});
+
+describe('urlService.findActiveUrlByDestination', () => {
+  it('returns the owner\'s newest active link for the destination', () => {
+    storeLink('dupA01', { originalUrl: 'https://example.com/dup-a' });
+    storeLink('dupA02', { originalUrl: 'https://example.com/dup-a' });
+    storeLink('dupA03', { originalUrl: 'https://example.com/dup-a', owner: 'key-2' });
+
+    assert.equal(urlService.findActiveUrlByDestination('key-1', DOMAIN, 'https://example.com/dup-a').shortcode, 'dupA02');
+    assert.equal(urlService.findActiveUrlByDestination('key-3', DOMAIN, 'https://example.com/dup-a'), null);
+  });
+
+  it('skips expired, scheduled and password-protected links', () => {
+    const url = 'https://example.com/dup-b';
+    storeLink('dupB01', { originalUrl: url, expiresAt: expiresIn(-1) });
+    storeLink('dupB02', { originalUrl: url, activatesAt: expiresIn(60), expiresAt: expiresIn(120) });
+    storeLink('dupB03', { originalUrl: url, passwordHash: 'hash' });
+
+    assert.equal(urlService.findActiveUrlByDestination('key-1', DOMAIN, url), null);
+  });
+
+  it('only reuses plain links without a password, click limit, rules or variants', () => {
+    const url = 'https://example.com/dup-c';
+    storeLink('dupC01', { originalUrl: url, passwordHash: 'hash' });
+    storeLink('dupC02', { originalUrl: url, maxClicks: 1 });
+    storeLink('dupC03', { originalUrl: url, rules: [{ name: 'mobile', url: 'https://example.com/m', deviceType: ['mobile'] }] });
+    storeLink('dupC04', { originalUrl: url, variants: [{ name: 'A', url, weight: 100 }] });
+
+    assert.equal(urlService.findActiveUrlByDestination('key-1', DOMAIN, url), null);
+
+    storeLink('dupC05', { originalUrl: url, rules: [], title: 'Plain' });
+    assert.equal(urlService.findActiveUrlByDestination('key-1', DOMAIN, url).shortcode, 'dupC05');
+  });
+
+  it('follows destination changes and deletions', () => {
+    storeLink('dupD01', { originalUrl: 'https://example.com/dup-d' });
+
+    urlService.updateUrl(DOMAIN, 'dupD01', { originalUrl: 'https://example.com/dup-d2' });
+    assert.equal(urlService.findActiveUrlByDestination('key-1', DOMAIN, 'https://example.com/dup-d'), null);
+    assert.equal(urlService.findActiveUrlByDestination('key-1', DOMAIN, 'https://example.com/dup-d2').shortcode, 'dupD01');
+
+    urlService.deleteUrl(DOMAIN, 'dupD01');
+    assert.equal(urlService.findActiveUrlByDestination('key-1', DOMAIN, 'https://example.com/dup-d2'), null);
+  });
+});
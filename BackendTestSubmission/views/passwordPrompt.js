@@ -0,0 +1,50 @@
+/**
+ * Escape text for safe inclusion in HTML
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Render the page asking for the password of a protected short link.
+ * The form posts back to the short link itself.
+ */
+const renderPasswordPrompt = ({ shortcode, error = null }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Password required</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f5f5f5; display: flex; align-items: center; justify-content: center; min-height: 100vh; margin: 0; }
+    main { background: #fff; padding: 32px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15); width: 100%; max-width: 360px; }
+    h1 { font-size: 1.25rem; margin-top: 0; }
+    input { width: 100%; box-sizing: border-box; padding: 10px; margin: 8px 0 16px; font-size: 1rem; }
+    button { width: 100%; padding: 10px; font-size: 1rem; background: #1976d2; color: #fff; border: 0; border-radius: 4px; cursor: pointer; }
+    .error { color: #d32f2f; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>This link is password protected</h1>
+    <p>Enter the password to continue to <strong>${escapeHtml(shortcode)}</strong>.</p>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <form method="post">
+      <label for="password">Password</label>
+      <input id="password" name="password" type="password" autocomplete="current-password" required autofocus>
+      <button type="submit">Continue</button>
+    </form>
+  </main>
+</body>
+</html>
+`;
+
+module.exports = {
+  renderPasswordPrompt
+};
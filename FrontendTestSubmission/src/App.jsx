@@ -4,6 +4,7 @@ import { Container } from '@mui/material';
 import Navbar from './components/Navbar';
 import UrlShortener from './pages/UrlShortener';
 import Statistics from './pages/Statistics';
+import MyLinks from './pages/MyLinks';
 import { LoggingProvider } from './context/LoggingContext';
 
 function App() {
@@ -15,6 +16,7 @@ function App() {
           <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
             <Routes>
               <Route path="/" element={<UrlShortener />} />
+              <Route path="/links" element={<MyLinks />} />
               <Route path="/statistics" element={<Statistics />} />
             </Routes>
           </Container>
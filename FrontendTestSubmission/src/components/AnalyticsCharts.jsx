@@ -0,0 +1,137 @@
+import React, { useMemo } from 'react';
+import { Grid, Card, CardContent, Typography } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  PieChart,
+  Pie,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from 'recharts';
+import CountryMap from './CountryMap';
+import { fillTimeSeries, formatBucketLabel } from '../utils/helpers';
+
+// Number of rows shown in each breakdown chart
+const TOP_ENTRIES = 8;
+
+const ChartCard = ({ title, children }) => (
+  <Card elevation={2} sx={{ height: '100%' }}>
+    <CardContent>
+      <Typography variant="h6" gutterBottom>
+        {title}
+      </Typography>
+      {children}
+    </CardContent>
+  </Card>
+);
+
+const BreakdownBarChart = ({ data, color }) => (
+  <ResponsiveContainer width="100%" height={260}>
+    <BarChart data={data.slice(0, TOP_ENTRIES)} layout="vertical" margin={{ left: 16, right: 16 }}>
+      <CartesianGrid strokeDasharray="3 3" horizontal={false} />
+      <XAxis type="number" allowDecimals={false} />
+      <YAxis type="category" dataKey="value" width={90} />
+      <Tooltip />
+      <Bar dataKey="clicks" name="Clicks" fill={color} />
+    </BarChart>
+  </ResponsiveContainer>
+);
+
+const AnalyticsCharts = ({ analytics }) => {
+  const theme = useTheme();
+  const pieColors = [
+    theme.palette.primary.main,
+    theme.palette.secondary.main,
+    theme.palette.success.main,
+    theme.palette.warning.main,
+    theme.palette.info.main
+  ];
+
+  const timeSeries = useMemo(() => {
+    return fillTimeSeries(analytics.timeSeries, analytics.interval, analytics.from, analytics.to)
+      .map(point => ({ ...point, label: formatBucketLabel(point.bucket, analytics.interval) }));
+  }, [analytics]);
+
+  if (analytics.totalClicks === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No clicks in the selected time range.
+      </Typography>
+    );
+  }
+
+  return (
+    <Grid container spacing={3}>
+      <Grid item xs={12}>
+        <ChartCard title="Clicks Over Time">
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart data={timeSeries} margin={{ right: 16 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="label" minTickGap={24} />
+              <YAxis allowDecimals={false} />
+              <Tooltip />
+              <Line
+                type="monotone"
+                dataKey="clicks"
+                name="Clicks"
+                stroke={theme.palette.primary.main}
+                strokeWidth={2}
+                dot={timeSeries.length <= 60}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </ChartCard>
+      </Grid>
+
+      <Grid item xs={12} md={4}>
+        <ChartCard title="Browsers">
+          <BreakdownBarChart data={analytics.breakdowns.browser} color={theme.palette.primary.main} />
+        </ChartCard>
+      </Grid>
+
+      <Grid item xs={12} md={4}>
+        <ChartCard title="Operating Systems">
+          <BreakdownBarChart data={analytics.breakdowns.os} color={theme.palette.secondary.main} />
+        </ChartCard>
+      </Grid>
+
+      <Grid item xs={12} md={4}>
+        <ChartCard title="Devices">
+          <ResponsiveContainer width="100%" height={260}>
+            <PieChart>
+              <Pie
+                data={analytics.breakdowns.deviceType}
+                dataKey="clicks"
+                nameKey="value"
+                innerRadius={50}
+                outerRadius={90}
+              >
+                {analytics.breakdowns.deviceType.map((entry, index) => (
+                  <Cell key={entry.value} fill={pieColors[index % pieColors.length]} />
+                ))}
+              </Pie>
+              <Tooltip />
+              <Legend />
+            </PieChart>
+          </ResponsiveContainer>
+        </ChartCard>
+      </Grid>
+
+      <Grid item xs={12}>
+        <ChartCard title="Clicks by Country">
+          <CountryMap breakdown={analytics.breakdowns.country} />
+        </ChartCard>
+      </Grid>
+    </Grid>
+  );
+};
+
+export default AnalyticsCharts;
@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  Button
+} from '@mui/material';
+import { useLogging } from '../context/LoggingContext';
+import { getApiKey, setApiKey } from '../services/apiService';
+
+const ApiKeyDialog = ({ open, onClose }) => {
+  const { logUserInteraction } = useLogging();
+  const [value, setValue] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setValue(getApiKey());
+    }
+  }, [open]);
+
+  const handleSave = () => {
+    setApiKey(value.trim());
+    logUserInteraction('click', 'save-api-key', { hasKey: !!value.trim() });
+    onClose();
+  };
+
+  const handleClear = () => {
+    setApiKey('');
+    setValue('');
+    logUserInteraction('click', 'clear-api-key');
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>API Key</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          Creating links and viewing their statistics requires an API key. Links you create are owned
+          by this key and only it can view, edit or delete them. The key is stored in this browser.
+        </DialogContentText>
+        <TextField
+          fullWidth
+          autoFocus
+          label="API Key"
+          placeholder="usk_..."
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          InputProps={{ sx: { fontFamily: 'monospace' } }}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClear} color="error">Clear</Button>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSave} variant="contained">Save</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ApiKeyDialog;
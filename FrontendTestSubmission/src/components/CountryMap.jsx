@@ -0,0 +1,76 @@
+import React, { useMemo } from 'react';
+import { Box, Tooltip, Typography } from '@mui/material';
+import { alpha, useTheme } from '@mui/material/styles';
+import { ComposableMap, Geographies, Geography } from 'react-simple-maps';
+import countries from 'i18n-iso-countries';
+import worldAtlas from 'world-atlas/countries-110m.json';
+
+/**
+ * Choropleth of clicks per country.
+ * The backend reports ISO alpha-2 codes while the atlas is keyed by ISO numeric codes.
+ */
+const CountryMap = ({ breakdown }) => {
+  const theme = useTheme();
+
+  const { clicksByNumericCode, maxClicks, unknownClicks } = useMemo(() => {
+    const byCode = {};
+    let max = 0;
+    let unknown = 0;
+    breakdown.forEach(({ value, clicks }) => {
+      const numericCode = countries.alpha2ToNumeric(value);
+      if (!numericCode) {
+        unknown += clicks;
+        return;
+      }
+      byCode[numericCode] = { code: value, clicks };
+      max = Math.max(max, clicks);
+    });
+    return { clicksByNumericCode: byCode, maxClicks: max, unknownClicks: unknown };
+  }, [breakdown]);
+
+  const getFill = (geo) => {
+    const entry = clicksByNumericCode[geo.id];
+    if (!entry) {
+      return theme.palette.grey[200];
+    }
+    return alpha(theme.palette.primary.main, 0.25 + 0.75 * (entry.clicks / maxClicks));
+  };
+
+  return (
+    <Box>
+      <ComposableMap projectionConfig={{ scale: 140 }} height={380} style={{ width: '100%', height: 'auto' }}>
+        <Geographies geography={worldAtlas}>
+          {({ geographies }) => geographies.map(geo => {
+            const entry = clicksByNumericCode[geo.id];
+            return (
+              <Tooltip
+                key={geo.rsmKey}
+                title={`${geo.properties.name}: ${entry ? entry.clicks : 0} clicks`}
+                followCursor
+              >
+                <Geography
+                  geography={geo}
+                  fill={getFill(geo)}
+                  stroke={theme.palette.background.paper}
+                  strokeWidth={0.5}
+                  style={{
+                    default: { outline: 'none' },
+                    hover: { outline: 'none', fill: theme.palette.secondary.main },
+                    pressed: { outline: 'none' }
+                  }}
+                />
+              </Tooltip>
+            );
+          })}
+        </Geographies>
+      </ComposableMap>
+      {unknownClicks > 0 && (
+        <Typography variant="caption" color="text.secondary">
+          {unknownClicks} clicks could not be located
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default CountryMap;
@@ -1,17 +1,24 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { AppBar, Toolbar, Typography, Button, Box } from '@mui/material';
 import { Link as RouterLink, useLocation } from 'react-router-dom';
-import { LinkOutlined, BarChart } from '@mui/icons-material';
+import { LinkOutlined, BarChart, VpnKey, ViewList } from '@mui/icons-material';
 import { useLogging } from '../context/LoggingContext';
+import ApiKeyDialog from './ApiKeyDialog';
 
 const Navbar = () => {
   const location = useLocation();
   const { logUserInteraction } = useLogging();
+  const [apiKeyDialogOpen, setApiKeyDialogOpen] = useState(false);
 
   const handleNavigation = (page) => {
     logUserInteraction('click', 'navigation', { destination: page });
   };
 
+  const openApiKeyDialog = () => {
+    setApiKeyDialogOpen(true);
+    logUserInteraction('click', 'open-api-key-dialog');
+  };
+
   return (
     <AppBar position="static" elevation={2}>
       <Toolbar>
@@ -30,6 +37,16 @@ const Navbar = () => {
           >
             Shorten URLs
           </Button>
+          <Button
+            color="inherit"
+            component={RouterLink}
+            to="/links"
+            onClick={() => handleNavigation('my-links')}
+            variant={location.pathname === '/links' ? 'outlined' : 'text'}
+            startIcon={<ViewList />}
+          >
+            My Links
+          </Button>
           <Button
             color="inherit"
             component={RouterLink}
@@ -40,8 +57,16 @@ const Navbar = () => {
           >
             Statistics
           </Button>
+          <Button
+            color="inherit"
+            onClick={openApiKeyDialog}
+            startIcon={<VpnKey />}
+          >
+            API Key
+          </Button>
         </Box>
       </Toolbar>
+      <ApiKeyDialog open={apiKeyDialogOpen} onClose={() => setApiKeyDialogOpen(false)} />
     </AppBar>
   );
 };
@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Grid,
+  TextField,
+  MenuItem,
+  Button,
+  Alert,
+  CircularProgress,
+  Typography
+} from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import { useLogging } from '../context/LoggingContext';
+import { getQrCode } from '../services/apiService';
+import { downloadBlob } from '../utils/helpers';
+
+const DEFAULT_OPTIONS = {
+  format: 'png',
+  size: 300,
+  margin: 4,
+  ecc: 'M',
+  fg: '#000000',
+  bg: '#ffffff'
+};
+
+const ERROR_CORRECTION_LEVELS = {
+  L: 'Low (7%)',
+  M: 'Medium (15%)',
+  Q: 'Quartile (25%)',
+  H: 'High (30%)'
+};
+
+/**
+ * Build the QR query parameters; colours are sent without '#' so they survive the query string
+ */
+const toQrParams = (options) => ({
+  ...options,
+  fg: options.fg.replace('#', ''),
+  bg: options.bg.replace('#', '')
+});
+
+const QrCodeDialog = ({ open, onClose, shortcode, domain, shortLink }) => {
+  const { logApiCall, logUserInteraction } = useLogging();
+  const [options, setOptions] = useState(DEFAULT_OPTIONS);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Re-render the preview whenever the dialog opens or an option changes.
+  // Requests are delayed briefly so dragging a colour picker does not flood the API.
+  useEffect(() => {
+    if (!open || !shortcode) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    let objectUrl = null;
+
+    const loadPreview = async () => {
+      setLoading(true);
+      setError(null);
+
+      const params = toQrParams(options);
+      const startTime = Date.now();
+      const result = await getQrCode(shortcode, params, domain);
+      logApiCall('GET', `/shorturls/${shortcode}/qr`, result.success ? 200 : 'error', Date.now() - startTime, { ...params, domain });
+
+      if (cancelled) {
+        return;
+      }
+      if (result.success) {
+        objectUrl = window.URL.createObjectURL(result.data);
+        setPreview({ url: objectUrl, blob: result.data });
+      } else {
+        setPreview(null);
+        setError(result.error.message);
+      }
+      setLoading(false);
+    };
+
+    const timer = setTimeout(loadPreview, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (objectUrl) {
+        window.URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [open, shortcode, domain, options, logApiCall]);
+
+  const handleOptionChange = (field) => (event) => {
+    const value = ['size', 'margin'].includes(field) ? Number(event.target.value) : event.target.value;
+    setOptions({ ...options, [field]: value });
+  };
+
+  const handleDownload = () => {
+    downloadBlob(preview.blob, `${shortcode}-qr.${options.format}`);
+    logUserInteraction('click', 'download-qr-code', { shortcode, ...options });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>QR Code - {shortcode}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2, fontFamily: 'monospace' }}>
+          {shortLink}
+        </Typography>
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={6}>
+            <Box
+              display="flex"
+              alignItems="center"
+              justifyContent="center"
+              sx={{ minHeight: 320, bgcolor: 'grey.100', borderRadius: 1, p: 2 }}
+            >
+              {loading && <CircularProgress />}
+              {!loading && error && <Alert severity="error">{error}</Alert>}
+              {!loading && preview && (
+                <img
+                  src={preview.url}
+                  alt={`QR code for ${shortLink}`}
+                  style={{ maxWidth: '100%', maxHeight: 300 }}
+                />
+              )}
+            </Box>
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <Box display="flex" flexDirection="column" gap={2}>
+              <TextField select label="Format" value={options.format} onChange={handleOptionChange('format')}>
+                <MenuItem value="png">PNG</MenuItem>
+                <MenuItem value="svg">SVG</MenuItem>
+              </TextField>
+              <TextField
+                select
+                label="Size (pixels)"
+                value={options.size}
+                onChange={handleOptionChange('size')}
+              >
+                {[150, 300, 600, 1000, 2000].map(size => (
+                  <MenuItem key={size} value={size}>{size}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                select
+                label="Margin (modules)"
+                value={options.margin}
+                onChange={handleOptionChange('margin')}
+              >
+                {[0, 1, 2, 4, 8].map(margin => (
+                  <MenuItem key={margin} value={margin}>{margin}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                select
+                label="Error correction"
+                value={options.ecc}
+                onChange={handleOptionChange('ecc')}
+                helperText="Higher levels survive more damage, e.g. a logo printed over the code"
+              >
+                {Object.entries(ERROR_CORRECTION_LEVELS).map(([level, label]) => (
+                  <MenuItem key={level} value={level}>{label}</MenuItem>
+                ))}
+              </TextField>
+              <Box display="flex" gap={2}>
+                <TextField
+                  fullWidth
+                  type="color"
+                  label="Foreground"
+                  value={options.fg}
+                  onChange={handleOptionChange('fg')}
+                />
+                <TextField
+                  fullWidth
+                  type="color"
+                  label="Background"
+                  value={options.bg}
+                  onChange={handleOptionChange('bg')}
+                />
+              </Box>
+            </Box>
+          </Grid>
+        </Grid>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => setOptions(DEFAULT_OPTIONS)}>Reset</Button>
+        <Button onClick={onClose}>Close</Button>
+        <Button
+          onClick={handleDownload}
+          variant="contained"
+          startIcon={<DownloadIcon />}
+          disabled={!preview || loading}
+        >
+          Download
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default QrCodeDialog;
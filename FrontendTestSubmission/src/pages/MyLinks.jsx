@@ -0,0 +1,507 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Paper,
+  Typography,
+  Box,
+  TextField,
+  Button,
+  Alert,
+  Snackbar,
+  CircularProgress,
+  Chip,
+  IconButton,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  TableSortLabel,
+  MenuItem,
+  InputAdornment,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions
+} from '@mui/material';
+import {
+  ViewList as ViewListIcon,
+  ContentCopy as CopyIcon,
+  BarChart as BarChartIcon,
+  MoreTime as ExtendIcon,
+  Delete as DeleteIcon,
+  Search as SearchIcon,
+  Refresh as RefreshIcon,
+  Lock as LockIcon,
+  Folder as FolderIcon
+} from '@mui/icons-material';
+import { useLogging } from '../context/LoggingContext';
+import { listShortUrls, updateShortUrl, deleteShortUrl } from '../services/apiService';
+import { validateValidity, parseTagInput } from '../utils/validation';
+import { formatDate, copyToClipboard, getExpiryStatus, getUsageStatus, getActivationStatus, truncateUrl, debounce } from '../utils/helpers';
+
+// Sortable columns and the backend sort field for each
+const SORT_FIELDS = {
+  createdAt: 'Created',
+  expiresAt: 'Expires',
+  clicks: 'Clicks'
+};
+
+const MyLinks = () => {
+  const navigate = useNavigate();
+  const { logPageView, logApiCall, logUserInteraction } = useLogging();
+
+  const [links, setLinks] = useState({ items: [], total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  // Tag (comma-separated) and folder filters, applied after a pause in typing like the search
+  const [tagInput, setTagInput] = useState('');
+  const [folderInput, setFolderInput] = useState('');
+  const [metadataFilters, setMetadataFilters] = useState({ tag: '', folder: '' });
+  const [status, setStatus] = useState('all');
+  const [sort, setSort] = useState('createdAt');
+  const [order, setOrder] = useState('desc');
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [extendTarget, setExtendTarget] = useState(null);
+  const [extendValidity, setExtendValidity] = useState('');
+  const [extendError, setExtendError] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+  const [, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    logPageView('my-links');
+  }, [logPageView]);
+
+  // Re-render every minute so the expiry chips stay current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const loadLinks = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    const params = {
+      limit: rowsPerPage,
+      offset: page * rowsPerPage,
+      sort,
+      order,
+      ...(search && { search }),
+      ...(metadataFilters.tag && { tag: metadataFilters.tag }),
+      ...(metadataFilters.folder && { folder: metadataFilters.folder }),
+      ...(status !== 'all' && { status })
+    };
+
+    const startTime = Date.now();
+    const result = await listShortUrls(params);
+    logApiCall('GET', '/shorturls', result.success ? 200 : 'error', Date.now() - startTime, params);
+
+    if (result.success) {
+      setLinks({ items: result.data.items, total: result.data.total });
+    } else {
+      setLinks({ items: [], total: 0 });
+      setError(result.error.message || 'Failed to load links');
+    }
+    setLoading(false);
+  }, [rowsPerPage, page, sort, order, search, metadataFilters, status, logApiCall]);
+
+  useEffect(() => {
+    loadLinks();
+  }, [loadLinks]);
+
+  const applySearch = useMemo(() => debounce((value) => {
+    setSearch(value.trim());
+    setPage(0);
+  }, 400), []);
+
+  const handleSearchChange = (event) => {
+    setSearchInput(event.target.value);
+    applySearch(event.target.value);
+  };
+
+  const applyMetadataFilters = useMemo(() => debounce((tags, folder) => {
+    setMetadataFilters({ tag: parseTagInput(tags).join(','), folder: folder.trim() });
+    setPage(0);
+  }, 400), []);
+
+  const handleTagFilterChange = (event) => {
+    setTagInput(event.target.value);
+    applyMetadataFilters(event.target.value, folderInput);
+  };
+
+  const handleFolderFilterChange = (event) => {
+    setFolderInput(event.target.value);
+    applyMetadataFilters(tagInput, event.target.value);
+  };
+
+  // Clicking a tag or folder chip filters the list by it
+  const filterByTag = (tag) => {
+    setTagInput(tag);
+    setMetadataFilters(current => ({ ...current, tag }));
+    setPage(0);
+    logUserInteraction('click', 'links-tag-filter', { tag });
+  };
+
+  const filterByFolder = (folder) => {
+    setFolderInput(folder);
+    setMetadataFilters(current => ({ ...current, folder }));
+    setPage(0);
+    logUserInteraction('click', 'links-folder-filter', { folder });
+  };
+
+  const handleStatusChange = (event) => {
+    setStatus(event.target.value);
+    setPage(0);
+    logUserInteraction('change', 'links-status-filter', { status: event.target.value });
+  };
+
+  const handleSort = (field) => {
+    const newOrder = sort === field && order === 'desc' ? 'asc' : 'desc';
+    setSort(field);
+    setOrder(newOrder);
+    setPage(0);
+    logUserInteraction('click', 'links-sort', { sort: field, order: newOrder });
+  };
+
+  const handleCopyLink = async (link) => {
+    const success = await copyToClipboard(link);
+    setSnackbar({
+      open: true,
+      message: success ? 'Link copied to clipboard!' : 'Failed to copy link',
+      severity: success ? 'success' : 'error'
+    });
+
+    logUserInteraction('click', 'copy-link', { link, success });
+  };
+
+  const handleViewStats = (link) => {
+    logUserInteraction('click', 'view-link-stats', { shortcode: link.shortcode, domain: link.domain });
+    navigate(`/statistics?shortcode=${encodeURIComponent(link.shortcode)}&domain=${encodeURIComponent(link.domain)}`);
+  };
+
+  const openExtendDialog = (link) => {
+    setExtendTarget(link);
+    setExtendValidity('');
+    setExtendError(null);
+    logUserInteraction('click', 'open-extend-dialog', { shortcode: link.shortcode });
+  };
+
+  const handleExtend = async () => {
+    const validation = validateValidity(extendValidity);
+    if (!validation.isValid) {
+      setExtendError(validation.error);
+      return;
+    }
+
+    const startTime = Date.now();
+    const result = await updateShortUrl(extendTarget.shortcode, { validity: validation.value }, extendTarget.domain);
+    logApiCall('PATCH', `/shorturls/${extendTarget.shortcode}`, result.success ? 200 : 'error', Date.now() - startTime, {
+      validity: validation.value,
+      domain: extendTarget.domain
+    });
+
+    if (result.success) {
+      setSnackbar({
+        open: true,
+        message: `${extendTarget.shortcode} now expires ${formatDate(result.data.expiry)}`,
+        severity: 'success'
+      });
+      setExtendTarget(null);
+      loadLinks();
+    } else {
+      setExtendError(result.error.message || 'Failed to extend link');
+    }
+  };
+
+  const handleDelete = async () => {
+    const { shortcode, domain } = deleteTarget;
+
+    const startTime = Date.now();
+    const result = await deleteShortUrl(shortcode, domain);
+    logApiCall('DELETE', `/shorturls/${shortcode}`, result.success ? 204 : 'error', Date.now() - startTime, { domain });
+
+    setDeleteTarget(null);
+    setSnackbar({
+      open: true,
+      message: result.success ? `${shortcode} deleted` : (result.error.message || 'Failed to delete link'),
+      severity: result.success ? 'success' : 'error'
+    });
+
+    if (result.success) {
+      // Step back a page when the last row of the current page was removed
+      if (links.items.length === 1 && page > 0) {
+        setPage(page - 1);
+      } else {
+        loadLinks();
+      }
+    }
+  };
+
+  return (
+    <Box>
+      <Paper elevation={3} sx={{ p: 4 }}>
+        <Box display="flex" alignItems="center" justifyContent="space-between" mb={3}>
+          <Box display="flex" alignItems="center">
+            <ViewListIcon sx={{ mr: 2, fontSize: 32, color: 'primary.main' }} />
+            <Typography variant="h4" component="h1">
+              My Links
+            </Typography>
+          </Box>
+          <Tooltip title="Refresh">
+            <span>
+              <IconButton onClick={loadLinks} disabled={loading}>
+                {loading ? <CircularProgress size={24} /> : <RefreshIcon />}
+              </IconButton>
+            </span>
+          </Tooltip>
+        </Box>
+
+        <Box display="flex" gap={2} mb={3} flexWrap="wrap">
+          <TextField
+            label="Search"
+            placeholder="Shortcode, destination or title"
+            value={searchInput}
+            onChange={handleSearchChange}
+            sx={{ flexGrow: 1, minWidth: 240 }}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <SearchIcon />
+                </InputAdornment>
+              )
+            }}
+          />
+          <TextField
+            select
+            label="Status"
+            value={status}
+            onChange={handleStatusChange}
+            sx={{ minWidth: 140 }}
+          >
+            <MenuItem value="all">All</MenuItem>
+            <MenuItem value="active">Active</MenuItem>
+            <MenuItem value="scheduled">Scheduled</MenuItem>
+            <MenuItem value="expired">Expired</MenuItem>
+            <MenuItem value="exhausted">Click limit reached</MenuItem>
+          </TextField>
+          <TextField
+            label="Tags"
+            placeholder="summer, email"
+            value={tagInput}
+            onChange={handleTagFilterChange}
+            sx={{ minWidth: 180 }}
+          />
+          <TextField
+            label="Folder"
+            value={folderInput}
+            onChange={handleFolderFilterChange}
+            sx={{ minWidth: 160 }}
+          />
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 3 }}>
+            {error}
+          </Alert>
+        )}
+
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Short Link</TableCell>
+                <TableCell>Destination</TableCell>
+                {Object.entries(SORT_FIELDS).map(([field, label]) => (
+                  <TableCell key={field} align={field === 'clicks' ? 'right' : 'left'}>
+                    <TableSortLabel
+                      active={sort === field}
+                      direction={sort === field ? order : 'desc'}
+                      onClick={() => handleSort(field)}
+                    >
+                      {label}
+                    </TableSortLabel>
+                  </TableCell>
+                ))}
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {links.items.map((link) => {
+                // A used-up click limit ends a link just like expiry does
+                let expiryStatus = getExpiryStatus(link.expiresAt);
+                if (link.status === 'scheduled') {
+                  expiryStatus = getActivationStatus(link.activatesAt) || expiryStatus;
+                } else if (link.status === 'exhausted') {
+                  expiryStatus = getUsageStatus(link.remainingClicks, link.maxClicks);
+                }
+                return (
+                  <TableRow key={`${link.domain}/${link.shortcode}`} hover>
+                    <TableCell>
+                      <Box display="flex" alignItems="center" gap={0.5}>
+                        <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                          {link.shortLink}
+                        </Typography>
+                        {link.passwordProtected && (
+                          <Tooltip title="Password protected">
+                            <LockIcon fontSize="small" color="action" />
+                          </Tooltip>
+                        )}
+                      </Box>
+                    </TableCell>
+                    <TableCell>
+                      {link.title && (
+                        <Typography variant="body2" fontWeight="medium">
+                          {link.title}
+                        </Typography>
+                      )}
+                      <Tooltip title={link.originalUrl}>
+                        <Typography variant="body2" color={link.title ? 'text.secondary' : 'text.primary'} sx={{ wordBreak: 'break-all' }}>
+                          {truncateUrl(link.originalUrl, 40)}
+                        </Typography>
+                      </Tooltip>
+                      {(link.folder || link.tags.length > 0) && (
+                        <Box display="flex" flexWrap="wrap" gap={0.5} mt={0.5}>
+                          {link.folder && (
+                            <Chip icon={<FolderIcon />} label={link.folder} size="small" onClick={() => filterByFolder(link.folder)} />
+                          )}
+                          {link.tags.map(tag => (
+                            <Chip key={tag} label={tag} size="small" variant="outlined" onClick={() => filterByTag(tag)} />
+                          ))}
+                        </Box>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">
+                        {formatDate(link.createdAt)}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Chip
+                        label={expiryStatus.status}
+                        color={expiryStatus.color}
+                        size="small"
+                        variant="outlined"
+                      />
+                    </TableCell>
+                    <TableCell align="right">
+                      {link.maxClicks ? `${link.totalClicks} / ${link.maxClicks}` : link.totalClicks}
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      <Tooltip title="Copy short link">
+                        <IconButton size="small" onClick={() => handleCopyLink(link.shortLink)}>
+                          <CopyIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="View statistics">
+                        <IconButton size="small" onClick={() => handleViewStats(link)}>
+                          <BarChartIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Extend expiry">
+                        <IconButton size="small" onClick={() => openExtendDialog(link)}>
+                          <ExtendIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete">
+                        <IconButton size="small" color="error" onClick={() => setDeleteTarget(link)}>
+                          <DeleteIcon />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+              {!loading && links.items.length === 0 && !error && (
+                <TableRow>
+                  <TableCell colSpan={6}>
+                    <Typography variant="body2" color="text.secondary" align="center">
+                      {search || metadataFilters.tag || metadataFilters.folder || status !== 'all' ? 'No links match your filters.' : 'You have not created any links yet.'}
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div"
+          count={links.total}
+          page={page}
+          onPageChange={(event, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(event) => {
+            setRowsPerPage(parseInt(event.target.value, 10));
+            setPage(0);
+          }}
+          rowsPerPageOptions={[10, 20, 50, 100]}
+        />
+      </Paper>
+
+      {/* Extend Dialog */}
+      <Dialog open={!!extendTarget} onClose={() => setExtendTarget(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Extend {extendTarget?.shortcode}</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            The link will expire this many minutes from now.
+          </DialogContentText>
+          <TextField
+            fullWidth
+            autoFocus
+            label="Validity (minutes)"
+            placeholder="30"
+            value={extendValidity}
+            onChange={(e) => {
+              setExtendValidity(e.target.value);
+              setExtendError(null);
+            }}
+            error={!!extendError}
+            helperText={extendError || 'Between 1 and 43200 minutes (30 days); defaults to 30'}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setExtendTarget(null)}>Cancel</Button>
+          <Button onClick={handleExtend} variant="contained">Extend</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete Confirmation */}
+      <Dialog open={!!deleteTarget} onClose={() => setDeleteTarget(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Delete {deleteTarget?.shortcode}?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            The short link will stop working and its click history will be removed. This cannot be undone.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteTarget(null)}>Cancel</Button>
+          <Button onClick={handleDelete} color="error" variant="contained">Delete</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+      >
+        <Alert
+          onClose={() => setSnackbar({ ...snackbar, open: false })}
+          severity={snackbar.severity}
+          sx={{ width: '100%' }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default MyLinks;
@@ -1,4 +1,5 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import {
   Paper,
   Typography,
@@ -20,6 +21,10 @@ import {
   TableContainer,
   TableHead,
   TableRow,
+  TablePagination,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
   List,
   ListItem,
   ListItemText,
@@ -32,21 +37,67 @@ import {
   Timeline as TimelineIcon,
   Language as LanguageIcon,
   Computer as ComputerIcon,
-  AccessTime as AccessTimeIcon
+  AccessTime as AccessTimeIcon,
+  Download as DownloadIcon,
+  DateRange as DateRangeIcon,
+  QrCode2 as QrCodeIcon,
+  Lock as LockIcon,
+  AltRoute as AltRouteIcon,
+  CallSplit as CallSplitIcon,
+  Link as LinkIcon,
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Folder as FolderIcon,
+  LocalOffer as TagIcon,
+  Refresh as RefreshIcon
 } from '@mui/icons-material';
 import { useLogging } from '../context/LoggingContext';
-import { getUrlStatistics } from '../services/apiService';
-import { formatDate, getTimeAgo, copyToClipboard, extractDomain, getExpiryStatus } from '../utils/helpers';
+import { getUrlStatistics, getUrlAnalytics, getUrlClicks, exportUrlClicks, getDomains, addAlias, removeAlias, getGroupAnalytics } from '../services/apiService';
+import AnalyticsCharts from '../components/AnalyticsCharts';
+import QrCodeDialog from '../components/QrCodeDialog';
+import { formatDate, getTimeAgo, copyToClipboard, extractDomain, getExpiryStatus, getUsageStatus, getActivationStatus, describeRuleConditions, downloadBlob, toDateTimeLocal } from '../utils/helpers';
+
+// Quick time ranges and the chart interval that suits each
+const RANGE_PRESETS = {
+  '24h': { label: 'Last 24 hours', durationMs: 24 * 60 * 60 * 1000, interval: 'hour' },
+  '7d': { label: 'Last 7 days', durationMs: 7 * 24 * 60 * 60 * 1000, interval: 'day' },
+  '30d': { label: 'Last 30 days', durationMs: 30 * 24 * 60 * 60 * 1000, interval: 'day' },
+  all: { label: 'All time', durationMs: null, interval: 'day' }
+};
+
+/**
+ * Convert datetime-local input values to ISO query parameters, omitting empty bounds
+ */
+const buildRangeParams = ({ from, to }) => ({
+  ...(from && { from: new Date(from).toISOString() }),
+  ...(to && { to: new Date(to).toISOString() })
+});
 
 const Statistics = () => {
   const { logPageView, logApiCall, logUserInteraction } = useLogging();
+  const [searchParams] = useSearchParams();
   
   const [shortcode, setShortcode] = useState('');
+  const [domain, setDomain] = useState('');
+  const [domains, setDomains] = useState([]);
   const [statistics, setStatistics] = useState(null);
+  const [analytics, setAnalytics] = useState(null);
+  const [recentClicks, setRecentClicks] = useState([]);
+  const [clickPage, setClickPage] = useState({ items: [], total: 0 });
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [range, setRange] = useState({ preset: 'all', from: '', to: '', interval: 'day' });
+  const [rangeLoading, setRangeLoading] = useState(false);
+  const [qrDialogOpen, setQrDialogOpen] = useState(false);
+  const [newAlias, setNewAlias] = useState('');
+  const [aliasSaving, setAliasSaving] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
   const [searchHistory, setSearchHistory] = useState([]);
+  const [groupBy, setGroupBy] = useState('tag');
+  const [groups, setGroups] = useState(null);
+  const [groupsLoading, setGroupsLoading] = useState(false);
 
   useEffect(() => {
     logPageView('statistics');
@@ -56,8 +107,139 @@ const Statistics = () => {
     setSearchHistory(savedHistory);
   }, [logPageView]);
 
-  const fetchStatistics = async () => {
-    if (!shortcode.trim()) {
+  // Load the configured domains so links on a custom domain can be looked up
+  useEffect(() => {
+    const loadDomains = async () => {
+      const result = await getDomains();
+      logApiCall('GET', '/domains', result.success ? 200 : 'error', result.responseTime);
+      if (result.success) {
+        setDomains(result.data.domains);
+        setDomain(currentDomain => currentDomain || result.data.defaultDomain);
+      }
+    };
+    loadDomains();
+  }, [logApiCall]);
+
+  // Load the per-tag or per-folder summary of all the caller's links
+  const loadGroups = useCallback(async () => {
+    setGroupsLoading(true);
+    const result = await getGroupAnalytics({ by: groupBy });
+    logApiCall('GET', '/shorturls/groups', result.success ? 200 : 'error', result.responseTime, { by: groupBy });
+    setGroups(result.success ? result.data.groups : null);
+    setGroupsLoading(false);
+  }, [groupBy, logApiCall]);
+
+  useEffect(() => {
+    loadGroups();
+  }, [loadGroups]);
+
+  // Look up a shortcode passed in the URL, e.g. from the My Links dashboard
+  useEffect(() => {
+    const linkedShortcode = searchParams.get('shortcode');
+    const linkedDomain = searchParams.get('domain') || '';
+    if (linkedShortcode) {
+      setShortcode(linkedShortcode);
+      if (linkedDomain) {
+        setDomain(linkedDomain);
+      }
+      fetchStatistics(linkedShortcode, linkedDomain);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searchParams]);
+
+  // Load one page of the detailed click table (newest first) within the selected range
+  const loadClicks = async (link, pageIndex, pageSize, selectedRange = range) => {
+    const startTime = Date.now();
+    const result = await getUrlClicks(link.shortcode, {
+      ...buildRangeParams(selectedRange),
+      limit: pageSize,
+      offset: pageIndex * pageSize,
+      order: 'desc'
+    }, link.domain);
+    logApiCall('GET', `/shorturls/${link.shortcode}/clicks`, result.success ? 200 : 'error', Date.now() - startTime, {
+      limit: pageSize,
+      offset: pageIndex * pageSize,
+      domain: link.domain
+    });
+
+    if (result.success) {
+      setClickPage({ items: result.data.items, total: result.data.total });
+    } else {
+      setSnackbar({
+        open: true,
+        message: result.error.message || 'Failed to load click data',
+        severity: 'error'
+      });
+    }
+    return result;
+  };
+
+  // Load the aggregated analytics that drive the summary lists and charts
+  const loadAnalytics = async (link, selectedRange = range) => {
+    const params = { ...buildRangeParams(selectedRange), interval: selectedRange.interval };
+    const result = await getUrlAnalytics(link.shortcode, params, link.domain);
+    logApiCall('GET', `/shorturls/${link.shortcode}/analytics`, result.success ? 200 : 'error', result.responseTime, {
+      ...params,
+      domain: link.domain
+    });
+
+    if (result.success) {
+      setAnalytics(result.data);
+    } else {
+      setAnalytics(null);
+      setSnackbar({
+        open: true,
+        message: result.error.message || 'Failed to load analytics',
+        severity: 'error'
+      });
+    }
+    return result;
+  };
+
+  // Re-query analytics and the click table for a new time range
+  const applyRange = async (selectedRange) => {
+    if (selectedRange.from && selectedRange.to && new Date(selectedRange.from) > new Date(selectedRange.to)) {
+      setSnackbar({
+        open: true,
+        message: 'The start of the range must be before its end',
+        severity: 'warning'
+      });
+      return;
+    }
+
+    setRange(selectedRange);
+    if (!statistics) {
+      return;
+    }
+
+    logUserInteraction('change', 'statistics-range', { shortcode: statistics.shortcode, ...selectedRange });
+
+    setRangeLoading(true);
+    setPage(0);
+    await Promise.all([
+      loadAnalytics(statistics, selectedRange),
+      loadClicks(statistics, 0, rowsPerPage, selectedRange)
+    ]);
+    setRangeLoading(false);
+  };
+
+  const handlePresetChange = (event, preset) => {
+    if (!preset) {
+      return;
+    }
+    const { durationMs, interval } = RANGE_PRESETS[preset];
+    const now = new Date();
+    applyRange({
+      preset,
+      from: durationMs ? toDateTimeLocal(new Date(now.getTime() - durationMs)) : '',
+      to: durationMs ? toDateTimeLocal(now) : '',
+      interval
+    });
+  };
+
+  const fetchStatistics = async (code = shortcode, linkDomain = domain) => {
+    const lookup = code.trim();
+    if (!lookup) {
       setSnackbar({
         open: true,
         message: 'Please enter a shortcode',
@@ -69,28 +251,41 @@ const Statistics = () => {
     setLoading(true);
     setError(null);
     
-    logUserInteraction('click', 'fetch-statistics', { shortcode });
+    logUserInteraction('click', 'fetch-statistics', { shortcode: lookup, domain: linkDomain });
 
     try {
       const startTime = Date.now();
-      const result = await getUrlStatistics(shortcode.trim());
+      const result = await getUrlStatistics(lookup, linkDomain || undefined);
       const responseTime = Date.now() - startTime;
 
-      logApiCall('GET', `/shorturls/${shortcode}`, result.success ? 200 : 'error', responseTime);
+      logApiCall('GET', `/shorturls/${lookup}`, result.success ? 200 : 'error', responseTime, { domain: linkDomain });
 
       if (result.success) {
         setStatistics(result.data);
+        setPage(0);
+
+        const [, clicksResult] = await Promise.all([
+          loadAnalytics(result.data),
+          loadClicks(result.data, 0, rowsPerPage)
+        ]);
+        setRecentClicks(clicksResult.success ? clicksResult.data.items.slice(0, 5) : []);
         
         // Add to search history
         const newHistoryItem = {
-          shortcode: shortcode.trim(),
+          shortcode: lookup,
+          domain: result.data.domain,
           timestamp: new Date().toISOString(),
           totalClicks: result.data.totalClicks
         };
         
-        const updatedHistory = [newHistoryItem, ...searchHistory.filter(item => item.shortcode !== shortcode.trim())].slice(0, 10);
-        setSearchHistory(updatedHistory);
-        sessionStorage.setItem('searchHistory', JSON.stringify(updatedHistory));
+        setSearchHistory(previousHistory => {
+          const updatedHistory = [
+            newHistoryItem,
+            ...previousHistory.filter(item => item.shortcode !== lookup || item.domain !== result.data.domain)
+          ].slice(0, 10);
+          sessionStorage.setItem('searchHistory', JSON.stringify(updatedHistory));
+          return updatedHistory;
+        });
         
         setSnackbar({
           open: true,
@@ -100,6 +295,7 @@ const Statistics = () => {
       } else {
         setError(result.error.message || 'Failed to fetch statistics');
         setStatistics(null);
+        setAnalytics(null);
         setSnackbar({
           open: true,
           message: result.error.message || 'Failed to fetch statistics',
@@ -109,6 +305,7 @@ const Statistics = () => {
     } catch (error) {
       setError('Network error occurred');
       setStatistics(null);
+      setAnalytics(null);
       setSnackbar({
         open: true,
         message: 'Network error occurred',
@@ -130,9 +327,97 @@ const Statistics = () => {
     logUserInteraction('click', 'copy-link', { link, success });
   };
 
-  const loadFromHistory = (historyShortcode) => {
-    setShortcode(historyShortcode);
-    logUserInteraction('click', 'load-from-history', { shortcode: historyShortcode });
+  const openQrDialog = () => {
+    setQrDialogOpen(true);
+    logUserInteraction('click', 'open-qr-dialog', { shortcode: statistics.shortcode });
+  };
+
+  const handleExportClicks = async (format) => {
+    logUserInteraction('click', 'export-clicks', { shortcode: statistics.shortcode, format });
+
+    const startTime = Date.now();
+    const result = await exportUrlClicks(statistics.shortcode, format, statistics.domain);
+    logApiCall('GET', `/shorturls/${statistics.shortcode}/clicks/export`, result.success ? 200 : 'error', Date.now() - startTime, {
+      format,
+      domain: statistics.domain
+    });
+
+    if (result.success) {
+      downloadBlob(result.data, `${statistics.shortcode}-clicks.${format}`);
+    } else {
+      setSnackbar({
+        open: true,
+        message: result.error.message,
+        severity: 'error'
+      });
+    }
+  };
+
+  const handleAddAlias = async () => {
+    const alias = newAlias.trim();
+    logUserInteraction('click', 'add-alias', { shortcode: statistics.shortcode, alias });
+
+    setAliasSaving(true);
+    const result = await addAlias(statistics.shortcode, alias, statistics.domain);
+    setAliasSaving(false);
+    logApiCall('POST', `/shorturls/${statistics.shortcode}/aliases`, result.success ? 201 : 'error', result.responseTime, {
+      domain: statistics.domain
+    });
+
+    if (result.success) {
+      setStatistics(current => ({
+        ...current,
+        aliases: [...current.aliases, { ...result.data, clicks: 0 }]
+      }));
+      setNewAlias('');
+    }
+    setSnackbar({
+      open: true,
+      message: result.success ? `Alias ${result.data.alias} added` : (result.error.message || 'Failed to add alias'),
+      severity: result.success ? 'success' : 'error'
+    });
+  };
+
+  const handleRemoveAlias = async (alias) => {
+    logUserInteraction('click', 'remove-alias', { shortcode: statistics.shortcode, alias });
+
+    const result = await removeAlias(statistics.shortcode, alias, statistics.domain);
+    logApiCall('DELETE', `/shorturls/${statistics.shortcode}/aliases/${alias}`, result.success ? 204 : 'error', result.responseTime, {
+      domain: statistics.domain
+    });
+
+    if (result.success) {
+      setStatistics(current => ({
+        ...current,
+        aliases: current.aliases.filter(item => item.alias !== alias)
+      }));
+    }
+    setSnackbar({
+      open: true,
+      message: result.success ? `Alias ${alias} removed` : (result.error.message || 'Failed to remove alias'),
+      severity: result.success ? 'success' : 'error'
+    });
+  };
+
+  const handleChangePage = (event, newPage) => {
+    setPage(newPage);
+    loadClicks(statistics, newPage, rowsPerPage);
+    logUserInteraction('click', 'clicks-page', { shortcode: statistics.shortcode, page: newPage });
+  };
+
+  const handleChangeRowsPerPage = (event) => {
+    const newRowsPerPage = parseInt(event.target.value, 10);
+    setRowsPerPage(newRowsPerPage);
+    setPage(0);
+    loadClicks(statistics, 0, newRowsPerPage);
+  };
+
+  const loadFromHistory = (item) => {
+    setShortcode(item.shortcode);
+    if (item.domain) {
+      setDomain(item.domain);
+    }
+    logUserInteraction('click', 'load-from-history', { shortcode: item.shortcode, domain: item.domain });
   };
 
   const clearHistory = () => {
@@ -146,31 +431,26 @@ const Statistics = () => {
     });
   };
 
-  // Get top referrers
-  const getTopReferrers = (clicks) => {
-    const referrerCounts = {};
-    clicks.forEach(click => {
-      const referrer = click.referrer === 'Direct' ? 'Direct Access' : extractDomain(click.referrer);
-      referrerCounts[referrer] = (referrerCounts[referrer] || 0) + 1;
-    });
-    
-    return Object.entries(referrerCounts)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 5)
-      .map(([referrer, count]) => ({ referrer, count }));
+  // Top entries of a server-side breakdown
+  const getTopBreakdown = (dimension, count = 5) => {
+    return analytics ? analytics.breakdowns[dimension].slice(0, count) : [];
   };
 
-  // Get location distribution
-  const getLocationDistribution = (clicks) => {
-    const locationCounts = {};
-    clicks.forEach(click => {
-      const location = click.location || 'Unknown';
-      locationCounts[location] = (locationCounts[location] || 0) + 1;
-    });
-    
-    return Object.entries(locationCounts)
-      .sort(([,a], [,b]) => b - a)
-      .map(([location, count]) => ({ location, count }));
+  // Share of all split test clicks that went to one variant, as a whole percentage
+  const getClickShare = (clicks) => {
+    const total = statistics.variants.reduce((sum, variant) => sum + variant.clicks, 0);
+    return total ? Math.round((clicks / total) * 100) : 0;
+  };
+
+  // Share of all the link's clicks that came through one alias, as a whole percentage
+  const getAliasShare = (clicks) => {
+    return statistics.totalClicks ? Math.round((clicks / statistics.totalClicks) * 100) : 0;
+  };
+
+  // Clicks in the selected range that a redirect rule (or the 'default' fallback) sent on
+  const getRuleClicks = (name) => {
+    const row = analytics && analytics.breakdowns.matchedRule.find(item => item.value === name);
+    return row ? row.clicks : 0;
   };
 
   return (
@@ -197,9 +477,25 @@ const Statistics = () => {
             onKeyPress={(e) => e.key === 'Enter' && fetchStatistics()}
             disabled={loading}
           />
+          {domains.length > 1 && (
+            <TextField
+              select
+              label="Domain"
+              value={domain}
+              onChange={(e) => setDomain(e.target.value)}
+              disabled={loading}
+              sx={{ minWidth: 220 }}
+            >
+              {domains.map(option => (
+                <MenuItem key={option.domain} value={option.domain}>
+                  {option.domain}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
           <Button
             variant="contained"
-            onClick={fetchStatistics}
+            onClick={() => fetchStatistics()}
             disabled={loading || !shortcode.trim()}
             startIcon={loading ? <CircularProgress size={20} /> : <SearchIcon />}
             sx={{ minWidth: 140 }}
@@ -219,8 +515,10 @@ const Statistics = () => {
                 {searchHistory.map((item, index) => (
                   <Chip
                     key={index}
-                    label={`${item.shortcode} (${item.totalClicks} clicks)`}
-                    onClick={() => loadFromHistory(item.shortcode)}
+                    label={domains.length > 1 && item.domain
+                      ? `${item.domain}/${item.shortcode} (${item.totalClicks} clicks)`
+                      : `${item.shortcode} (${item.totalClicks} clicks)`}
+                    onClick={() => loadFromHistory(item)}
                     variant="outlined"
                     size="small"
                     clickable
@@ -244,9 +542,34 @@ const Statistics = () => {
           <Grid item xs={12}>
             <Card elevation={3}>
               <CardContent>
-                <Typography variant="h5" gutterBottom>
-                  Overview - {statistics.shortcode}
-                </Typography>
+                <Box display="flex" alignItems="center" gap={1} mb={1}>
+                  <Typography variant="h5">
+                    Overview - {statistics.shortcode}
+                  </Typography>
+                  {statistics.passwordProtected && (
+                    <Chip icon={<LockIcon />} label="Password protected" size="small" variant="outlined" />
+                  )}
+                </Box>
+                {statistics.title && (
+                  <Typography variant="subtitle1">
+                    {statistics.title}
+                  </Typography>
+                )}
+                {statistics.description && (
+                  <Typography variant="body2" color="text.secondary" sx={{ whiteSpace: 'pre-line' }}>
+                    {statistics.description}
+                  </Typography>
+                )}
+                {(statistics.folder || statistics.tags.length > 0) && (
+                  <Box display="flex" flexWrap="wrap" gap={0.5} mt={1} mb={1}>
+                    {statistics.folder && (
+                      <Chip icon={<FolderIcon />} label={statistics.folder} size="small" />
+                    )}
+                    {statistics.tags.map(tag => (
+                      <Chip key={tag} label={tag} size="small" variant="outlined" />
+                    ))}
+                  </Box>
+                )}
                 
                 <Grid container spacing={3}>
                   <Grid item xs={12} md={6}>
@@ -272,13 +595,18 @@ const Statistics = () => {
                       </Typography>
                       <Box display="flex" alignItems="center" gap={1} mb={2}>
                         <Typography variant="body1" sx={{ fontFamily: 'monospace', flexGrow: 1 }}>
-                          http://localhost:3100/{statistics.shortcode}
+                          {statistics.shortLink}
                         </Typography>
                         <Tooltip title="Copy short URL">
-                          <IconButton size="small" onClick={() => handleCopyLink(`http://localhost:3100/${statistics.shortcode}`)}>
+                          <IconButton size="small" onClick={() => handleCopyLink(statistics.shortLink)}>
                             <CopyIcon />
                           </IconButton>
                         </Tooltip>
+                        <Tooltip title="QR code">
+                          <IconButton size="small" onClick={openQrDialog}>
+                            <QrCodeIcon />
+                          </IconButton>
+                        </Tooltip>
                       </Box>
                     </Box>
                   </Grid>
@@ -306,13 +634,27 @@ const Statistics = () => {
                         </Box>
                       </Grid>
                       <Grid item xs={12}>
-                        <Box textAlign="center">
+                        <Box display="flex" justifyContent="center" gap={1}>
+                          {getActivationStatus(statistics.activatesAt) && (
+                            <Chip
+                              label={getActivationStatus(statistics.activatesAt).status}
+                              color={getActivationStatus(statistics.activatesAt).color}
+                              variant="outlined"
+                            />
+                          )}
                           <Chip 
                             {...getExpiryStatus(statistics.expiresAt)}
                             label={getExpiryStatus(statistics.expiresAt).status}
                             color={getExpiryStatus(statistics.expiresAt).color}
                             variant="outlined"
                           />
+                          {statistics.maxClicks && (
+                            <Chip
+                              label={getUsageStatus(statistics.remainingClicks, statistics.maxClicks).status}
+                              color={getUsageStatus(statistics.remainingClicks, statistics.maxClicks).color}
+                              variant="outlined"
+                            />
+                          )}
                         </Box>
                       </Grid>
                     </Grid>
@@ -322,8 +664,138 @@ const Statistics = () => {
             </Card>
           </Grid>
 
-          {statistics.clicks.length > 0 && (
+          {/* Aliases */}
+          <Grid item xs={12}>
+            <Card elevation={2}>
+              <CardContent>
+                <Box display="flex" alignItems="center" mb={1}>
+                  <LinkIcon sx={{ mr: 1, color: 'primary.main' }} />
+                  <Typography variant="h6">Aliases</Typography>
+                </Box>
+                <Typography variant="body2" color="text.secondary" mb={1}>
+                  Extra shortcodes that lead to the same destination. Their clicks count towards this link.
+                </Typography>
+                {statistics.aliases.length > 0 && (
+                  <List dense>
+                    {statistics.aliases.map((item) => (
+                      <ListItem
+                        key={item.alias}
+                        sx={{ px: 0 }}
+                        secondaryAction={
+                          <Box display="flex">
+                            <Tooltip title="Copy alias link">
+                              <IconButton size="small" onClick={() => handleCopyLink(item.shortLink)}>
+                                <CopyIcon />
+                              </IconButton>
+                            </Tooltip>
+                            <Tooltip title="Remove alias">
+                              <IconButton size="small" onClick={() => handleRemoveAlias(item.alias)}>
+                                <DeleteIcon />
+                              </IconButton>
+                            </Tooltip>
+                          </Box>
+                        }
+                      >
+                        <ListItemText
+                          primary={item.shortLink}
+                          primaryTypographyProps={{ fontFamily: 'monospace' }}
+                          secondary={`${item.clicks} clicks (${getAliasShare(item.clicks)}% of all clicks)`}
+                        />
+                      </ListItem>
+                    ))}
+                  </List>
+                )}
+                <Box display="flex" gap={2} mt={1}>
+                  <TextField
+                    size="small"
+                    label="New alias"
+                    placeholder="e.g., summer24"
+                    value={newAlias}
+                    onChange={(e) => setNewAlias(e.target.value)}
+                    onKeyPress={(e) => e.key === 'Enter' && newAlias.trim() && handleAddAlias()}
+                    disabled={aliasSaving}
+                  />
+                  <Button
+                    variant="outlined"
+                    startIcon={aliasSaving ? <CircularProgress size={20} /> : <AddIcon />}
+                    onClick={handleAddAlias}
+                    disabled={aliasSaving || !newAlias.trim()}
+                  >
+                    Add Alias
+                  </Button>
+                </Box>
+              </CardContent>
+            </Card>
+          </Grid>
+
+          {statistics.totalClicks > 0 && (
             <>
+              {/* Time Range */}
+              <Grid item xs={12}>
+                <Card elevation={2}>
+                  <CardContent>
+                    <Box display="flex" alignItems="center" mb={2}>
+                      <DateRangeIcon sx={{ mr: 1, color: 'primary.main' }} />
+                      <Typography variant="h6">Time Range</Typography>
+                      {rangeLoading && <CircularProgress size={20} sx={{ ml: 2 }} />}
+                    </Box>
+                    <ToggleButtonGroup
+                      value={range.preset}
+                      exclusive
+                      size="small"
+                      onChange={handlePresetChange}
+                      sx={{ mb: 2, flexWrap: 'wrap' }}
+                    >
+                      {Object.entries(RANGE_PRESETS).map(([key, preset]) => (
+                        <ToggleButton key={key} value={key}>
+                          {preset.label}
+                        </ToggleButton>
+                      ))}
+                    </ToggleButtonGroup>
+                    <Box display="flex" gap={2} flexWrap="wrap" alignItems="center">
+                      <TextField
+                        type="datetime-local"
+                        label="From"
+                        size="small"
+                        value={range.from}
+                        onChange={(e) => setRange({ ...range, preset: 'custom', from: e.target.value })}
+                        InputLabelProps={{ shrink: true }}
+                      />
+                      <TextField
+                        type="datetime-local"
+                        label="To"
+                        size="small"
+                        value={range.to}
+                        onChange={(e) => setRange({ ...range, preset: 'custom', to: e.target.value })}
+                        InputLabelProps={{ shrink: true }}
+                      />
+                      <TextField
+                        select
+                        label="Group by"
+                        size="small"
+                        value={range.interval}
+                        onChange={(e) => setRange({ ...range, interval: e.target.value })}
+                        sx={{ minWidth: 120 }}
+                      >
+                        <MenuItem value="minute">Minute</MenuItem>
+                        <MenuItem value="hour">Hour</MenuItem>
+                        <MenuItem value="day">Day</MenuItem>
+                      </TextField>
+                      <Button variant="outlined" onClick={() => applyRange(range)} disabled={rangeLoading}>
+                        Apply
+                      </Button>
+                    </Box>
+                  </CardContent>
+                </Card>
+              </Grid>
+
+              {/* Charts */}
+              {analytics && (
+                <Grid item xs={12}>
+                  <AnalyticsCharts analytics={analytics} />
+                </Grid>
+              )}
+
               {/* Analytics Summary */}
               <Grid item xs={12} md={4}>
                 <Card elevation={2}>
@@ -333,7 +805,7 @@ const Statistics = () => {
                       <Typography variant="h6">Top Referrers</Typography>
                     </Box>
                     <List dense>
-                      {getTopReferrers(statistics.clicks).map((item, index) => (
+                      {getTopBreakdown('referrerDomain').map((item, index) => (
                         <ListItem key={index} sx={{ px: 0 }}>
                           <ListItemIcon sx={{ minWidth: 32 }}>
                             <Typography variant="body2" color="primary.main">
@@ -341,8 +813,8 @@ const Statistics = () => {
                             </Typography>
                           </ListItemIcon>
                           <ListItemText
-                            primary={item.referrer}
-                            secondary={`${item.count} clicks`}
+                            primary={item.value === 'Direct' ? 'Direct Access' : item.value}
+                            secondary={`${item.clicks} clicks`}
                           />
                         </ListItem>
                       ))}
@@ -359,7 +831,7 @@ const Statistics = () => {
                       <Typography variant="h6">Locations</Typography>
                     </Box>
                     <List dense>
-                      {getLocationDistribution(statistics.clicks).slice(0, 5).map((item, index) => (
+                      {getTopBreakdown('city').map((item, index) => (
                         <ListItem key={index} sx={{ px: 0 }}>
                           <ListItemIcon sx={{ minWidth: 32 }}>
                             <Typography variant="body2" color="primary.main">
@@ -367,8 +839,8 @@ const Statistics = () => {
                             </Typography>
                           </ListItemIcon>
                           <ListItemText
-                            primary={item.location}
-                            secondary={`${item.count} clicks`}
+                            primary={item.value}
+                            secondary={`${item.clicks} clicks`}
                           />
                         </ListItem>
                       ))}
@@ -385,7 +857,7 @@ const Statistics = () => {
                       <Typography variant="h6">Recent Activity</Typography>
                     </Box>
                     <List dense>
-                      {statistics.clicks.slice(-5).reverse().map((click, index) => (
+                      {recentClicks.map((click, index) => (
                         <ListItem key={index} sx={{ px: 0 }}>
                           <ListItemText
                             primary={getTimeAgo(click.timestamp)}
@@ -398,13 +870,86 @@ const Statistics = () => {
                 </Card>
               </Grid>
 
+              {/* Redirect Rules */}
+              {statistics.rules && statistics.rules.length > 0 && (
+                <Grid item xs={12}>
+                  <Card elevation={2}>
+                    <CardContent>
+                      <Box display="flex" alignItems="center" mb={2}>
+                        <AltRouteIcon sx={{ mr: 1, color: 'primary.main' }} />
+                        <Typography variant="h6">Redirect Rules</Typography>
+                      </Box>
+                      <List dense>
+                        {statistics.rules.map((rule, index) => (
+                          <ListItem key={rule.name} sx={{ px: 0 }}>
+                            <ListItemIcon sx={{ minWidth: 32 }}>
+                              <Typography variant="body2" color="primary.main">
+                                {index + 1}
+                              </Typography>
+                            </ListItemIcon>
+                            <ListItemText
+                              primary={`${rule.name} → ${rule.url}`}
+                              secondary={`${describeRuleConditions(rule)} • ${getRuleClicks(rule.name)} clicks`}
+                            />
+                          </ListItem>
+                        ))}
+                        <ListItem sx={{ px: 0 }}>
+                          <ListItemIcon sx={{ minWidth: 32 }} />
+                          <ListItemText
+                            primary={`default → ${statistics.originalUrl}`}
+                            secondary={`No rule matched • ${getRuleClicks('default')} clicks`}
+                          />
+                        </ListItem>
+                      </List>
+                    </CardContent>
+                  </Card>
+                </Grid>
+              )}
+
+              {/* A/B Split Test */}
+              {statistics.variants && statistics.variants.length > 0 && (
+                <Grid item xs={12}>
+                  <Card elevation={2}>
+                    <CardContent>
+                      <Box display="flex" alignItems="center" gap={1} mb={2}>
+                        <CallSplitIcon sx={{ color: 'primary.main' }} />
+                        <Typography variant="h6">A/B Variants</Typography>
+                        {statistics.stickyVariants && (
+                          <Chip label="Sticky per visitor" size="small" variant="outlined" />
+                        )}
+                      </Box>
+                      <List dense>
+                        {statistics.variants.map((variant) => (
+                          <ListItem key={variant.name} sx={{ px: 0 }}>
+                            <ListItemText
+                              primary={`${variant.name} → ${variant.url}`}
+                              secondary={`Weight ${variant.weight}% • ${variant.clicks} clicks (${getClickShare(variant.clicks)}% of split clicks)`}
+                            />
+                          </ListItem>
+                        ))}
+                      </List>
+                    </CardContent>
+                  </Card>
+                </Grid>
+              )}
+
               {/* Detailed Click Data */}
               <Grid item xs={12}>
                 <Card elevation={2}>
                   <CardContent>
-                    <Typography variant="h6" gutterBottom>
-                      Detailed Click Data
-                    </Typography>
+                    <Box display="flex" alignItems="center" justifyContent="space-between" mb={1}>
+                      <Typography variant="h6">
+                        Detailed Click Data
+                      </Typography>
+                      <Box display="flex" gap={1}>
+                        <Button size="small" startIcon={<DownloadIcon />} onClick={() => handleExportClicks('csv')}>
+                          CSV
+                        </Button>
+                        <Button size="small" startIcon={<DownloadIcon />} onClick={() => handleExportClicks('ndjson')}>
+                          NDJSON
+                        </Button>
+                      </Box>
+                    </Box>
                     <TableContainer>
                       <Table>
                         <TableHead>
@@ -416,7 +961,7 @@ const Statistics = () => {
                           </TableRow>
                         </TableHead>
                         <TableBody>
-                          {statistics.clicks.slice().reverse().map((click, index) => (
+                          {clickPage.items.map((click, index) => (
                             <TableRow key={index} hover>
                               <TableCell>
                                 <Box>
@@ -458,13 +1003,22 @@ const Statistics = () => {
                         </TableBody>
                       </Table>
                     </TableContainer>
+                    <TablePagination
+                      component="div"
+                      count={clickPage.total}
+                      page={page}
+                      onPageChange={handleChangePage}
+                      rowsPerPage={rowsPerPage}
+                      onRowsPerPageChange={handleChangeRowsPerPage}
+                      rowsPerPageOptions={[10, 25, 50, 100]}
+                    />
                   </CardContent>
                 </Card>
               </Grid>
             </>
           )}
 
-          {statistics.clicks.length === 0 && (
+          {statistics.totalClicks === 0 && (
             <Grid item xs={12}>
               <Alert severity="info">
                 No clicks recorded for this short URL yet.
@@ -474,6 +1028,88 @@ const Statistics = () => {
         </Grid>
       )}
 
+      {groups && groups.length > 0 && (
+        <Paper elevation={3} sx={{ p: 4, mt: 4 }}>
+          <Box display="flex" alignItems="center" gap={2} mb={2} flexWrap="wrap">
+            <TagIcon sx={{ fontSize: 32, color: 'primary.main' }} />
+            <Typography variant="h5" sx={{ flexGrow: 1 }}>
+              Tags &amp; Campaigns
+            </Typography>
+            <ToggleButtonGroup
+              value={groupBy}
+              exclusive
+              size="small"
+              onChange={(event, value) => {
+                if (value) {
+                  setGroupBy(value);
+                  logUserInteraction('change', 'statistics-group-by', { by: value });
+                }
+              }}
+            >
+              <ToggleButton value="tag">By tag</ToggleButton>
+              <ToggleButton value="folder">By folder</ToggleButton>
+            </ToggleButtonGroup>
+            <Tooltip title="Refresh">
+              <span>
+                <IconButton onClick={loadGroups} disabled={groupsLoading}>
+                  {groupsLoading ? <CircularProgress size={24} /> : <RefreshIcon />}
+                </IconButton>
+              </span>
+            </Tooltip>
+          </Box>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            Totals across all your links. A link with several tags counts towards each of them.
+          </Typography>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>{groupBy === 'tag' ? 'Tag' : 'Folder'}</TableCell>
+                  <TableCell align="right">Links</TableCell>
+                  <TableCell align="right">Active</TableCell>
+                  <TableCell align="right">Clicks</TableCell>
+                  <TableCell align="right">Clicks per link</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {groups.map(group => (
+                  <TableRow key={group.value === null ? '' : group.value} hover>
+                    <TableCell>
+                      {group.value === null ? (
+                        <Typography variant="body2" color="text.secondary">
+                          {groupBy === 'tag' ? 'Untagged' : 'No folder'}
+                        </Typography>
+                      ) : (
+                        <Chip
+                          icon={groupBy === 'tag' ? undefined : <FolderIcon />}
+                          label={group.value}
+                          size="small"
+                          variant={groupBy === 'tag' ? 'outlined' : 'filled'}
+                        />
+                      )}
+                    </TableCell>
+                    <TableCell align="right">{group.links}</TableCell>
+                    <TableCell align="right">{group.activeLinks}</TableCell>
+                    <TableCell align="right">{group.totalClicks}</TableCell>
+                    <TableCell align="right">{(group.totalClicks / group.links).toFixed(1)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+
+      {statistics && (
+        <QrCodeDialog
+          open={qrDialogOpen}
+          onClose={() => setQrDialogOpen(false)}
+          shortcode={statistics.shortcode}
+          domain={statistics.domain}
+          shortLink={statistics.shortLink}
+        />
+      )}
+
       <Snackbar
         open={snackbar.open}
         autoHideDuration={6000}
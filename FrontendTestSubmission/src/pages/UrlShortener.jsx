@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   Paper,
   Typography,
@@ -13,38 +13,179 @@ import {
   CircularProgress,
   Chip,
   IconButton,
-  Tooltip
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  MenuItem,
+  FormControlLabel,
+  Checkbox
 } from '@mui/material';
 import {
   Add as AddIcon,
   ContentCopy as CopyIcon,
   Link as LinkIcon,
   Clear as ClearIcon,
-  Refresh as RefreshIcon
+  Refresh as RefreshIcon,
+  PlaylistAdd as PlaylistAddIcon,
+  QrCode2 as QrCodeIcon,
+  Lock as LockIcon,
+  Edit as EditIcon,
+  Folder as FolderIcon
 } from '@mui/icons-material';
 import { useLogging } from '../context/LoggingContext';
-import { createMultipleShortUrls } from '../services/apiService';
-import { validateMultipleEntries } from '../utils/validation';
-import { formatDate, copyToClipboard, getExpiryStatus, generateShortcodeSuggestion } from '../utils/helpers';
+import { createMultipleShortUrls, getDomains, getShortcodePolicy, checkShortcodeAvailability, updateShortUrl } from '../services/apiService';
+import { validateMultipleEntries, validateMetadata, DEFAULT_SHORTCODE_POLICY } from '../utils/validation';
+import QrCodeDialog from '../components/QrCodeDialog';
+import { formatDate, copyToClipboard, getExpiryStatus, generateShortcodeSuggestion, parseBulkUrlInput, parseShortLink, getUsageStatus, getActivationStatus, debounce } from '../utils/helpers';
+
+// Matches the backend's default batch limit (BATCH_MAX_ITEMS)
+const MAX_URL_ENTRIES = 500;
+
+// Pause in typing before a custom shortcode is checked with the backend
+const AVAILABILITY_CHECK_DELAY_MS = 500;
+
+/**
+ * Describe the result of a shortcode availability check below the shortcode field
+ */
+const describeAvailability = (result, policy) => {
+  if (!result) {
+    return `Optional: ${policy.minLength}-${policy.maxLength} chars`;
+  }
+  if (result.checking) {
+    return 'Checking availability...';
+  }
+  if (result.available === null) {
+    return 'Could not check availability';
+  }
+  return result.available ? 'Available' : result.message;
+};
+
+// Every form row gets its own object, so editing one row never changes another
+const createEmptyEntry = () => ({
+  url: '', validity: '', shortcode: '', password: '', maxClicks: '', activatesAt: '', expiresAt: '',
+  title: '', description: '', tags: '', folder: ''
+});
 
 const UrlShortener = () => {
   const { logPageView, logUrlSubmitted, logUrlShortened, logValidationError, logApiCall, logUserInteraction } = useLogging();
   
-  const [urlEntries, setUrlEntries] = useState([
-    { url: '', validity: '', shortcode: '' }
-  ]);
+  const [urlEntries, setUrlEntries] = useState(() => [createEmptyEntry()]);
   const [results, setResults] = useState([]);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+  const [bulkDialogOpen, setBulkDialogOpen] = useState(false);
+  const [bulkInput, setBulkInput] = useState('');
+  const [qrTarget, setQrTarget] = useState(null);
+  // Created link whose title, description, tags and folder are being edited
+  const [editTarget, setEditTarget] = useState(null);
+  const [editSaving, setEditSaving] = useState(false);
+  const [domains, setDomains] = useState([]);
+  const [domain, setDomain] = useState('');
+  const [stripTrackingParams, setStripTrackingParams] = useState(false);
+  const [dedupe, setDedupe] = useState(false);
+  const [shortcodePolicy, setShortcodePolicy] = useState(DEFAULT_SHORTCODE_POLICY);
+  // Availability of each entry's custom shortcode: { shortcode, checking, available, message, suggestions }
+  const [availability, setAvailability] = useState({});
+  const latestShortcodes = useRef({});
+  const debouncedChecks = useRef({});
+  // Rows whose shortcode the user typed or picked; bulk-added rows are only checked when their field is left
+  const typedShortcodeRows = useRef(new Set());
 
   useEffect(() => {
     logPageView('url-shortener');
   }, [logPageView]);
 
+  // Load the domains links can be created on; the picker is only shown when there is a choice
+  useEffect(() => {
+    const loadDomains = async () => {
+      const result = await getDomains();
+      logApiCall('GET', '/domains', result.success ? 200 : 'error', result.responseTime);
+      if (result.success) {
+        setDomains(result.data.domains);
+        setDomain(result.data.defaultDomain);
+      }
+    };
+    loadDomains();
+  }, [logApiCall]);
+
+  // Load the backend's shortcode rules so reserved words are caught before submitting
+  useEffect(() => {
+    const loadShortcodePolicy = async () => {
+      const result = await getShortcodePolicy();
+      logApiCall('GET', '/shortcodes/policy', result.success ? 200 : 'error', result.responseTime);
+      if (result.success) {
+        setShortcodePolicy(result.data);
+      }
+    };
+    loadShortcodePolicy();
+  }, [logApiCall]);
+
+  // Check a shortcode with the backend; answers for shortcodes that have since been edited are dropped
+  const checkAvailability = useCallback(async (index, shortcode, linkDomain) => {
+    const result = await checkShortcodeAvailability(shortcode, linkDomain || undefined);
+    logApiCall('GET', '/shorturls/availability', result.success ? 200 : 'error', result.responseTime, { shortcode });
+    if (latestShortcodes.current[index] !== shortcode) {
+      return;
+    }
+    setAvailability(previous => ({
+      ...previous,
+      [index]: result.success
+        ? { shortcode, checking: false, ...result.data }
+        : { shortcode, checking: false, available: null, message: null, suggestions: [] }
+    }));
+  }, [logApiCall]);
+
+  // Each typed-in entry gets its own debounced check, so typing in one row never cancels another row's check
+  const scheduleAvailabilityCheck = (index, shortcode) => {
+    const trimmedShortcode = shortcode.trim();
+    latestShortcodes.current[index] = trimmedShortcode;
+    typedShortcodeRows.current.add(index);
+
+    if (!trimmedShortcode) {
+      setAvailability(previous => ({ ...previous, [index]: undefined }));
+      return;
+    }
+
+    setAvailability(previous => ({ ...previous, [index]: { shortcode: trimmedShortcode, checking: true, suggestions: [] } }));
+    if (!debouncedChecks.current[index]) {
+      debouncedChecks.current[index] = debounce(checkAvailability, AVAILABILITY_CHECK_DELAY_MS);
+    }
+    debouncedChecks.current[index](index, trimmedShortcode, domain);
+  };
+
+  // Leaving a shortcode field checks it once if it has not been checked yet (e.g. a bulk-added row)
+  const handleShortcodeBlur = (index, value) => {
+    const trimmedShortcode = value.trim();
+    if (!trimmedShortcode || latestShortcodes.current[index] === trimmedShortcode) {
+      return;
+    }
+    latestShortcodes.current[index] = trimmedShortcode;
+    typedShortcodeRows.current.add(index);
+    setAvailability(previous => ({ ...previous, [index]: { shortcode: trimmedShortcode, checking: true, suggestions: [] } }));
+    checkAvailability(index, trimmedShortcode, domain);
+  };
+
+  // Row positions change when rows are removed or added in bulk, so earlier results no longer apply
+  const resetAvailability = () => {
+    latestShortcodes.current = {};
+    debouncedChecks.current = {};
+    typedShortcodeRows.current = new Set();
+    setAvailability({});
+  };
+
+  const applySuggestedShortcode = (index, shortcode) => {
+    updateUrlEntry(index, 'shortcode', shortcode);
+    scheduleAvailabilityCheck(index, shortcode);
+    logUserInteraction('click', 'apply-shortcode-suggestion', { index, shortcode });
+  };
+
   const addUrlEntry = () => {
-    if (urlEntries.length < 5) {
-      setUrlEntries([...urlEntries, { url: '', validity: '', shortcode: '' }]);
+    if (urlEntries.length < MAX_URL_ENTRIES) {
+      setUrlEntries([...urlEntries, createEmptyEntry()]);
       logUserInteraction('click', 'add-url-entry');
     }
   };
@@ -58,6 +199,7 @@ const UrlShortener = () => {
       const newErrors = { ...errors };
       delete newErrors[index];
       setErrors(newErrors);
+      resetAvailability();
       
       logUserInteraction('click', 'remove-url-entry', { index });
     }
@@ -65,7 +207,7 @@ const UrlShortener = () => {
 
   const updateUrlEntry = (index, field, value) => {
     const newEntries = [...urlEntries];
-    newEntries[index][field] = value;
+    newEntries[index] = { ...newEntries[index], [field]: value };
     setUrlEntries(newEntries);
 
     // Clear error for this field when user starts typing
@@ -87,11 +229,42 @@ const UrlShortener = () => {
   const generateSuggestion = (index) => {
     const suggestion = generateShortcodeSuggestion();
     updateUrlEntry(index, 'shortcode', suggestion);
+    scheduleAvailabilityCheck(index, suggestion);
     logUserInteraction('click', 'generate-shortcode-suggestion', { index, suggestion });
   };
 
+  const addBulkEntries = () => {
+    const parsedEntries = parseBulkUrlInput(bulkInput);
+
+    // Replace untouched empty rows instead of appending after them
+    const existingEntries = urlEntries.filter(entry => entry.url.trim() !== '' || entry.shortcode.trim() !== '');
+    const available = MAX_URL_ENTRIES - existingEntries.length;
+    const addedEntries = parsedEntries.slice(0, available).map(entry => ({ ...createEmptyEntry(), ...entry }));
+
+    setUrlEntries(existingEntries.length + addedEntries.length > 0
+      ? [...existingEntries, ...addedEntries]
+      : [createEmptyEntry()]);
+    setErrors({});
+    resetAvailability();
+    setBulkInput('');
+    setBulkDialogOpen(false);
+
+    logUserInteraction('click', 'add-bulk-entries', {
+      parsed: parsedEntries.length,
+      added: addedEntries.length
+    });
+
+    if (addedEntries.length < parsedEntries.length) {
+      setSnackbar({
+        open: true,
+        message: `Only ${addedEntries.length} of ${parsedEntries.length} URLs were added (limit is ${MAX_URL_ENTRIES})`,
+        severity: 'warning'
+      });
+    }
+  };
+
   const clearForm = () => {
-    setUrlEntries([{ url: '', validity: '', shortcode: '' }]);
+    setUrlEntries([createEmptyEntry()]);
     setResults([]);
     setErrors({});
     logUserInteraction('click', 'clear-form');
@@ -113,7 +286,7 @@ const UrlShortener = () => {
     }
 
     // Validate all entries
-    const validationResults = validateMultipleEntries(nonEmptyEntries);
+    const validationResults = validateMultipleEntries(nonEmptyEntries, shortcodePolicy);
     const hasErrors = validationResults.some(result => !result.isValid);
 
     if (hasErrors) {
@@ -122,7 +295,9 @@ const UrlShortener = () => {
         if (!result.isValid) {
           errorMap[result.index] = result.errors;
           Object.keys(result.errors).forEach(field => {
-            logValidationError(field, result.validatedData[field], result.errors[field], {
+            // Never log the password itself
+            const value = field === 'password' ? '[redacted]' : result.validatedData[field];
+            logValidationError(field, value, result.errors[field], {
               entryIndex: result.index
             });
           });
@@ -141,7 +316,12 @@ const UrlShortener = () => {
     setErrors({});
 
     try {
-      const validEntries = validationResults.map(result => result.validatedData);
+      const validEntries = validationResults.map(result => ({
+        ...result.validatedData,
+        ...(domain ? { domain } : {}),
+        ...(stripTrackingParams ? { stripTrackingParams } : {}),
+        ...(dedupe ? { dedupe } : {})
+      }));
       
       logUrlSubmitted(validEntries);
 
@@ -149,7 +329,7 @@ const UrlShortener = () => {
       const apiResults = await createMultipleShortUrls(validEntries);
       const totalTime = Date.now() - startTime;
 
-      logApiCall('POST', '/shorturls (batch)', 'mixed', totalTime, {
+      logApiCall('POST', '/shorturls/batch', 'mixed', totalTime, {
         batchSize: validEntries.length,
         results: apiResults.map(r => ({ success: r.success, status: r.error?.status }))
       });
@@ -182,9 +362,12 @@ const UrlShortener = () => {
       setResults(apiResults);
 
       if (successfulResults.length > 0) {
+        const reusedCount = successfulResults.filter(result => result.deduplicated).length;
         setSnackbar({
           open: true,
-          message: `Successfully shortened ${successfulResults.length} URL(s)`,
+          message: reusedCount > 0
+            ? `Successfully shortened ${successfulResults.length} URL(s), ${reusedCount} reused an existing link`
+            : `Successfully shortened ${successfulResults.length} URL(s)`,
           severity: 'success'
         });
       }
@@ -220,6 +403,66 @@ const UrlShortener = () => {
     logUserInteraction('click', 'copy-short-link', { shortLink, success });
   };
 
+  const openQrDialog = (shortLink) => {
+    const { shortcode, domain: linkDomain } = parseShortLink(shortLink);
+    setQrTarget({ shortcode, domain: linkDomain, shortLink });
+    logUserInteraction('click', 'open-qr-dialog', { shortcode, domain: linkDomain });
+  };
+
+  const openEditDialog = (index) => {
+    const { data } = results[index];
+    const { shortcode, domain: linkDomain } = parseShortLink(data.shortLink);
+    setEditTarget({
+      index,
+      shortcode,
+      domain: linkDomain,
+      title: data.title || '',
+      description: data.description || '',
+      tags: (data.tags || []).join(', '),
+      folder: data.folder || '',
+      errors: {}
+    });
+    logUserInteraction('click', 'open-edit-details', { shortcode, domain: linkDomain });
+  };
+
+  const saveEditDialog = async () => {
+    const validation = validateMetadata(editTarget);
+    if (!validation.isValid) {
+      setEditTarget({ ...editTarget, errors: validation.errors });
+      return;
+    }
+
+    // Emptied fields are sent as null so the backend clears them
+    const changes = {
+      title: validation.value.title || null,
+      description: validation.value.description || null,
+      tags: validation.value.tags || null,
+      folder: validation.value.folder || null
+    };
+
+    setEditSaving(true);
+    const result = await updateShortUrl(editTarget.shortcode, changes, editTarget.domain);
+    setEditSaving(false);
+    logApiCall('PATCH', `/shorturls/${editTarget.shortcode}`, result.success ? 200 : 'error', result.responseTime, {
+      domain: editTarget.domain,
+      tags: changes.tags,
+      folder: changes.folder
+    });
+
+    if (result.success) {
+      const { title, description, tags, folder } = result.data;
+      setResults(previousResults => previousResults.map((item, index) => (
+        index === editTarget.index ? { ...item, data: { ...item.data, title, description, tags, folder } } : item
+      )));
+      setEditTarget(null);
+    }
+    setSnackbar({
+      open: true,
+      message: result.success ? 'Link details saved' : (result.error.message || 'Failed to save link details'),
+      severity: result.success ? 'success' : 'error'
+    });
+  };
+
   return (
     <Box>
       <Paper elevation={3} sx={{ p: 4, mb: 4 }}>
@@ -231,9 +474,63 @@ const UrlShortener = () => {
         </Box>
         
         <Typography variant="body1" color="text.secondary" paragraph>
-          Shorten up to 5 URLs simultaneously. Each URL can have a custom shortcode and validity period.
+          Shorten up to {MAX_URL_ENTRIES} URLs in one go. Each URL can have a custom shortcode and validity period.
         </Typography>
 
+        {domains.length > 1 && (
+          <TextField
+            select
+            label="Domain"
+            value={domain}
+            onChange={(e) => {
+              setDomain(e.target.value);
+              logUserInteraction('change', 'link-domain', { domain: e.target.value });
+              // Shortcodes are unique per domain, so check the typed-in ones again
+              urlEntries.forEach((entry, index) => {
+                if (typedShortcodeRows.current.has(index) && entry.shortcode.trim()) {
+                  latestShortcodes.current[index] = entry.shortcode.trim();
+                  checkAvailability(index, entry.shortcode.trim(), e.target.value);
+                }
+              });
+            }}
+            helperText="Short links for all URLs below are created on this domain"
+            sx={{ mb: 3, minWidth: 280 }}
+          >
+            {domains.map(option => (
+              <MenuItem key={option.domain} value={option.domain}>
+                {option.baseUrl}
+              </MenuItem>
+            ))}
+          </TextField>
+        )}
+
+        <Box mb={3}>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={stripTrackingParams}
+                onChange={(e) => {
+                  setStripTrackingParams(e.target.checked);
+                  logUserInteraction('change', 'strip-tracking-params', { enabled: e.target.checked });
+                }}
+              />
+            }
+            label="Remove tracking parameters (utm_*, fbclid, gclid, ...) from the URLs"
+          />
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={dedupe}
+                onChange={(e) => {
+                  setDedupe(e.target.checked);
+                  logUserInteraction('change', 'dedupe-destinations', { enabled: e.target.checked });
+                }}
+              />
+            }
+            label="Reuse my existing active short link when a URL was already shortened"
+          />
+        </Box>
+
         <Grid container spacing={3}>
           {urlEntries.map((entry, index) => (
             <Grid item xs={12} key={index}>
@@ -277,7 +574,7 @@ const UrlShortener = () => {
                       value={entry.validity}
                       onChange={(e) => updateUrlEntry(index, 'validity', e.target.value)}
                       error={!!errors[index]?.validity}
-                      helperText={errors[index]?.validity || 'Default: 30 minutes'}
+                      helperText={errors[index]?.validity || 'Default: 30 minutes from activation'}
                     />
                   </Grid>
                   
@@ -288,9 +585,14 @@ const UrlShortener = () => {
                         label="Custom Shortcode"
                         placeholder="mylink"
                         value={entry.shortcode}
-                        onChange={(e) => updateUrlEntry(index, 'shortcode', e.target.value)}
-                        error={!!errors[index]?.shortcode}
-                        helperText={errors[index]?.shortcode || 'Optional: 4-10 chars'}
+                        onChange={(e) => {
+                          updateUrlEntry(index, 'shortcode', e.target.value);
+                          scheduleAvailabilityCheck(index, e.target.value);
+                        }}
+                        onBlur={(e) => handleShortcodeBlur(index, e.target.value)}
+                        error={!!errors[index]?.shortcode || availability[index]?.available === false}
+                        helperText={errors[index]?.shortcode || describeAvailability(availability[index], shortcodePolicy)}
+                        FormHelperTextProps={availability[index]?.available ? { sx: { color: 'success.main' } } : undefined}
                       />
                       <Tooltip title="Generate suggestion">
                         <IconButton
@@ -301,6 +603,124 @@ const UrlShortener = () => {
                         </IconButton>
                       </Tooltip>
                     </Box>
+                    {availability[index]?.suggestions?.length > 0 && (
+                      <Box display="flex" flexWrap="wrap" alignItems="center" gap={0.5} mt={1}>
+                        <Typography variant="caption" color="text.secondary">
+                          Try:
+                        </Typography>
+                        {availability[index].suggestions.map(suggestion => (
+                          <Chip
+                            key={suggestion}
+                            label={suggestion}
+                            size="small"
+                            variant="outlined"
+                            color="primary"
+                            onClick={() => applySuggestedShortcode(index, suggestion)}
+                          />
+                        ))}
+                      </Box>
+                    )}
+                  </Grid>
+
+                  <Grid item xs={12} md={3}>
+                    <TextField
+                      fullWidth
+                      label="Password"
+                      type="password"
+                      autoComplete="new-password"
+                      value={entry.password}
+                      onChange={(e) => updateUrlEntry(index, 'password', e.target.value)}
+                      error={!!errors[index]?.password}
+                      helperText={errors[index]?.password || 'Optional: visitors must enter it before being redirected'}
+                    />
+                  </Grid>
+
+                  <Grid item xs={12} md={3}>
+                    <TextField
+                      fullWidth
+                      label="Max Clicks"
+                      placeholder="Unlimited"
+                      type="number"
+                      value={entry.maxClicks}
+                      onChange={(e) => updateUrlEntry(index, 'maxClicks', e.target.value)}
+                      error={!!errors[index]?.maxClicks}
+                      helperText={errors[index]?.maxClicks || 'Optional: 1 makes a single-use link'}
+                    />
+                  </Grid>
+
+                  <Grid item xs={12} md={3}>
+                    <TextField
+                      fullWidth
+                      label="Activates At"
+                      type="datetime-local"
+                      value={entry.activatesAt}
+                      onChange={(e) => updateUrlEntry(index, 'activatesAt', e.target.value)}
+                      error={!!errors[index]?.activatesAt}
+                      helperText={errors[index]?.activatesAt || 'Optional: not live before this time'}
+                      InputLabelProps={{ shrink: true }}
+                    />
+                  </Grid>
+
+                  <Grid item xs={12} md={3}>
+                    <TextField
+                      fullWidth
+                      label="Expires At"
+                      type="datetime-local"
+                      value={entry.expiresAt}
+                      onChange={(e) => updateUrlEntry(index, 'expiresAt', e.target.value)}
+                      error={!!errors[index]?.expiresAt}
+                      helperText={errors[index]?.expiresAt || 'Optional: instead of validity'}
+                      InputLabelProps={{ shrink: true }}
+                    />
+                  </Grid>
+
+                  <Grid item xs={12} md={4}>
+                    <TextField
+                      fullWidth
+                      label="Title"
+                      value={entry.title}
+                      onChange={(e) => updateUrlEntry(index, 'title', e.target.value)}
+                      error={!!errors[index]?.title}
+                      helperText={errors[index]?.title || 'Optional: a name to recognise the link by'}
+                    />
+                  </Grid>
+
+                  <Grid item xs={12} md={4}>
+                    <TextField
+                      fullWidth
+                      label="Tags"
+                      placeholder="summer, email"
+                      value={entry.tags}
+                      onChange={(e) => updateUrlEntry(index, 'tags', e.target.value)}
+                      error={!!errors[index]?.tags}
+                      helperText={errors[index]?.tags || 'Optional: comma-separated'}
+                    />
+                  </Grid>
+
+                  <Grid item xs={12} md={4}>
+                    <TextField
+                      fullWidth
+                      label="Folder / Campaign"
+                      placeholder="Q3 launch"
+                      value={entry.folder}
+                      onChange={(e) => updateUrlEntry(index, 'folder', e.target.value)}
+                      error={!!errors[index]?.folder}
+                      helperText={errors[index]?.folder || 'Optional'}
+                    />
+                  </Grid>
+
+                  <Grid item xs={12}>
+                    <TextField
+                      fullWidth
+                      multiline
+                      minRows={1}
+                      maxRows={4}
+                      label="Description"
+                      value={entry.description}
+                      onChange={(e) => updateUrlEntry(index, 'description', e.target.value)}
+                      error={!!errors[index]?.description}
+                      helperText={errors[index]?.description || 'Optional'}
+                    />
                   </Grid>
                 </Grid>
               </Card>
@@ -313,9 +733,21 @@ const UrlShortener = () => {
             variant="outlined"
             startIcon={<AddIcon />}
             onClick={addUrlEntry}
-            disabled={urlEntries.length >= 5}
+            disabled={urlEntries.length >= MAX_URL_ENTRIES}
           >
-            Add URL ({urlEntries.length}/5)
+            Add URL ({urlEntries.length}/{MAX_URL_ENTRIES})
+          </Button>
+
+          <Button
+            variant="outlined"
+            startIcon={<PlaylistAddIcon />}
+            onClick={() => {
+              setBulkDialogOpen(true);
+              logUserInteraction('click', 'open-bulk-paste');
+            }}
+            disabled={loading || urlEntries.length >= MAX_URL_ENTRIES}
+          >
+            Bulk Paste
           </Button>
           
           <Button
@@ -363,7 +795,54 @@ const UrlShortener = () => {
                             label={getExpiryStatus(result.data.expiry).status}
                             color={getExpiryStatus(result.data.expiry).color}
                           />
+                          {getActivationStatus(result.data.activatesAt) && (
+                            <Chip
+                              label={getActivationStatus(result.data.activatesAt).status}
+                              color={getActivationStatus(result.data.activatesAt).color}
+                              size="small"
+                              variant="outlined"
+                            />
+                          )}
+                          {result.data.maxClicks && (
+                            <Chip
+                              label={getUsageStatus(result.data.maxClicks, result.data.maxClicks).status}
+                              size="small"
+                              variant="outlined"
+                            />
+                          )}
+                          {result.originalData.password && (
+                            <Chip icon={<LockIcon />} label="Password protected" size="small" variant="outlined" />
+                          )}
+                          {result.data.deduplicated && (
+                            <Chip label="Existing link" color="info" size="small" variant="outlined" />
+                          )}
+                          <Tooltip title="Edit title, description, tags and folder">
+                            <IconButton size="small" onClick={() => openEditDialog(index)} sx={{ ml: 'auto' }}>
+                              <EditIcon />
+                            </IconButton>
+                          </Tooltip>
                         </Box>
+
+                        {result.data.title && (
+                          <Typography variant="subtitle1" gutterBottom>
+                            {result.data.title}
+                          </Typography>
+                        )}
+                        {result.data.description && (
+                          <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }} gutterBottom>
+                            {result.data.description}
+                          </Typography>
+                        )}
+                        {(result.data.folder || result.data.tags?.length > 0) && (
+                          <Box display="flex" flexWrap="wrap" gap={0.5} mb={1}>
+                            {result.data.folder && (
+                              <Chip icon={<FolderIcon />} label={result.data.folder} size="small" />
+                            )}
+                            {(result.data.tags || []).map(tag => (
+                              <Chip key={tag} label={tag} size="small" variant="outlined" />
+                            ))}
+                          </Box>
+                        )}
                         
                         <Typography variant="body2" color="text.secondary" gutterBottom>
                           Original: {result.originalData.url}
@@ -388,6 +867,14 @@ const UrlShortener = () => {
                               <CopyIcon />
                             </IconButton>
                           </Tooltip>
+                          <Tooltip title="QR code">
+                            <IconButton
+                              onClick={() => openQrDialog(result.data.shortLink)}
+                              color="primary"
+                            >
+                              <QrCodeIcon />
+                            </IconButton>
+                          </Tooltip>
                         </Box>
                         
                         <Typography variant="caption" color="text.secondary">
@@ -415,6 +902,82 @@ const UrlShortener = () => {
         </Paper>
       )}
 
+      <QrCodeDialog
+        open={!!qrTarget}
+        onClose={() => setQrTarget(null)}
+        shortcode={qrTarget?.shortcode}
+        domain={qrTarget?.domain}
+        shortLink={qrTarget?.shortLink}
+      />
+
+      <Dialog open={!!editTarget} onClose={() => setEditTarget(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Edit Link Details</DialogTitle>
+        {editTarget && (
+          <DialogContent>
+            <DialogContentText sx={{ mb: 2 }}>
+              Title, description, tags and folder of {editTarget.shortcode}. Clear a field to remove it.
+            </DialogContentText>
+            {['title', 'tags', 'folder', 'description'].map(field => (
+              <TextField
+                key={field}
+                fullWidth
+                margin="dense"
+                multiline={field === 'description'}
+                maxRows={field === 'description' ? 6 : undefined}
+                label={{ title: 'Title', tags: 'Tags (comma-separated)', folder: 'Folder / Campaign', description: 'Description' }[field]}
+                value={editTarget[field]}
+                onChange={(e) => setEditTarget({
+                  ...editTarget,
+                  [field]: e.target.value,
+                  errors: { ...editTarget.errors, [field]: undefined }
+                })}
+                error={!!editTarget.errors[field]}
+                helperText={editTarget.errors[field]}
+              />
+            ))}
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditTarget(null)}>Cancel</Button>
+          <Button
+            onClick={saveEditDialog}
+            variant="contained"
+            disabled={editSaving}
+            startIcon={editSaving ? <CircularProgress size={20} /> : undefined}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={bulkDialogOpen} onClose={() => setBulkDialogOpen(false)} maxWidth="md" fullWidth>
+        <DialogTitle>Bulk Paste URLs</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            One URL per line. Optionally add a validity in minutes and a custom shortcode, separated by commas:
+            <Box component="span" sx={{ display: 'block', fontFamily: 'monospace', mt: 1 }}>
+              https://example.com/page, 60, mylink
+            </Box>
+          </DialogContentText>
+          <TextField
+            fullWidth
+            multiline
+            minRows={8}
+            maxRows={20}
+            placeholder={'https://example.com/first\nhttps://example.com/second, 120'}
+            value={bulkInput}
+            onChange={(e) => setBulkInput(e.target.value)}
+            InputProps={{ sx: { fontFamily: 'monospace' } }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setBulkDialogOpen(false)}>Cancel</Button>
+          <Button onClick={addBulkEntries} variant="contained" disabled={!bulkInput.trim()}>
+            Add URLs
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       <Snackbar
         open={snackbar.open}
         autoHideDuration={6000}
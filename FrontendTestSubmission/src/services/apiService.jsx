@@ -1,6 +1,25 @@
 import axios from 'axios';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3100';
+const API_KEY_STORAGE_KEY = 'apiKey';
+
+/**
+ * Get the API key used to authenticate with the backend
+ */
+export const getApiKey = () => {
+  return localStorage.getItem(API_KEY_STORAGE_KEY) || process.env.REACT_APP_API_KEY || '';
+};
+
+/**
+ * Save (or clear, when empty) the API key used to authenticate with the backend
+ */
+export const setApiKey = (apiKey) => {
+  if (apiKey) {
+    localStorage.setItem(API_KEY_STORAGE_KEY, apiKey);
+  } else {
+    localStorage.removeItem(API_KEY_STORAGE_KEY);
+  }
+};
 
 // Create axios instance with default config
 const api = axios.create({
@@ -11,10 +30,14 @@ const api = axios.create({
   },
 });
 
-// Request interceptor to log outgoing requests
+// Request interceptor to log outgoing requests and attach the API key
 api.interceptors.request.use(
   (config) => {
     config.metadata = { startTime: new Date() };
+    const apiKey = getApiKey();
+    if (apiKey) {
+      config.headers['X-API-Key'] = apiKey;
+    }
     return config;
   },
   (error) => {
@@ -60,11 +83,11 @@ export const createShortUrl = async (urlData) => {
 };
 
 /**
- * Get statistics for a shortened URL
+ * Get statistics for a shortened URL (domain defaults to the backend's default domain)
  */
-export const getUrlStatistics = async (shortcode) => {
+export const getUrlStatistics = async (shortcode, domain) => {
   try {
-    const response = await api.get(`/shorturls/${shortcode}`);
+    const response = await api.get(`/shorturls/${shortcode}`, { params: { domain } });
     return {
       success: true,
       data: response.data,
@@ -81,20 +104,317 @@ export const getUrlStatistics = async (shortcode) => {
 };
 
 /**
- * Batch create multiple shortened URLs
+ * List the shortened URLs owned by the current API key
+ */
+export const listShortUrls = async (params = {}) => {
+  try {
+    const response = await api.get('/shorturls', { params });
+    return {
+      success: true,
+      data: response.data,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error listing short URLs:', error);
+    return {
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime
+    };
+  }
+};
+
+/**
+ * Update the destination, schedule (validity, activatesAt, expiresAt) and/or metadata of a shortened URL
+ */
+export const updateShortUrl = async (shortcode, changes, domain) => {
+  try {
+    const response = await api.patch(`/shorturls/${shortcode}`, changes, { params: { domain } });
+    return {
+      success: true,
+      data: response.data,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error updating short URL:', error);
+    return {
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime
+    };
+  }
+};
+
+/**
+ * Delete a shortened URL
+ */
+export const deleteShortUrl = async (shortcode, domain) => {
+  try {
+    const response = await api.delete(`/shorturls/${shortcode}`, { params: { domain } });
+    return {
+      success: true,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error deleting short URL:', error);
+    return {
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime
+    };
+  }
+};
+
+/**
+ * Get link counts and clicks per tag or per folder for the current API key
+ */
+export const getGroupAnalytics = async (params = {}) => {
+  try {
+    const response = await api.get('/shorturls/groups', { params });
+    return {
+      success: true,
+      data: response.data,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error getting group analytics:', error);
+    return {
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime
+    };
+  }
+};
+
+/**
+ * Add an alias (an extra shortcode leading to the same destination) to a shortened URL
+ */
+export const addAlias = async (shortcode, alias, domain) => {
+  try {
+    const response = await api.post(`/shorturls/${shortcode}/aliases`, { alias }, { params: { domain } });
+    return {
+      success: true,
+      data: response.data,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error adding alias:', error);
+    return {
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime
+    };
+  }
+};
+
+/**
+ * Remove an alias from a shortened URL
+ */
+export const removeAlias = async (shortcode, alias, domain) => {
+  try {
+    const response = await api.delete(`/shorturls/${shortcode}/aliases/${encodeURIComponent(alias)}`, { params: { domain } });
+    return {
+      success: true,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error removing alias:', error);
+    return {
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime
+    };
+  }
+};
+
+/**
+ * Get aggregated analytics (time series and breakdowns) for a shortened URL
+ */
+export const getUrlAnalytics = async (shortcode, params = {}, domain) => {
+  try {
+    const response = await api.get(`/shorturls/${shortcode}/analytics`, { params: { ...params, domain } });
+    return {
+      success: true,
+      data: response.data,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error getting URL analytics:', error);
+    return {
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime
+    };
+  }
+};
+
+/**
+ * Get one page of the recorded clicks for a shortened URL
+ */
+export const getUrlClicks = async (shortcode, params = {}, domain) => {
+  try {
+    const response = await api.get(`/shorturls/${shortcode}/clicks`, { params: { ...params, domain } });
+    return {
+      success: true,
+      data: response.data,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error getting URL clicks:', error);
+    return {
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime
+    };
+  }
+};
+
+/**
+ * Get the QR code of a shortened URL as a PNG or SVG blob
+ */
+export const getQrCode = async (shortcode, options = {}, domain) => {
+  try {
+    const response = await api.get(`/shorturls/${shortcode}/qr`, {
+      params: { ...options, domain },
+      responseType: 'blob'
+    });
+    return {
+      success: true,
+      data: response.data,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error getting QR code:', error);
+    return {
+      success: false,
+      error: { message: 'Failed to generate QR code' },
+      responseTime: error.responseTime
+    };
+  }
+};
+
+/**
+ * Download the click history of a shortened URL as CSV or NDJSON
+ */
+export const exportUrlClicks = async (shortcode, format = 'csv', domain) => {
+  try {
+    const response = await api.get(`/shorturls/${shortcode}/clicks/export`, {
+      params: { format, domain },
+      responseType: 'blob'
+    });
+    return {
+      success: true,
+      data: response.data,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error exporting URL clicks:', error);
+    return {
+      success: false,
+      error: { message: 'Failed to export click data' },
+      responseTime: error.responseTime
+    };
+  }
+};
+
+/**
+ * List the domains short links can be created on
+ */
+export const getDomains = async () => {
+  try {
+    const response = await api.get('/domains');
+    return {
+      success: true,
+      data: response.data,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error getting domains:', error);
+    return {
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime
+    };
+  }
+};
+
+/**
+ * Check whether a custom shortcode is free on a domain; taken or invalid ones come with suggestions
+ */
+export const checkShortcodeAvailability = async (shortcode, domain) => {
+  try {
+    const response = await api.get(`/shorturls/availability/${encodeURIComponent(shortcode)}`, { params: { domain } });
+    return {
+      success: true,
+      data: response.data,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error checking shortcode availability:', error);
+    return {
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime
+    };
+  }
+};
+
+/**
+ * Get the rules custom shortcodes must follow (length, letter case and reserved words)
+ */
+export const getShortcodePolicy = async () => {
+  try {
+    const response = await api.get('/shortcodes/policy');
+    return {
+      success: true,
+      data: response.data,
+      responseTime: response.responseTime
+    };
+  } catch (error) {
+    console.error('Error getting shortcode policy:', error);
+    return {
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime
+    };
+  }
+};
+
+/**
+ * Batch create multiple shortened URLs in a single request
  */
 export const createMultipleShortUrls = async (urlDataArray) => {
-  const results = [];
-  
-  for (const urlData of urlDataArray) {
-    const result = await createShortUrl(urlData);
-    results.push({
-      ...result,
+  try {
+    const response = await api.post('/shorturls/batch', urlDataArray);
+    return response.data.results.map(result => ({
+      success: result.success,
+      data: result.success
+        ? {
+          shortLink: result.shortLink,
+          activatesAt: result.activatesAt,
+          expiry: result.expiry,
+          maxClicks: result.maxClicks,
+          title: result.title,
+          description: result.description,
+          tags: result.tags,
+          folder: result.folder,
+          deduplicated: result.deduplicated
+        }
+        : undefined,
+      error: result.success ? undefined : { status: result.status, error: result.error, message: result.message },
+      responseTime: response.responseTime,
+      originalData: urlDataArray[result.index]
+    }));
+  } catch (error) {
+    console.error('Error creating short URL batch:', error);
+    // The whole batch was rejected, so report the same error for every entry
+    return urlDataArray.map(urlData => ({
+      success: false,
+      error: error.response?.data || { message: 'Network error' },
+      responseTime: error.responseTime,
       originalData: urlData
-    });
+    }));
   }
-  
-  return results;
 };
 
 /**
@@ -88,6 +88,51 @@ export const getExpiryStatus = (expiryDate) => {
   };
 };
 
+/**
+ * Get the activation status of a scheduled link (null once it is live)
+ */
+export const getActivationStatus = (activatesAt) => {
+  if (!activatesAt || !isFuture(activatesAt)) {
+    return null;
+  }
+  return { status: `Activates ${formatDate(activatesAt)}`, color: 'secondary' };
+};
+
+// Weekday labels for redirect rule time windows (0 = Sunday)
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Summarize the conditions of a redirect rule, e.g. "OS: ios • Country: DE, AT"
+ */
+export const describeRuleConditions = (rule) => {
+  const conditions = [];
+  if (rule.os) conditions.push(`OS: ${rule.os.join(', ')}`);
+  if (rule.deviceType) conditions.push(`Device: ${rule.deviceType.join(', ')}`);
+  if (rule.country) conditions.push(`Country: ${rule.country.join(', ')}`);
+  if (rule.language) conditions.push(`Language: ${rule.language.join(', ')}`);
+  if (rule.time) {
+    const days = rule.time.days ? ` ${rule.time.days.map(day => WEEKDAY_LABELS[day]).join(', ')}` : '';
+    conditions.push(`Time: ${rule.time.from}-${rule.time.to}${days} (${rule.time.timezone || 'UTC'})`);
+  }
+  return conditions.join(' • ');
+};
+
+/**
+ * Get the usage status of a link with a click limit (null when it has none)
+ */
+export const getUsageStatus = (remainingClicks, maxClicks) => {
+  if (!maxClicks) {
+    return null;
+  }
+  if (remainingClicks === 0) {
+    return { status: 'Click limit reached', color: 'error' };
+  }
+  return {
+    status: maxClicks === 1 ? 'Single-use' : `${remainingClicks} of ${maxClicks} uses left`,
+    color: remainingClicks <= Math.ceil(maxClicks / 10) ? 'warning' : 'info'
+  };
+};
+
 /**
  * Copy text to clipboard
  */
@@ -121,6 +166,73 @@ export const copyToClipboard = async (text) => {
   }
 };
 
+/**
+ * Save a Blob as a file download
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * Format a Date as the value of a datetime-local input (local time, minute precision)
+ */
+export const toDateTimeLocal = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Analytics bucket sizes in milliseconds (matches the backend intervals)
+const BUCKET_SIZES = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Fill the gaps of an analytics time series with zero-click buckets so charts show a continuous trend.
+ * Series that would need more than maxBuckets points are returned unchanged.
+ */
+export const fillTimeSeries = (timeSeries, interval, from, to, maxBuckets = 1000) => {
+  const bucketSize = BUCKET_SIZES[interval];
+  if (!bucketSize || timeSeries.length === 0) {
+    return timeSeries;
+  }
+
+  const counts = new Map(timeSeries.map(point => [new Date(point.bucket).getTime(), point.clicks]));
+  const firstBucket = new Date(timeSeries[0].bucket).getTime();
+  const lastBucket = new Date(timeSeries[timeSeries.length - 1].bucket).getTime();
+  const start = from ? Math.min(Math.floor(new Date(from).getTime() / bucketSize) * bucketSize, firstBucket) : firstBucket;
+  const end = to ? Math.max(Math.floor(new Date(to).getTime() / bucketSize) * bucketSize, lastBucket) : lastBucket;
+
+  if ((end - start) / bucketSize + 1 > maxBuckets) {
+    return timeSeries;
+  }
+
+  const filled = [];
+  for (let bucket = start; bucket <= end; bucket += bucketSize) {
+    filled.push({ bucket: new Date(bucket).toISOString(), clicks: counts.get(bucket) || 0 });
+  }
+  return filled;
+};
+
+/**
+ * Format a time series bucket as a chart axis label
+ */
+export const formatBucketLabel = (bucket, interval) => {
+  const date = new Date(bucket);
+  if (interval === 'day') {
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  }
+  return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+};
+
 /**
  * Truncate long URLs for display
  */
@@ -129,6 +241,21 @@ export const truncateUrl = (url, maxLength = 50) => {
   return url.substring(0, maxLength) + '...';
 };
 
+/**
+ * Split a short link into its shortcode (last path segment) and domain (hostname)
+ */
+export const parseShortLink = (shortLink) => {
+  try {
+    const url = new URL(shortLink);
+    return {
+      shortcode: url.pathname.split('/').filter(Boolean).pop() || '',
+      domain: url.hostname
+    };
+  } catch (error) {
+    return { shortcode: '', domain: '' };
+  }
+};
+
 /**
  * Extract domain from URL
  */
@@ -153,6 +280,21 @@ export const generateShortcodeSuggestion = () => {
   return result;
 };
 
+/**
+ * Parse bulk pasted input into URL entries.
+ * Each non-empty line is "url[, validity[, shortcode]]".
+ */
+export const parseBulkUrlInput = (text) => {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line !== '')
+    .map(line => {
+      const [url = '', validity = '', shortcode = ''] = line.split(',').map(part => part.trim());
+      return { url, validity, shortcode };
+    });
+};
+
 /**
  * Debounce function for input validation
  */
@@ -29,19 +29,20 @@ export const validateUrl = (url) => {
 
   try {
     const urlObj = new URL(trimmedUrl);
-    
-    // Additional validation for hostname format - more permissive for subdomains
-    const hostnameRegex = /^[a-zA-Z0-9.-]+$/;
-    if (!hostnameRegex.test(urlObj.hostname) || !urlObj.hostname.includes('.')) {
+    const { hostname } = urlObj;
+
+    if (!hostname) {
       return {
         isValid: false,
-        error: 'URL must have a valid domain name'
+        error: 'URL must have a valid hostname'
       };
     }
 
-    // Check that hostname doesn't start or end with hyphen or dot
-    if (urlObj.hostname.startsWith('-') || urlObj.hostname.endsWith('-') || 
-        urlObj.hostname.startsWith('.') || urlObj.hostname.endsWith('.')) {
+    // The URL parser lowercases the host and converts internationalized names to punycode,
+    // so every label of a domain name must be plain ASCII here; IP addresses are left to the server
+    const isIpAddress = hostname.startsWith('[') || /^\d+\.\d+\.\d+\.\d+$/.test(hostname);
+    const labelPattern = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+    if (!isIpAddress && (hostname.length > 253 || !hostname.split('.').every(label => labelPattern.test(label)))) {
       return {
         isValid: false,
         error: 'URL domain name format is invalid'
@@ -62,9 +63,20 @@ export const validateUrl = (url) => {
 };
 
 /**
- * Validate shortcode format
+ * Shortcode rules used until the backend's policy (GET /shortcodes/policy) has been loaded.
+ * Reserved words are only known to the backend, which checks them again in any case.
+ */
+export const DEFAULT_SHORTCODE_POLICY = {
+  minLength: 4,
+  maxLength: 10,
+  caseSensitive: true,
+  reservedWords: []
+};
+
+/**
+ * Validate shortcode format against the backend's shortcode policy
  */
-export const validateShortcode = (shortcode) => {
+export const validateShortcode = (shortcode, policy = DEFAULT_SHORTCODE_POLICY) => {
   if (!shortcode || shortcode.trim() === '') {
     return {
       isValid: true, // Shortcode is optional
@@ -75,10 +87,10 @@ export const validateShortcode = (shortcode) => {
   const trimmedShortcode = shortcode.trim();
 
   // Check length
-  if (trimmedShortcode.length < 4 || trimmedShortcode.length > 10) {
+  if (trimmedShortcode.length < policy.minLength || trimmedShortcode.length > policy.maxLength) {
     return {
       isValid: false,
-      error: 'Shortcode must be between 4 and 10 characters'
+      error: `Shortcode must be between ${policy.minLength} and ${policy.maxLength} characters`
     };
   }
 
@@ -91,9 +103,8 @@ export const validateShortcode = (shortcode) => {
     };
   }
 
-  // Check reserved words
-  const reservedWords = ['api', 'admin', 'www', 'shorturls', 'health', 'stats'];
-  if (reservedWords.includes(trimmedShortcode.toLowerCase())) {
+  // Check reserved words (always compared case-insensitively)
+  if (policy.reservedWords.includes(trimmedShortcode.toLowerCase())) {
     return {
       isValid: false,
       error: 'This shortcode is reserved. Please choose another.'
@@ -141,10 +152,150 @@ export const validateValidity = (validity) => {
   };
 };
 
+/**
+ * Validate the optional activation time and absolute expiry (datetime-local values).
+ * An absolute expiry replaces the validity period, so both cannot be given.
+ * Returns per-field errors and the times as ISO strings.
+ */
+export const validateSchedule = (activatesAt, expiresAt, validity) => {
+  const errors = {};
+  const activation = activatesAt ? new Date(activatesAt) : null;
+  const expiry = expiresAt ? new Date(expiresAt) : null;
+
+  if (activation && isNaN(activation)) {
+    errors.activatesAt = 'Activation time is invalid';
+  }
+
+  if (expiry) {
+    const start = activation && activation > new Date() ? activation : new Date();
+    if (validity && validity.trim() !== '') {
+      errors.expiresAt = 'Use either a validity period or an expiry time, not both';
+    } else if (isNaN(expiry)) {
+      errors.expiresAt = 'Expiry time is invalid';
+    } else if (expiry <= start) {
+      errors.expiresAt = activation ? 'Expiry must be after activation' : 'Expiry must be in the future';
+    } else if (expiry - start > 43200 * 60 * 1000) {
+      errors.expiresAt = 'Expiry must be within 30 days of activation';
+    }
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    value: {
+      activatesAt: activation && !isNaN(activation) ? activation.toISOString() : undefined,
+      expiresAt: expiry && !isNaN(expiry) ? expiry.toISOString() : undefined
+    }
+  };
+};
+
+/**
+ * Validate an optional click limit (matches the backend's 1-1000000 rule)
+ */
+export const validateMaxClicks = (maxClicks) => {
+  if (!maxClicks || maxClicks.trim() === '') {
+    return {
+      isValid: true, // Click limit is optional
+      error: null,
+      value: undefined
+    };
+  }
+
+  const numericValue = Number(maxClicks.trim());
+
+  if (!Number.isInteger(numericValue) || numericValue < 1 || numericValue > 1000000) {
+    return {
+      isValid: false,
+      error: 'Max clicks must be a whole number between 1 and 1000000'
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    value: numericValue
+  };
+};
+
+/**
+ * Validate an optional link password (matches the backend's 4-128 character rule)
+ */
+export const validatePassword = (password) => {
+  if (!password) {
+    return {
+      isValid: true, // Password is optional
+      error: null
+    };
+  }
+
+  if (password.length < 4 || password.length > 128) {
+    return {
+      isValid: false,
+      error: 'Password must be between 4 and 128 characters'
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null
+  };
+};
+
+// Limits for link metadata (match the backend)
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_FOLDER_LENGTH = 64;
+const MAX_TAGS = 20;
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _-]{0,31}$/u;
+
+/**
+ * Split a comma-separated tag input into trimmed, lowercase tags without duplicates
+ */
+export const parseTagInput = (input) => {
+  return [...new Set((input || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Validate optional link metadata: title, description, comma-separated tags and folder.
+ * Returns per-field errors and the values to send (empty fields are left out).
+ */
+export const validateMetadata = ({ title, description, tags, folder }) => {
+  const errors = {};
+  const tagList = parseTagInput(tags);
+
+  if ((title || '').trim().length > MAX_TITLE_LENGTH) {
+    errors.title = `Title must be at most ${MAX_TITLE_LENGTH} characters`;
+  }
+  if ((description || '').trim().length > MAX_DESCRIPTION_LENGTH) {
+    errors.description = `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  if ((folder || '').trim().length > MAX_FOLDER_LENGTH) {
+    errors.folder = `Folder must be at most ${MAX_FOLDER_LENGTH} characters`;
+  }
+
+  const invalidTag = tagList.find(tag => !TAG_PATTERN.test(tag));
+  if (invalidTag) {
+    errors.tags = `"${invalidTag}" is not a valid tag: use 1-32 letters, numbers, spaces, dashes or underscores`;
+  } else if (tagList.length > MAX_TAGS) {
+    errors.tags = `At most ${MAX_TAGS} tags are allowed`;
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+    value: {
+      title: title?.trim() || undefined,
+      description: description?.trim() || undefined,
+      tags: tagList.length > 0 ? tagList : undefined,
+      folder: folder?.trim() || undefined
+    }
+  };
+};
+
 /**
  * Validate a complete URL form entry
  */
-export const validateUrlEntry = (entry) => {
+export const validateUrlEntry = (entry, shortcodePolicy = DEFAULT_SHORTCODE_POLICY) => {
   const errors = {};
   
   const urlValidation = validateUrl(entry.url);
@@ -152,7 +303,7 @@ export const validateUrlEntry = (entry) => {
     errors.url = urlValidation.error;
   }
 
-  const shortcodeValidation = validateShortcode(entry.shortcode);
+  const shortcodeValidation = validateShortcode(entry.shortcode, shortcodePolicy);
   if (!shortcodeValidation.isValid) {
     errors.shortcode = shortcodeValidation.error;
   }
@@ -162,13 +313,36 @@ export const validateUrlEntry = (entry) => {
     errors.validity = validityValidation.error;
   }
 
+  const maxClicksValidation = validateMaxClicks(entry.maxClicks);
+  if (!maxClicksValidation.isValid) {
+    errors.maxClicks = maxClicksValidation.error;
+  }
+
+  const passwordValidation = validatePassword(entry.password);
+  if (!passwordValidation.isValid) {
+    errors.password = passwordValidation.error;
+  }
+
+  const scheduleValidation = validateSchedule(entry.activatesAt, entry.expiresAt, entry.validity);
+  Object.assign(errors, scheduleValidation.errors);
+
+  const metadataValidation = validateMetadata(entry);
+  Object.assign(errors, metadataValidation.errors);
+
   return {
     isValid: Object.keys(errors).length === 0,
     errors,
     validatedData: {
       url: entry.url?.trim(),
       shortcode: entry.shortcode?.trim() || undefined,
-      validity: validityValidation.value
+      // Validity counts from activation; an absolute expiry replaces it. Left out when empty so the
+      // backend applies its default and can still reuse an existing link for the URL.
+      validity: scheduleValidation.value.expiresAt || !entry.validity?.trim() ? undefined : validityValidation.value,
+      activatesAt: scheduleValidation.value.activatesAt,
+      expiresAt: scheduleValidation.value.expiresAt,
+      maxClicks: maxClicksValidation.value,
+      password: entry.password || undefined,
+      ...metadataValidation.value
     }
   };
 };
@@ -176,21 +350,24 @@ export const validateUrlEntry = (entry) => {
 /**
  * Validate multiple URL entries
  */
-export const validateMultipleEntries = (entries) => {
+export const validateMultipleEntries = (entries, shortcodePolicy = DEFAULT_SHORTCODE_POLICY) => {
   const results = [];
   const shortcodes = new Set();
   
   for (let i = 0; i < entries.length; i++) {
     const entry = entries[i];
-    const validation = validateUrlEntry(entry);
+    const validation = validateUrlEntry(entry, shortcodePolicy);
     
-    // Check for duplicate shortcodes within the batch
+    // Check for duplicate shortcodes within the batch (Promo and promo are the same unless case-sensitive)
     if (validation.validatedData.shortcode) {
-      if (shortcodes.has(validation.validatedData.shortcode.toLowerCase())) {
+      const shortcodeKey = shortcodePolicy.caseSensitive
+        ? validation.validatedData.shortcode
+        : validation.validatedData.shortcode.toLowerCase();
+      if (shortcodes.has(shortcodeKey)) {
         validation.isValid = false;
         validation.errors.shortcode = 'Duplicate shortcode in this batch';
       } else {
-        shortcodes.add(validation.validatedData.shortcode.toLowerCase());
+        shortcodes.add(shortcodeKey);
       }
     }
     
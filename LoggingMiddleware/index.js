@@ -11,7 +11,7 @@ const customLevels = {
     debug: 4
   },
   colors: {
-    error: 'darkred',
+    error: 'red',
     warn: 'yellow',
     info: 'green',
     http: 'lightblue',
@@ -84,6 +84,13 @@ const logger = winston.createLogger({
   ]
 });
 
+/**
+ * Hide secrets passed in the query string (password-link access tokens) before a URL is logged
+ */
+const redactUrl = (url) => {
+  return typeof url === 'string' ? url.replace(/([?&]token=)[^&#]*/gi, '$1[redacted]') : url;
+};
+
 // Express middleware function
 const expressMiddleware = (req, res, next) => {
   const start = Date.now();
@@ -91,7 +98,7 @@ const expressMiddleware = (req, res, next) => {
   // Log incoming request
   logger.http('Incoming Request', {
     method: req.method,
-    url: req.url,
+    url: redactUrl(req.url),
     userAgent: req.get('User-Agent'),
     ip: req.ip || req.connection.remoteAddress,
     timestamp: new Date().toISOString()
@@ -104,7 +111,7 @@ const expressMiddleware = (req, res, next) => {
     
     logger.http('Outgoing Response', {
       method: req.method,
-      url: req.url,
+      url: redactUrl(req.url),
       statusCode: res.statusCode,
       duration: `${duration}ms`,
       contentLength: data ? data.length : 0
@@ -152,6 +159,50 @@ const logUrlCreated = (originalUrl, shortCode, expiresAt, meta = {}) => {
   });
 };
 
+const logUrlDeduplicated = (originalUrl, shortCode, meta = {}) => {
+  logInfo('Existing short URL returned for duplicate destination', {
+    action: 'URL_DEDUPLICATED',
+    originalUrl,
+    shortCode,
+    ...meta
+  });
+};
+
+const logUrlUpdated = (shortCode, changes, meta = {}) => {
+  logInfo('Short URL updated', {
+    action: 'URL_UPDATED',
+    shortCode,
+    changes,
+    ...meta
+  });
+};
+
+const logUrlDeleted = (shortCode, meta = {}) => {
+  logInfo('Short URL deleted', {
+    action: 'URL_DELETED',
+    shortCode,
+    ...meta
+  });
+};
+
+const logAliasAdded = (shortCode, alias, meta = {}) => {
+  logInfo('Short URL alias added', {
+    action: 'ALIAS_ADDED',
+    shortCode,
+    alias,
+    ...meta
+  });
+};
+
+const logAliasRemoved = (shortCode, alias, meta = {}) => {
+  logInfo('Short URL alias removed', {
+    action: 'ALIAS_REMOVED',
+    shortCode,
+    alias,
+    ...meta
+  });
+};
+
 const logUrlAccessed = (shortCode, originalUrl, userAgent, ip, referrer, meta = {}) => {
   logInfo('Short URL accessed', {
     action: 'URL_ACCESSED',
@@ -181,6 +232,24 @@ const logUrlExpired = (shortCode, meta = {}) => {
   });
 };
 
+const logUrlNotYetActive = (shortCode, activatesAt, meta = {}) => {
+  logWarn('Short URL not active yet', {
+    action: 'URL_NOT_YET_ACTIVE',
+    shortCode,
+    activatesAt,
+    ...meta
+  });
+};
+
+const logUrlClickLimitReached = (shortCode, maxClicks, meta = {}) => {
+  logWarn('Short URL click limit reached', {
+    action: 'URL_CLICK_LIMIT_REACHED',
+    shortCode,
+    maxClicks,
+    ...meta
+  });
+};
+
 const logShortCodeCollision = (shortCode, meta = {}) => {
   logWarn('Short code collision detected', {
     action: 'SHORTCODE_COLLISION',
@@ -189,6 +258,15 @@ const logShortCodeCollision = (shortCode, meta = {}) => {
   });
 };
 
+const logShortcodeLengthIncreased = (previousLength, newLength, meta = {}) => {
+  logWarn('Generated shortcode length increased after repeated collisions', {
+    action: 'SHORTCODE_LENGTH_INCREASED',
+    previousLength,
+    newLength,
+    ...meta
+  });
+};
+
 const logValidationError = (field, value, reason, meta = {}) => {
   logWarn('Validation error', {
     action: 'VALIDATION_ERROR',
@@ -199,18 +277,144 @@ const logValidationError = (field, value, reason, meta = {}) => {
   });
 };
 
+const logBatchProcessed = (batchSize, createdCount, failedCount, meta = {}) => {
+  logInfo('Batch URL shortening processed', {
+    action: 'BATCH_PROCESSED',
+    batchSize,
+    createdCount,
+    failedCount,
+    ...meta
+  });
+};
+
+const logDataExported = (kind, format, recordCount, meta = {}) => {
+  logInfo('Data exported', {
+    action: 'DATA_EXPORTED',
+    kind,
+    format,
+    recordCount,
+    ...meta
+  });
+};
+
+const logDataImported = (format, totalCount, importedCount, collisionCount, errorCount, meta = {}) => {
+  logInfo('Data imported', {
+    action: 'DATA_IMPORTED',
+    format,
+    totalCount,
+    importedCount,
+    collisionCount,
+    errorCount,
+    ...meta
+  });
+};
+
+const logApiKeyIssued = (keyId, name, meta = {}) => {
+  logInfo('API key issued', {
+    action: 'API_KEY_ISSUED',
+    keyId,
+    name,
+    ...meta
+  });
+};
+
+const logAuthFailure = (reason, meta = {}) => {
+  logWarn('Authentication failed', {
+    action: 'AUTH_FAILURE',
+    reason,
+    ...meta
+  });
+};
+
+const logDestinationBlocked = (url, check, reason, meta = {}) => {
+  logWarn('Unsafe destination blocked', {
+    action: 'DESTINATION_BLOCKED',
+    url,
+    check,
+    reason,
+    ...meta
+  });
+};
+
+const logAccessDenied = (shortCode, keyId, meta = {}) => {
+  logWarn('Access to short URL denied', {
+    action: 'ACCESS_DENIED',
+    shortCode,
+    keyId,
+    ...meta
+  });
+};
+
+const logExpirySweep = (deletedCount, retainedCount, deletedClicks, durationMs, meta = {}) => {
+  logInfo('Expiry sweep completed', {
+    action: 'EXPIRY_SWEEP',
+    deletedCount,
+    retainedCount,
+    deletedClicks,
+    duration: `${durationMs}ms`,
+    ...meta
+  });
+};
+
+const logQrCodeGenerated = (shortCode, format, size, meta = {}) => {
+  logInfo('QR code generated', {
+    action: 'QR_CODE_GENERATED',
+    shortCode,
+    format,
+    size,
+    ...meta
+  });
+};
+
+const logLinkPasswordFailed = (shortCode, attempts, meta = {}) => {
+  logWarn('Short URL password attempt failed', {
+    action: 'LINK_PASSWORD_FAILED',
+    shortCode,
+    attempts,
+    ...meta
+  });
+};
+
+const logLinkPasswordLocked = (shortCode, meta = {}) => {
+  logWarn('Short URL locked after failed password attempts', {
+    action: 'LINK_PASSWORD_LOCKED',
+    shortCode,
+    ...meta
+  });
+};
+
 module.exports = {
   logger,
   expressMiddleware,
+  redactUrl,
   logInfo,
   logError,
   logWarn,
   logDebug,
   logHttp,
   logUrlCreated,
+  logUrlDeduplicated,
+  logUrlUpdated,
+  logUrlDeleted,
+  logAliasAdded,
+  logAliasRemoved,
   logUrlAccessed,
   logUrlNotFound,
   logUrlExpired,
+  logUrlNotYetActive,
+  logUrlClickLimitReached,
   logShortCodeCollision,
-  logValidationError
+  logShortcodeLengthIncreased,
+  logValidationError,
+  logBatchProcessed,
+  logDataExported,
+  logDataImported,
+  logApiKeyIssued,
+  logAuthFailure,
+  logDestinationBlocked,
+  logAccessDenied,
+  logExpirySweep,
+  logQrCodeGenerated,
+  logLinkPasswordFailed,
+  logLinkPasswordLocked
 };